@@ -0,0 +1,108 @@
+/**
+ * Multiaxis Protection Module - Access Code Generator
+ * Hashes partner access codes for the accessCode challenge, so the codes
+ * themselves never appear in the page source
+ *
+ * @version 1.0.0
+ * @author Mike Kaminski
+ * @company Multiaxis LLC
+ * @website https://multiaxis.ai
+ * @license MIT
+ *
+ * Copyright (C)2025 Multiaxis LLC. All rights reserved | The Power of MULTIAXIS(R) with the Intelligence of ARLO(TM)
+ *
+ * Usage:
+ *   node protection-access-code.js ACME-7F3K-22 --label "Acme Corp" --expires 2025-12-31
+ *   node protection-access-code.js ACME-7F3K-22 --label "Acme Corp" --iterations 100000
+ *
+ * Then add the printed entry to the challenge config:
+ *   MultiaxisProtection.init({ challenge: { type: 'accessCode', codes: [ ...entries ] } });
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+// Default configuration
+const defaults = {
+    label: null,
+    expires: null, // Date the code stops working, e.g. '2025-12-31'
+    iterations: null // PBKDF2 iterations, null = salted SHA-256
+};
+
+// Normalize codes the same way the browser module does before hashing
+function normalizeAnswer(answer) {
+    return String(answer).replace(/\s+/g, '').toUpperCase();
+}
+
+// Hex hash of a code: PBKDF2-SHA-256 when iterations are set, otherwise SHA-256 of the salt followed by the code
+function hashAccessCode(code, salt, iterations) {
+    const normalized = normalizeAnswer(code);
+    if (!iterations) {
+        return crypto.createHash('sha256').update(salt + normalized, 'utf8').digest('hex');
+    }
+
+    return crypto.pbkdf2Sync(normalized, salt, iterations, 32, 'sha256').toString('hex');
+}
+
+// Build a codes entry for the accessCode challenge, with a fresh random salt
+function createAccessCodeEntry(code, userOptions = {}) {
+    const options = { ...defaults, ...userOptions };
+    if (!normalizeAnswer(code)) {
+        throw new Error('The access code is empty');
+    }
+    if (options.expires && isNaN(new Date(options.expires).getTime())) {
+        throw new Error('Invalid expiry date: ' + options.expires);
+    }
+
+    const salt = crypto.randomBytes(16).toString('hex');
+    const entry = {};
+    if (options.label) {
+        entry.label = options.label;
+    }
+    entry.salt = salt;
+    entry.hash = hashAccessCode(code, salt, options.iterations);
+    if (options.iterations) {
+        entry.iterations = options.iterations;
+    }
+    if (options.expires) {
+        entry.expires = options.expires;
+    }
+
+    return entry;
+}
+
+// Command line entry point
+function main(argv) {
+    const args = argv.slice(2);
+    const codes = [];
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--label') {
+            options.label = args[++i];
+        } else if (args[i] === '--expires') {
+            options.expires = args[++i];
+        } else if (args[i] === '--iterations') {
+            options.iterations = parseInt(args[++i], 10);
+        } else {
+            codes.push(args[i]);
+        }
+    }
+
+    if (codes.length !== 1) {
+        console.error('Usage: node protection-access-code.js <code> [--label "Acme Corp"] [--expires 2025-12-31] [--iterations n]');
+        process.exit(1);
+    }
+
+    console.log(JSON.stringify(createAccessCodeEntry(codes[0], options), null, 4));
+}
+
+if (require.main === module) {
+    main(process.argv);
+}
+
+module.exports = {
+    hashAccessCode,
+    createAccessCodeEntry
+};
@@ -0,0 +1,132 @@
+/**
+ * Multiaxis Protection Module - AI Crawler Policy Generator
+ * Writes robots.txt and ai.txt rules for known AI crawlers from
+ * ai-crawlers.json, and matches User-Agent headers against the same list
+ *
+ * @version 1.0.0
+ * @author Mike Kaminski
+ * @company Multiaxis LLC
+ * @website https://multiaxis.ai
+ * @license MIT
+ *
+ * Copyright (C)2025 Multiaxis LLC. All rights reserved | The Power of MULTIAXIS(R) with the Intelligence of ARLO(TM)
+ *
+ * Usage:
+ *   node protection-crawler-policy.js robots > robots.txt
+ *   node protection-crawler-policy.js robots --disallow /articles/ --trap /multiaxis/trap
+ *   node protection-crawler-policy.js ai > ai.txt
+ *   node protection-crawler-policy.js robots --agents ./my-crawlers.json
+ *
+ * Update ai-crawlers.json (or pass your own list with --agents) as new
+ * crawlers appear, then regenerate the files.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Default configuration
+const defaults = {
+    agents: path.join(__dirname, 'ai-crawlers.json'), // Agent data file
+    disallow: ['/'], // Paths closed to AI crawlers
+    trap: null // Scraper trap path, disallowed for every crawler so only rule breakers follow it
+};
+
+// Read the agent list from a data file
+function loadAgents(file = defaults.agents) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const agents = Array.isArray(data) ? data : data.agents;
+    if (!Array.isArray(agents)) {
+        throw new Error('No agents list in ' + file);
+    }
+
+    return agents.filter(agent => agent && typeof agent.token === 'string' && agent.token);
+}
+
+// robots.txt with one group for every AI crawler, plus the trap rule for everyone else
+function createRobotsTxt(agents, userOptions = {}) {
+    const options = { ...defaults, ...userOptions };
+    const lines = ['# AI crawler rules generated by protection-crawler-policy.js'];
+
+    agents.forEach(agent => {
+        lines.push('User-agent: ' + agent.token);
+    });
+    options.disallow.forEach(disallowPath => {
+        lines.push('Disallow: ' + disallowPath);
+    });
+
+    if (options.trap) {
+        lines.push('', 'User-agent: *', 'Disallow: ' + options.trap);
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+// ai.txt in the same robots syntax, which is what the ai.txt proposals read
+function createAiTxt(agents, userOptions = {}) {
+    const options = { ...defaults, ...userOptions };
+    const lines = [
+        '# AI usage policy generated by protection-crawler-policy.js',
+        '# This content may not be used to train, fine-tune or ground AI models'
+    ];
+
+    agents.forEach(agent => {
+        lines.push('User-agent: ' + agent.token);
+    });
+    options.disallow.forEach(disallowPath => {
+        lines.push('Disallow: ' + disallowPath);
+    });
+    lines.push('', 'User-agent: *', 'Disallow: /');
+
+    return lines.join('\n') + '\n';
+}
+
+// The agent whose pattern (or token) appears in a User-Agent header, or null
+function matchAiCrawler(userAgent, agents) {
+    if (!userAgent) {
+        return null;
+    }
+
+    const header = String(userAgent).toLowerCase();
+    return agents.find(agent => !agent.robotsOnly &&
+        header.includes(String(agent.pattern || agent.token).toLowerCase())) || null;
+}
+
+// Command line entry point
+function main(argv) {
+    const args = argv.slice(2);
+    const commands = [];
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--agents') {
+            options.agents = args[++i];
+        } else if (args[i] === '--disallow') {
+            options.disallow = (options.disallow || []).concat(args[++i]);
+        } else if (args[i] === '--trap') {
+            options.trap = args[++i];
+        } else {
+            commands.push(args[i]);
+        }
+    }
+
+    if (commands.length !== 1 || (commands[0] !== 'robots' && commands[0] !== 'ai')) {
+        console.error('Usage: node protection-crawler-policy.js <robots|ai> [--agents file.json] [--disallow /path/] [--trap /multiaxis/trap]');
+        process.exit(1);
+    }
+
+    const agents = loadAgents(options.agents);
+    process.stdout.write(commands[0] === 'robots' ? createRobotsTxt(agents, options) : createAiTxt(agents, options));
+}
+
+if (require.main === module) {
+    main(process.argv);
+}
+
+module.exports = {
+    loadAgents,
+    createRobotsTxt,
+    createAiTxt,
+    matchAiCrawler
+};
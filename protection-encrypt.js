@@ -0,0 +1,153 @@
+/**
+ * Multiaxis Protection Module - Content Encryption Helper
+ * Build-time tool that encrypts the protected region of a static HTML page into
+ * an AES-GCM payload the browser module decrypts after verification
+ *
+ * @version 1.0.0
+ * @author Mike Kaminski
+ * @company Multiaxis LLC
+ * @website https://multiaxis.ai
+ * @license MIT
+ *
+ * Copyright (C)2025 Multiaxis LLC. All rights reserved | The Power of MULTIAXIS(R) with the Intelligence of ARLO(TM)
+ *
+ * Usage:
+ *   node protection-encrypt.js page.html page.protected.html
+ *   node protection-encrypt.js page.html page.protected.html --answers "MULTIAXIS,MULTIAXIS LLC"
+ *   node protection-encrypt.js page.html page.protected.html --split
+ *
+ * Then initialize the page with:
+ *   MultiaxisProtection.init({ encryptedContent: true });
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { findProtectedRegion } = require('./protection-server');
+
+// Default configuration
+const defaults = {
+    protectedContentId: 'protectedContent',
+
+    // 'answer' derives the key from each accepted answer,
+    // 'split' stores one key share in the page and prints the other for the config
+    keyMode: 'answer',
+    acceptedAnswers: ['MULTIAXIS', 'MULTIAXIS LLC', 'MULTIAXIS AI'],
+    iterations: 250000
+};
+
+// Normalize answers the same way the browser module does before deriving keys
+function normalizeAnswer(answer) {
+    return String(answer).replace(/\s+/g, '').toUpperCase();
+}
+
+// AES-GCM encrypt, returning ciphertext with the auth tag appended (WebCrypto layout)
+function aesGcmEncrypt(key, plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+    return { iv: iv.toString('base64'), data: data.toString('base64') };
+}
+
+// Encrypt an HTML fragment into a payload object
+function encryptContent(content, userOptions = {}) {
+    const options = { ...defaults, ...userOptions };
+    const contentKey = crypto.randomBytes(32);
+    const encrypted = aesGcmEncrypt(contentKey, Buffer.from(content, 'utf8'));
+    const payload = {
+        v: 1,
+        mode: options.keyMode,
+        iv: encrypted.iv,
+        data: encrypted.data
+    };
+    let keyShare = null;
+
+    if (options.keyMode === 'split') {
+        // Key = share (in page) XOR keyShare (in config)
+        const share = crypto.randomBytes(32);
+        keyShare = Buffer.alloc(32);
+        for (let i = 0; i < 32; i++) {
+            keyShare[i] = contentKey[i] ^ share[i];
+        }
+        payload.share = share.toString('base64');
+    } else if (options.keyMode === 'answer') {
+        // Wrap the content key once per accepted answer
+        const salt = crypto.randomBytes(16);
+        const answers = Array.from(new Set(options.acceptedAnswers.map(normalizeAnswer)));
+
+        payload.kdf = { name: 'PBKDF2', hash: 'SHA-256', iterations: options.iterations, salt: salt.toString('base64') };
+        payload.keys = answers.map(answer => {
+            const kek = crypto.pbkdf2Sync(answer, salt, options.iterations, 32, 'sha256');
+            return aesGcmEncrypt(kek, contentKey);
+        });
+    } else {
+        throw new Error('Unknown key mode: ' + options.keyMode);
+    }
+
+    return { payload, keyShare: keyShare ? keyShare.toString('base64') : null };
+}
+
+// Replace the protected region of a page with its encrypted payload
+function encryptHtml(html, userOptions = {}) {
+    const options = { ...defaults, ...userOptions };
+    const region = findProtectedRegion(html, options.protectedContentId);
+    if (!region) {
+        throw new Error('Protected region #' + options.protectedContentId + ' not found');
+    }
+
+    const content = html.slice(region.openEnd, region.closeStart);
+    const result = encryptContent(content, options);
+    const openTag = html.slice(region.start, region.openEnd).replace(/\s*>$/, ' data-multiaxis-encrypted>');
+    const payloadTag = '<script type="application/json" data-multiaxis-payload>' +
+        JSON.stringify(result.payload) +
+        '</script>';
+
+    return {
+        html: html.slice(0, region.start) + openTag + payloadTag + html.slice(region.closeStart),
+        keyShare: result.keyShare
+    };
+}
+
+// Command line entry point
+function main(argv) {
+    const args = argv.slice(2);
+    const files = [];
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--id') {
+            options.protectedContentId = args[++i];
+        } else if (args[i] === '--answers') {
+            options.acceptedAnswers = args[++i].split(',').map(answer => answer.trim()).filter(Boolean);
+        } else if (args[i] === '--iterations') {
+            options.iterations = parseInt(args[++i], 10);
+        } else if (args[i] === '--split') {
+            options.keyMode = 'split';
+        } else {
+            files.push(args[i]);
+        }
+    }
+
+    if (files.length !== 2) {
+        console.error('Usage: node protection-encrypt.js <input.html> <output.html> [--id protectedContent] [--answers "A,B"] [--iterations n] [--split]');
+        process.exit(1);
+    }
+
+    const result = encryptHtml(fs.readFileSync(files[0], 'utf8'), options);
+    fs.writeFileSync(files[1], result.html);
+    console.log('Encrypted #' + (options.protectedContentId || defaults.protectedContentId) + ' -> ' + files[1]);
+
+    if (result.keyShare) {
+        console.log('Add to your init config: decryptionKeyShare: \'' + result.keyShare + '\'');
+    }
+}
+
+if (require.main === module) {
+    main(process.argv);
+}
+
+module.exports = {
+    encryptContent,
+    encryptHtml
+};
@@ -0,0 +1,131 @@
+/**
+ * Multiaxis Protection Module - Magic Link Generator
+ * Mints signed links that let a trusted recipient skip the challenge. Links are
+ * signed with an Ed25519 private key kept on your machine; the page only holds
+ * the public key, so it can check links but not create them
+ *
+ * @version 1.0.0
+ * @author Mike Kaminski
+ * @company Multiaxis LLC
+ * @website https://multiaxis.ai
+ * @license MIT
+ *
+ * Copyright (C)2025 Multiaxis LLC. All rights reserved | The Power of MULTIAXIS(R) with the Intelligence of ARLO(TM)
+ *
+ * Usage:
+ *   node protection-magic-link.js keygen magic-link-key.pem
+ *   node protection-magic-link.js sign magic-link-key.pem https://example.com/whitepaper.html --recipient alice@acme.com --days 14
+ *
+ * Then initialize the page with the printed public key:
+ *   MultiaxisProtection.init({ magicLinkKey: '...' });
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Default configuration
+const defaults = {
+    sessionKey: 'multiaxis_protection', // Must match the page's sessionKey
+    days: 7, // Days the link can be used
+    recipient: null, // Reported as the recipient in events, getState() and consent receipts
+    query: false // true = put the token in the query string instead of the fragment
+};
+
+// Name of the address parameter that carries the token - keep in sync with protection.js
+const magicLinkParam = 'multiaxis_token';
+
+// Create an Ed25519 key pair: the private key as PEM, and the public key in the form magicLinkKey expects
+function generateKeyPair() {
+    const pair = crypto.generateKeyPairSync('ed25519');
+    return {
+        privateKey: pair.privateKey.export({ format: 'pem', type: 'pkcs8' }),
+        publicKey: pair.publicKey.export({ format: 'jwk' }).x
+    };
+}
+
+// Sign a token: base64url claims, a dot, and the base64url signature of the claims
+function createToken(privateKey, userOptions = {}) {
+    const options = { ...defaults, ...userOptions };
+    const now = Math.floor(Date.now() / 1000);
+    const claims = {
+        scope: options.sessionKey,
+        iat: now,
+        exp: now + Math.round(options.days * 24 * 60 * 60)
+    };
+    if (options.recipient) {
+        claims.sub = options.recipient;
+    }
+
+    const payload = Buffer.from(JSON.stringify(claims), 'utf8').toString('base64url');
+    const signature = crypto.sign(null, Buffer.from(payload, 'utf8'), privateKey).toString('base64url');
+    return payload + '.' + signature;
+}
+
+// Add a signed token to a page URL. The fragment isn't sent to servers, so it stays out of access logs
+function createMagicLink(pageUrl, privateKey, userOptions = {}) {
+    const options = { ...defaults, ...userOptions };
+    const url = new URL(pageUrl);
+    const token = createToken(privateKey, options);
+
+    if (options.query) {
+        url.searchParams.set(magicLinkParam, token);
+    } else {
+        // Keep any anchor already in the link (#section&multiaxis_token=...)
+        const anchor = url.hash.slice(1);
+        url.hash = (anchor ? anchor + '&' : '') + magicLinkParam + '=' + token;
+    }
+
+    return url.href;
+}
+
+// Command line entry point
+function main(argv) {
+    const args = argv.slice(2);
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--recipient') {
+            options.recipient = args[++i];
+        } else if (args[i] === '--days') {
+            options.days = parseFloat(args[++i]);
+        } else if (args[i] === '--session-key') {
+            options.sessionKey = args[++i];
+        } else if (args[i] === '--query') {
+            options.query = true;
+        } else {
+            positional.push(args[i]);
+        }
+    }
+
+    const command = positional[0];
+    if (command === 'keygen' && positional.length === 2) {
+        const pair = generateKeyPair();
+        fs.writeFileSync(positional[1], pair.privateKey, { mode: 0o600 });
+        console.log('Private key written to ' + positional[1] + ' - keep it out of your website');
+        console.log('Add to your init config: magicLinkKey: \'' + pair.publicKey + '\'');
+        return;
+    }
+
+    if (command === 'sign' && positional.length === 3) {
+        const privateKey = crypto.createPrivateKey(fs.readFileSync(positional[1], 'utf8'));
+        console.log(createMagicLink(positional[2], privateKey, options));
+        return;
+    }
+
+    console.error('Usage: node protection-magic-link.js keygen <key.pem>');
+    console.error('       node protection-magic-link.js sign <key.pem> <page-url> [--recipient id] [--days 7] [--session-key multiaxis_protection] [--query]');
+    process.exit(1);
+}
+
+if (require.main === module) {
+    main(process.argv);
+}
+
+module.exports = {
+    generateKeyPair,
+    createToken,
+    createMagicLink
+};
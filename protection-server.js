@@ -0,0 +1,654 @@
+/**
+ * Multiaxis Protection Module - Server Companion
+ * Node middleware that keeps the protected region out of served HTML until the
+ * request carries a signed verification token
+ *
+ * @version 1.0.0
+ * @author Mike Kaminski
+ * @company Multiaxis LLC
+ * @website https://multiaxis.ai
+ * @license MIT
+ *
+ * Copyright (C)2025 Multiaxis LLC. All rights reserved | The Power of MULTIAXIS(R) with the Intelligence of ARLO(TM)
+ *
+ * Usage (Express):
+ *   const { createProtectionMiddleware } = require('./protection-server');
+ *   app.use(express.json());
+ *   app.use(createProtectionMiddleware({ secret: process.env.MULTIAXIS_SECRET }));
+ *   app.use(express.static('public'));
+ *
+ * Usage (plain http):
+ *   const protect = createProtectionMiddleware({ secret: '...' });
+ *   http.createServer((req, res) => protect(req, res, () => serveFile(req, res)));
+ *
+ * Client side, pass the verify endpoint to the browser module:
+ *   MultiaxisProtection.init({ serverVerifyUrl: '/multiaxis/verify' });
+ *
+ * Clients that fetch the scraper trap link (/multiaxis/trap) are blocked with a 403
+ * for trapBlockTtl seconds. Turn away AI crawlers listed in ai-crawlers.json with a
+ * 403 or a decoy page too:
+ *   createProtectionMiddleware({ secret: '...', aiCrawlers: 'block' });
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { loadAgents, matchAiCrawler } = require('./protection-crawler-policy');
+
+// Default configuration
+const defaults = {
+    // Must match the client configuration
+    protectedContentId: 'protectedContent',
+    acceptedAnswers: ['MULTIAXIS', 'MULTIAXIS LLC', 'MULTIAXIS AI'],
+    sessionKey: null, // null = accept tokens issued for any sessionKey
+
+    // Token configuration
+    secret: null, // Required - HMAC key used to sign verification tokens
+    tokenTtl: 30 * 60, // Seconds a verification token stays valid
+    cookieName: 'multiaxis_token',
+    cookieSecure: false, // Set true when served over HTTPS
+
+    // Endpoints
+    verifyPath: '/multiaxis/verify',
+    powPath: '/multiaxis/pow', // GET issues a proof-of-work puzzle, POST verifies the solution
+    fragmentHeader: 'x-multiaxis-fragment',
+
+    // Proof-of-work configuration
+    powDifficulty: 16, // Leading zero bits required in SHA-256(challenge + ':' + nonce)
+    powTtl: 2 * 60, // Seconds a puzzle can be solved in
+
+    // Scraper trap configuration
+    trapPath: '/multiaxis/trap', // Must match the client's traps.linkUrl, null = no trap route
+    trapBlockTtl: 24 * 60 * 60, // Seconds a trapped client stays blocked
+    trapCookieName: 'multiaxis_trapped',
+    onTrap: null, // Called with a report { ip, userAgent, referer, timestamp, clientReport } when a client is trapped
+
+    // Markup left in place of the removed content
+    placeholder: '',
+
+    // AI crawler handling, matched on the User-Agent header
+    aiCrawlers: false, // 'block' = answer 403, 'decoy' = serve decoyHtml instead of the page, false = treat them like anyone else
+    aiCrawlerAgents: null, // Agent list in the ai-crawlers.json format, null = the bundled ai-crawlers.json
+    decoyHtml: '<!DOCTYPE html><html><head><meta name="robots" content="noindex, noai, noimageai"><title>Not available</title></head>' +
+        '<body><p>This content is not available to automated clients.</p></body></html>',
+    robotsTag: null, // X-Robots-Tag sent with gated pages, e.g. 'noai, noimageai, noarchive' - seen by crawlers that don't run scripts
+    onAiCrawler: null, // Called with (req, agent) when a request is turned away
+
+    // Maximum accepted size of the verify request body in bytes
+    maxBodySize: 10 * 1024
+};
+
+// Base64url helpers
+function toBase64Url(buffer) {
+    return Buffer.from(buffer).toString('base64')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    return Buffer.from(text.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+// Normalize and compare an answer the same way the browser module does
+function isAcceptedAnswer(answer, acceptedAnswers) {
+    const userAnswer = String(answer || '').trim().toUpperCase();
+    if (!userAnswer) {
+        return false;
+    }
+
+    return acceptedAnswers.some(accepted =>
+        userAnswer === accepted.toUpperCase() ||
+        userAnswer === accepted.replace(/\s+/g, '').toUpperCase()
+    );
+}
+
+// Sign a token payload
+function sign(encodedPayload, secret) {
+    return toBase64Url(crypto.createHmac('sha256', secret).update(encodedPayload).digest());
+}
+
+// Issue a signed verification token
+function createToken(sessionKey, options) {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = toBase64Url(JSON.stringify({
+        sk: sessionKey || null,
+        iat: now,
+        exp: now + options.tokenTtl
+    }));
+
+    return payload + '.' + sign(payload, options.secret);
+}
+
+// Verify a token and return its payload, or null if invalid or expired
+function verifyToken(token, options) {
+    if (typeof token !== 'string' || token.indexOf('.') === -1) {
+        return null;
+    }
+
+    const [payload, signature] = token.split('.');
+    const expected = Buffer.from(sign(payload, options.secret));
+    const actual = Buffer.from(signature || '');
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    let data;
+    try {
+        data = JSON.parse(fromBase64Url(payload).toString('utf8'));
+    } catch (e) {
+        return null;
+    }
+
+    if (!data || typeof data.exp !== 'number' || data.exp < Math.floor(Date.now() / 1000)) {
+        return null;
+    }
+
+    if (options.sessionKey && data.sk !== options.sessionKey) {
+        return null;
+    }
+
+    return data;
+}
+
+// Read a cookie from the request, or null if it is missing or malformed
+function readCookie(req, name) {
+    const cookies = req.headers.cookie || '';
+    const match = cookies.split(';')
+        .map(part => part.trim())
+        .find(part => part.indexOf(name + '=') === 0);
+
+    if (!match) {
+        return null;
+    }
+
+    try {
+        return decodeURIComponent(match.slice(name.length + 1));
+    } catch (e) {
+        return null;
+    }
+}
+
+// Read the token from the Authorization header or the token cookie
+function readToken(req, options) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.indexOf('Bearer ') === 0) {
+        return authorization.slice(7).trim();
+    }
+
+    return readCookie(req, options.cookieName);
+}
+
+// Locate the element with the given id in an HTML string.
+// Returns the offsets of its opening tag and closing tag, or null if not found.
+function findProtectedRegion(html, id) {
+    const escapedId = id.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const openPattern = new RegExp('<([a-zA-Z][\\w-]*)\\b[^>]*\\sid\\s*=\\s*(["\']?)' + escapedId + '\\2(?=[\\s/>])[^>]*>', 'i');
+    const open = openPattern.exec(html);
+    if (!open) {
+        return null;
+    }
+
+    const tagName = open[1];
+    const openEnd = open.index + open[0].length;
+    const tagPattern = new RegExp('<(/?)' + tagName + '\\b[^>]*>', 'gi');
+    tagPattern.lastIndex = openEnd;
+
+    // Walk nested tags of the same name until the matching close tag
+    let depth = 1;
+    let tag;
+    while ((tag = tagPattern.exec(html)) !== null) {
+        if (tag[1] === '/') {
+            depth--;
+        } else if (!/\/>$/.test(tag[0])) {
+            depth++;
+        }
+
+        if (depth === 0) {
+            return {
+                start: open.index,
+                openEnd: openEnd,
+                closeStart: tag.index,
+                end: tag.index + tag[0].length
+            };
+        }
+    }
+
+    return null;
+}
+
+// Remove the protected region's contents and mark it as gated
+function stripProtectedRegion(html, options) {
+    const region = findProtectedRegion(html, options.protectedContentId);
+    if (!region) {
+        return html;
+    }
+
+    const openTag = html.slice(region.start, region.openEnd);
+    const gatedTag = openTag.replace(/\s*>$/, ' data-multiaxis-gated>');
+
+    return html.slice(0, region.start) +
+        gatedTag +
+        options.placeholder +
+        html.slice(region.closeStart);
+}
+
+// Return only the inner HTML of the protected region
+function extractProtectedRegion(html, options) {
+    const region = findProtectedRegion(html, options.protectedContentId);
+    return region ? html.slice(region.openEnd, region.closeStart) : '';
+}
+
+// Read a JSON request body unless a body parser already did
+function readJsonBody(req, limit) {
+    if (req.body && typeof req.body === 'object') {
+        return Promise.resolve(req.body);
+    }
+
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+            } catch (e) {
+                reject(e);
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, statusCode, body, headers = {}) {
+    res.writeHead(statusCode, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store',
+        ...headers
+    });
+    res.end(JSON.stringify(body));
+}
+
+// Handle the verify endpoint that the browser module posts answers to
+function handleVerify(req, res, options) {
+    readJsonBody(req, options.maxBodySize).then(body => {
+        if (!isAcceptedAnswer(body.answer, options.acceptedAnswers)) {
+            sendJson(res, 403, { ok: false });
+            return;
+        }
+
+        if (options.sessionKey && body.sessionKey !== options.sessionKey) {
+            sendJson(res, 403, { ok: false });
+            return;
+        }
+
+        sendToken(res, body.sessionKey || options.sessionKey, options);
+    }).catch(() => {
+        sendJson(res, 400, { ok: false });
+    });
+}
+
+// Issue a verification token and set it as a cookie. The token stays out of the body, so scripts can't read it
+function sendToken(res, sessionKey, options) {
+    const token = createToken(sessionKey, options);
+    const cookie = [
+        options.cookieName + '=' + encodeURIComponent(token),
+        'Path=/',
+        'Max-Age=' + options.tokenTtl,
+        'HttpOnly',
+        'SameSite=Lax'
+    ];
+    if (options.cookieSecure) {
+        cookie.push('Secure');
+    }
+
+    sendJson(res, 200, {
+        ok: true,
+        expiresAt: new Date(Date.now() + options.tokenTtl * 1000).toISOString()
+    }, { 'Set-Cookie': cookie.join('; ') });
+}
+
+// Count the leading zero bits of a digest
+function leadingZeroBits(digest) {
+    let bits = 0;
+    for (const byte of digest) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        return bits + Math.clz32(byte) - 24;
+    }
+    return bits;
+}
+
+// Forget entries (solved puzzles, trapped clients) once their expiry in seconds has passed
+function pruneExpired(entries) {
+    const now = Math.floor(Date.now() / 1000);
+    entries.forEach((expiresAt, id) => {
+        if (expiresAt < now) {
+            entries.delete(id);
+        }
+    });
+}
+
+// Handle the proof-of-work endpoint: GET issues a signed puzzle, POST checks a solution.
+// Each puzzle can be solved once - solvedPuzzles maps the puzzle's random ID to its expiry
+function handleProofOfWork(req, res, options, solvedPuzzles) {
+    if (req.method === 'GET') {
+        const challenge = crypto.randomBytes(16).toString('hex') + '.' + (Math.floor(Date.now() / 1000) + options.powTtl);
+        sendJson(res, 200, {
+            challenge: challenge + '.' + sign(challenge, options.secret),
+            difficulty: options.powDifficulty
+        });
+        return;
+    }
+
+    readJsonBody(req, options.maxBodySize).then(body => {
+        const parts = String(body.challenge || '').split('.');
+        const challenge = parts.slice(0, 2).join('.');
+        const expected = Buffer.from(sign(challenge, options.secret));
+        const actual = Buffer.from(parts[2] || '');
+        const valid = parts.length === 3 &&
+            expected.length === actual.length &&
+            crypto.timingSafeEqual(expected, actual) &&
+            Number(parts[1]) >= Math.floor(Date.now() / 1000) &&
+            /^\d+$/.test(String(body.nonce));
+
+        if (!valid) {
+            sendJson(res, 403, { ok: false });
+            return;
+        }
+
+        const digest = crypto.createHash('sha256').update(body.challenge + ':' + body.nonce).digest();
+        if (leadingZeroBits(digest) < options.powDifficulty) {
+            sendJson(res, 403, { ok: false });
+            return;
+        }
+
+        pruneExpired(solvedPuzzles);
+        if (solvedPuzzles.has(parts[0])) {
+            sendJson(res, 403, { ok: false });
+            return;
+        }
+        solvedPuzzles.set(parts[0], Number(parts[1]));
+
+        sendToken(res, body.sessionKey || options.sessionKey, options);
+    }).catch(() => {
+        sendJson(res, 400, { ok: false });
+    });
+}
+
+// Deny list key for a client - the address alone would also block everyone behind the same NAT
+function getClientKey(req) {
+    const ip = req.ip || (req.socket && req.socket.remoteAddress) || '';
+    return ip + '|' + (req.headers['user-agent'] || '');
+}
+
+// Block cookie for a trapped client. Signed with its own prefix, so it can never pass as a verification token
+function createTrapCookie(options) {
+    const payload = toBase64Url(JSON.stringify({ exp: Math.floor(Date.now() / 1000) + options.trapBlockTtl }));
+    return payload + '.' + sign('trap.' + payload, options.secret);
+}
+
+function isTrapCookieValid(cookie, options) {
+    if (!cookie || cookie.indexOf('.') === -1) {
+        return false;
+    }
+
+    const [payload, signature] = cookie.split('.');
+    const expected = Buffer.from(sign('trap.' + payload, options.secret));
+    const actual = Buffer.from(signature || '');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return false;
+    }
+
+    try {
+        return JSON.parse(fromBase64Url(payload).toString('utf8')).exp >= Math.floor(Date.now() / 1000);
+    } catch (e) {
+        return false;
+    }
+}
+
+// Whether a client was trapped, by its block cookie or the in-memory deny list
+function isTrappedClient(req, options, trappedClients) {
+    if (isTrapCookieValid(readCookie(req, options.trapCookieName), options)) {
+        return true;
+    }
+
+    pruneExpired(trappedClients);
+    return trappedClients.has(getClientKey(req));
+}
+
+// Handle the trap path: record the client, block it and answer 403.
+// The browser module can also POST its trap report here (trapEndpoint), so the honeypot blocks on the server too
+function handleTrap(req, res, options, trappedClients) {
+    const body = req.method === 'POST' ? readJsonBody(req, options.maxBodySize).catch(() => null) : Promise.resolve(null);
+
+    body.then(clientReport => {
+        const report = {
+            ip: req.ip || (req.socket && req.socket.remoteAddress) || null,
+            userAgent: req.headers['user-agent'] || null,
+            referer: req.headers.referer || null,
+            timestamp: new Date().toISOString(),
+            clientReport: clientReport
+        };
+        trappedClients.set(getClientKey(req), Math.floor(Date.now() / 1000) + options.trapBlockTtl);
+
+        if (options.onTrap && typeof options.onTrap === 'function') {
+            options.onTrap(report);
+        }
+
+        const cookie = [
+            options.trapCookieName + '=' + encodeURIComponent(createTrapCookie(options)),
+            'Path=/',
+            'Max-Age=' + options.trapBlockTtl,
+            'HttpOnly',
+            'SameSite=Lax'
+        ];
+        if (options.cookieSecure) {
+            cookie.push('Secure');
+        }
+
+        sendJson(res, 403, { ok: false }, { 'Set-Cookie': cookie.join('; ') });
+    });
+}
+
+// Turn away a request from a known AI crawler, with a 403 or the decoy page
+function handleAiCrawler(req, res, options, agent) {
+    if (options.onAiCrawler && typeof options.onAiCrawler === 'function') {
+        options.onAiCrawler(req, agent);
+    }
+
+    if (options.aiCrawlers === 'decoy') {
+        res.writeHead(200, {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Cache-Control': 'private, no-store',
+            'X-Robots-Tag': 'noindex, noai, noimageai'
+        });
+        res.end(req.method === 'HEAD' ? undefined : options.decoyHtml);
+        return;
+    }
+
+    sendJson(res, 403, { ok: false });
+}
+
+// Buffer an HTML response so it can be rewritten before it is sent
+function interceptHtml(res, transform) {
+    const originalWriteHead = res.writeHead;
+    const originalWrite = res.write;
+    const originalEnd = res.end;
+    const chunks = [];
+    let pendingHead = null;
+
+    function isHtml() {
+        let contentType = res.getHeader('content-type');
+        if (pendingHead) {
+            const headers = pendingHead.find(arg => arg && typeof arg === 'object');
+            if (headers) {
+                const key = Object.keys(headers).find(name => name.toLowerCase() === 'content-type');
+                contentType = key ? headers[key] : contentType;
+            }
+        }
+        return /text\/html/i.test(String(contentType || ''));
+    }
+
+    res.writeHead = function(...args) {
+        pendingHead = args;
+        return res;
+    };
+
+    res.write = function(chunk, encoding, callback) {
+        if (chunk) {
+            chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8'));
+        }
+        if (typeof encoding === 'function') {
+            encoding();
+        } else if (typeof callback === 'function') {
+            callback();
+        }
+        return true;
+    };
+
+    res.end = function(chunk, encoding, callback) {
+        if (chunk && typeof chunk !== 'function') {
+            chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8'));
+        }
+
+        res.writeHead = originalWriteHead;
+        res.write = originalWrite;
+        res.end = originalEnd;
+
+        let body = Buffer.concat(chunks);
+        if (isHtml()) {
+            body = Buffer.from(transform(body.toString('utf8')), 'utf8');
+            res.removeHeader('content-length');
+
+            // The response depends on the token cookie, so shared caches must not keep it
+            const vary = String(res.getHeader('vary') || '');
+            res.setHeader('Cache-Control', 'private, no-store');
+            res.setHeader('Vary', /(^|,)\s*cookie\s*(,|$)/i.test(vary) ? vary : (vary ? vary + ', Cookie' : 'Cookie'));
+            if (pendingHead) {
+                pendingHead.forEach(arg => {
+                    if (arg && typeof arg === 'object') {
+                        Object.keys(arg)
+                            .filter(name => ['content-length', 'cache-control', 'vary'].indexOf(name.toLowerCase()) !== -1)
+                            .forEach(name => delete arg[name]);
+                    }
+                });
+            }
+        }
+
+        if (pendingHead) {
+            originalWriteHead.apply(res, pendingHead);
+        }
+
+        const done = [chunk, encoding, callback].find(arg => typeof arg === 'function');
+        return originalEnd.call(res, body, done);
+    };
+}
+
+// Create the gating middleware
+function createProtectionMiddleware(userOptions = {}) {
+    const options = { ...defaults, ...userOptions };
+
+    if (!options.secret) {
+        throw new Error('Multiaxis protection middleware requires a secret');
+    }
+    if (options.aiCrawlers && options.aiCrawlers !== 'block' && options.aiCrawlers !== 'decoy') {
+        throw new Error('aiCrawlers must be \'block\', \'decoy\' or false');
+    }
+
+    const aiCrawlerAgents = options.aiCrawlers ? (options.aiCrawlerAgents || loadAgents()) : [];
+
+    // Solved proof-of-work puzzles, kept in memory until they expire.
+    // Behind a load balancer, pin the pow endpoint to one process or a replay can reach another
+    const solvedPuzzles = new Map();
+
+    // Trapped clients (address and User-Agent) mapped to the end of their block. Also in memory only -
+    // the block cookie covers other processes and restarts, and onTrap can feed a shared deny list
+    const trappedClients = new Map();
+
+    return function multiaxisProtection(req, res, next) {
+        const pathname = (req.originalUrl || req.url || '').split('?')[0];
+
+        const crawler = options.aiCrawlers ? matchAiCrawler(req.headers['user-agent'], aiCrawlerAgents) : null;
+        if (crawler) {
+            handleAiCrawler(req, res, options, crawler);
+            return;
+        }
+
+        if (options.trapPath && pathname === options.trapPath) {
+            handleTrap(req, res, options, trappedClients);
+            return;
+        }
+
+        // A trapped client gets nothing, not even a token from the verify endpoints
+        if (options.trapPath && isTrappedClient(req, options, trappedClients)) {
+            sendJson(res, 403, { ok: false });
+            return;
+        }
+
+        if (pathname === options.verifyPath) {
+            if (req.method !== 'POST') {
+                sendJson(res, 405, { ok: false }, { Allow: 'POST' });
+                return;
+            }
+            handleVerify(req, res, options);
+            return;
+        }
+
+        if (options.powPath && pathname === options.powPath) {
+            if (req.method !== 'GET' && req.method !== 'POST') {
+                sendJson(res, 405, { ok: false }, { Allow: 'GET, POST' });
+                return;
+            }
+            handleProofOfWork(req, res, options, solvedPuzzles);
+            return;
+        }
+
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            next();
+            return;
+        }
+
+        const authorized = verifyToken(readToken(req, options), options) !== null;
+        const wantsFragment = req.headers[options.fragmentHeader] === '1';
+
+        if (wantsFragment) {
+            if (!authorized) {
+                sendJson(res, 403, { ok: false });
+                return;
+            }
+            interceptHtml(res, html => extractProtectedRegion(html, options));
+        } else if (!authorized) {
+            if (options.robotsTag) {
+                res.setHeader('X-Robots-Tag', options.robotsTag);
+            }
+            interceptHtml(res, html => stripProtectedRegion(html, options));
+        } else {
+            // Leave the page as it is, but keep the unlocked copy out of shared caches
+            interceptHtml(res, html => html);
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    createProtectionMiddleware,
+    findProtectedRegion,
+    createToken: (sessionKey, options) => createToken(sessionKey, { ...defaults, ...options }),
+    verifyToken: (token, options) => verifyToken(token, { ...defaults, ...options })
+};
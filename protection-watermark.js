@@ -0,0 +1,105 @@
+/**
+ * Multiaxis Protection Module - Watermark Decoder
+ * Finds the consent receipt or session ID hidden in a leaked copy of content
+ * unlocked with the watermark option
+ *
+ * @version 1.0.0
+ * @author Mike Kaminski
+ * @company Multiaxis LLC
+ * @website https://multiaxis.ai
+ * @license MIT
+ *
+ * Copyright (C)2025 Multiaxis LLC. All rights reserved | The Power of MULTIAXIS(R) with the Intelligence of ARLO(TM)
+ *
+ * Usage:
+ *   node protection-watermark.js leaked-excerpt.txt
+ *   pbpaste | node protection-watermark.js
+ *
+ * Image watermarks are decoded in the browser with MultiaxisProtection.decodeImageWatermark(image).
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+// Zero-width characters that carry the mark - keep in sync with protection.js
+const watermarkSymbols = ['\u200B', '\u200C', '\u2060', '\u2063'];
+const watermarkPattern = /\u200D([\u200B\u200C\u2060\u2063]+)\u200D/g;
+
+// Unpack watermark bytes (format byte, identifier, checksum), or null if the checksum doesn't match
+function decodeWatermarkBytes(bytes) {
+    if (bytes.length < 2) {
+        return null;
+    }
+
+    const checksum = bytes[bytes.length - 1];
+    const content = bytes.slice(0, -1);
+    if (content.reduce((sum, byte) => (sum + byte) % 256, 0) !== checksum) {
+        return null;
+    }
+
+    const format = content[0];
+    const body = content.slice(1);
+    if (format === 0) {
+        return Buffer.from(body).toString('utf8');
+    }
+
+    if ((format === 1 || format === 2) && body.length === 16) {
+        const hex = Buffer.from(body).toString('hex');
+        return format === 2 ? hex : hex.replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5');
+    }
+
+    return null;
+}
+
+// Every distinct identifier hidden in a piece of text, in the order found
+function findWatermarks(text) {
+    const ids = [];
+
+    (String(text).match(watermarkPattern) || []).forEach(match => {
+        const symbols = Array.from(match.slice(1, -1), symbol => watermarkSymbols.indexOf(symbol));
+        if (symbols.length % 4 !== 0) {
+            return;
+        }
+
+        const bytes = [];
+        for (let i = 0; i < symbols.length; i += 4) {
+            bytes.push((symbols[i] << 6) | (symbols[i + 1] << 4) | (symbols[i + 2] << 2) | symbols[i + 3]);
+        }
+
+        const id = decodeWatermarkBytes(bytes);
+        if (id !== null && ids.indexOf(id) === -1) {
+            ids.push(id);
+        }
+    });
+
+    return ids;
+}
+
+// The first identifier hidden in a piece of text, or null (same as MultiaxisProtection.decodeWatermark)
+function decodeWatermark(text) {
+    return findWatermarks(text)[0] || null;
+}
+
+// Command line entry point
+function main(argv) {
+    const file = argv[2];
+    const text = fs.readFileSync(file || 0, 'utf8');
+    const ids = findWatermarks(text);
+
+    if (!ids.length) {
+        console.error('No watermark found. Excerpts need about 150 characters of the original text, copied as text.');
+        process.exit(1);
+    }
+
+    ids.forEach(id => console.log(id));
+}
+
+if (require.main === module) {
+    main(process.argv);
+}
+
+module.exports = {
+    decodeWatermark,
+    findWatermarks
+};
@@ -42,298 +42,2080 @@ const MultiaxisProtection = (function() {
     const defaults = {
         // Content configuration
         protectedContentId: 'protectedContent',
+        protectedElement: null, // An element to protect directly, instead of looking it up by protectedContentId
         modalId: 'protectionModal',
+        root: null, // A ShadowRoot to render the modals and styles into, null = the page (see <multiaxis-protected>)
         
-        // Text customization
-        title: 'Protected Content',
-        notice: 'This verification helps protect our resources from automated AI scrapers and malware while keeping them accessible to legitimate users.',
-        instruction: 'Please complete this simple verification to access this content:',
+        // Language configuration - all text comes from the locale's message bundle,
+        // and any message can also be passed directly (title, notice, hint, errorMessage, ...)
+        locale: null, // e.g. 'fr' or 'pt-BR', null = detect from <html lang>, then the browser language
+        messages: {}, // Overrides for the locale's messages
         challengeCompany: 'MULTIAXIS',
-        hint: 'Eight letters, starts with \'M\'',
-        errorMessage: 'Please type: MULTIAXIS (not case sensitive)',
-        footerText: 'This human verification helps us maintain content quality and security.',
         
         // Accepted answers
         acceptedAnswers: ['MULTIAXIS', 'MULTIAXIS LLC', 'MULTIAXIS AI'],
         
+        // Challenge provider - a registered name or { type: 'arithmetic', ...providerOptions }
+        // Built-in: 'word' (type challengeCompany), 'randomWord', 'arithmetic', 'canvasText', 'imagePick', 'proofOfWork',
+        // and 'accessCode' (a partner access code checked against hashes - see protection-access-code.js)
+        challenge: 'word',
+        
+        // Gating steps, in order - each step's completion is remembered separately, so a visitor resumes where they left off.
+        // Built-in: 'challenge', 'terms' (Safe Harbor), 'email', 'questionnaire', 'countdown', or a type added with registerStep().
+        // Each entry is a type name or { type, id, ...stepOptions }. null = ['challenge', 'terms'], or ['challenge'] without Safe Harbor
+        steps: null,
+        
+        // Attempt limits, off unless set - failed attempts are remembered in storage, so reloading doesn't reset them
+        maxAttempts: null, // Failures before a temporary lockout, e.g. 5, null = no lockout
+        lockoutMinutes: 15, // Length of a lockout, and how long failures are remembered
+        retryDelay: 0, // Wait after the first failure in ms, e.g. 1000, doubled after each further failure (0 = no back-off)
+        maxRetryDelay: 30000,
+        
+        // Accessibility configuration
+        accessibleChallenge: 'arithmetic', // Offered as an alternative to the configured challenge, null = no alternative
+        
         // Safe Harbor configuration - ENABLED BY DEFAULT
         enableSafeHarbor: true,
-        safeHarborTitle: 'Important Legal Notice',
         safeHarborDate: null, // null = use today's date, or provide specific date string
-        safeHarborDaysValid: 30, // Number of days the disclaimer remains valid
-        safeHarborText: null, // Will use default if not provided
+        safeHarborDaysValid: 30, // Number of days the disclaimer, and an acceptance of it, remain valid
+        safeHarborText: null, // A string, or one per locale ({ en: '...', fr: '...' }), null = the locale's default text
+        safeHarborVersion: null, // null = hash of the text, so any change re-prompts returning users
+        safeHarborDeclineAction: 'redirect', // 'redirect' to safeHarborDeclineUrl, 'stay' = return to the challenge, or a function
+        safeHarborDeclineUrl: '/',
+        consentEndpoint: null, // URL that receives a JSON consent receipt on acceptance
+        consentDelivery: 'beacon', // 'beacon' = navigator.sendBeacon, 'fetch' = POST request
+        
+        // Risk scoring configuration
+        riskThreshold: null, // 0-100, null = only report the score to callbacks
+        riskAction: 'escalate', // 'escalate' = switch to escalateChallenge, 'block' = refuse access
+        escalateChallenge: 'canvasText',
         
         // Session configuration
         sessionKey: 'multiaxis_protection',
         safeHarborKey: null, // Will be auto-generated from sessionKey if not provided
         
+        // Persistence configuration
+        storage: 'session', // 'session', 'local', 'cookie', 'memory' or a custom { getItem, setItem, removeItem } adapter
+        cookieOptions: {}, // For 'cookie' storage: { domain, path, sameSite, secure, maxAge }
+        verificationDaysValid: null, // Days a passed challenge is remembered, null = as long as storage keeps it
+        
+        // Server-side gating configuration (see protection-server.js)
+        serverVerifyUrl: null, // e.g. '/multiaxis/verify' - answers are confirmed by the server and gated content is fetched after
+        
+        // Encrypted content configuration (see protection-encrypt.js)
+        encryptedContent: false, // true = decrypt the protected region's payload after verification
+        decryptionKeyShare: null, // Key share printed by protection-encrypt.js --split
+        
+        // Magic links (see protection-magic-link.js) - a link signed for this sessionKey skips the challenge.
+        // The token is read from #multiaxis_token= or ?multiaxis_token= and removed from the address bar
+        magicLinkKey: null, // Ed25519 public key printed by protection-magic-link.js keygen, null = ignore magic links
+        
+        // Content freshness - unlocked content past its expiry date is flagged, blurred or hidden.
+        // Sections inside the region can have their own data-valid-until (and data-expired-action) attributes
+        contentValidUntil: null, // A date such as '2025-12-31', 'notice' = when the Safe Harbor notice runs out, or null
+        expiredContentAction: 'banner', // 'banner', 'blur' (behind a "may be outdated" notice), 'hide' or 'none'
+        
+        // Trap configuration - hidden honeypots and canary text that only automated clients touch.
+        // A session that triggers a trap stays blocked while its storage lasts (protection-server.js blocks it server-side)
+        traps: false, // true, or { honeypot, link, canary } to choose the traps (see trapDefaults)
+        canaryText: 'Reference {token}. This sentence is a canary marker and is not part of the published content.',
+        trapEndpoint: null, // URL that receives a JSON report when a trap is triggered
+        
+        // Copy protection - true, or { citation, blockSelection, blockContextMenu, print, protectImages } (see copyProtectionDefaults)
+        copyProtection: false,
+        
+        // AI crawler policy - true, or { meta, nosnippet } (see crawlerPolicyDefaults). The robots meta tag is added
+        // by script, so only crawlers that run JavaScript see it - send the same rules as robots.txt, ai.txt or an
+        // X-Robots-Tag header too (protection-crawler-policy.js and protection-server.js)
+        crawlerPolicy: false,
+        
+        // Analytics - funnel events with timings (answers are never recorded), batched to an endpoint
+        // or handed to an adapter. true, or { endpoint, adapter, sampleRate, respectDoNotTrack, ... } (see analyticsDefaults)
+        analytics: false,
+        
+        // Watermark configuration - hides the consent receipt ID (or a per-session ID without Safe Harbor)
+        // in the unlocked content, so leaked copies can be traced with decodeWatermark()
+        watermark: false, // true = mark the protected region's text with zero-width characters
+        watermarkImages: false, // true = also mark its same-origin images at the pixel level (they become PNG copies)
+        
         // Styling configuration
         useDefaultStyles: true,
         customStyles: null,
+        theme: 'light', // 'light', 'dark' or 'auto' (follows the visitor's prefers-color-scheme)
+        brand: null, // A registered brand preset name, or { logoUrl, logoAlt, primaryColor, accentColor, highlightColor, fontFamily, variables }
+        templates: {}, // Markup overrides for the verification modal: { header, challenge, footer }
+        cspNonce: null, // Nonce added to injected <style> tags for a strict Content-Security-Policy
         
         // Callbacks
         onSuccess: null,
         onError: null,
         beforeCheck: null,
         onSafeHarborAccept: null,
-        onSafeHarborDecline: null
+        onSafeHarborDecline: null,
+        onLockout: null,
+        onTrapTriggered: null,
+        onExpired: null,
+        onStepComplete: null
     };
     
-    let config = {};
+    // Traps added when traps is true, or for any it leaves out
+    const trapDefaults = {
+        honeypot: true, // A hidden answer field that people never see, so never fill
+        link: true, // A hidden link past the challenge that only crawlers follow
+        linkUrl: '/multiaxis/trap', // Where the trap link points - a separate address, so loading the page itself never traps
+        canary: true // Hidden canary text in the locked region, with a per-session token to search for later
+    };
     
-    // Format date helper function
-    function formatDate(date) {
-        const options = { year: 'numeric', month: 'long', day: 'numeric' };
-        return date.toLocaleDateString('en-US', options);
-    }
+    // Copy protection settings used when copyProtection is true, or for any it leaves out
+    const copyProtectionDefaults = {
+        citation: true, // Append copyCitation (source URL and notice date) to copied text
+        blockSelection: false, // Stop text in the protected region from being selected
+        blockContextMenu: false, // Stop the right-click menu in the protected region
+        print: 'footer', // 'footer' = print the content with printFooter, 'notice' = print printNotice instead, false = no change
+        protectImages: true // Stop images being dragged out or long-pressed to save
+    };
     
-    // Get the date to use for Safe Harbor
-    function getSafeHarborDate() {
-        if (config.safeHarborDate) {
-            // Use provided date if specified
-            return config.safeHarborDate;
-        } else {
-            // Use today's date
-            const today = new Date();
-            return formatDate(today);
-        }
-    }
+    // Crawler policy settings used when crawlerPolicy is true, or for any it leaves out
+    const crawlerPolicyDefaults = {
+        meta: ['noai', 'noimageai', 'noarchive'], // Directives for the <meta name="robots"> tag added to the page head
+        nosnippet: true // Mark the protected region data-nosnippet, so search results don't quote it
+    };
     
-    // Get the expiration date for Safe Harbor validity
-    function getSafeHarborExpirationDate() {
-        const baseDate = config.safeHarborDate ? new Date(config.safeHarborDate) : new Date();
-        const expirationDate = new Date(baseDate);
-        expirationDate.setDate(expirationDate.getDate() + (config.safeHarborDaysValid || 90));
-        return formatDate(expirationDate);
-    }
+    // Analytics settings used when analytics is true, or for any it leaves out
+    const analyticsDefaults = {
+        endpoint: null, // URL that receives batches of events as JSON ({ events: [...] }) via navigator.sendBeacon
+        adapter: null, // A function (or global function name) called with each event, e.g. to forward it to GA or Plausible
+        sampleRate: 1, // Share of sessions recorded, from 0 to 1 - decided once per session
+        respectDoNotTrack: true, // Record nothing when the browser sends Do Not Track or Global Privacy Control
+        batchSize: 10, // Events sent together - a partial batch goes after flushInterval ms, or when the page is hidden
+        flushInterval: 5000,
+        maxQueue: 200 // Unsent events kept in localStorage while offline, oldest dropped first
+    };
+    
+    // The type of each option, used to convert declarative settings and to report invalid ones
+    // 'a|b' = either type, a trailing '?' = may also be null. Messages (title, notice, ...) are text
+    const optionTypes = {
+        protectedContentId: 'string',
+        protectedElement: 'element?',
+        modalId: 'string',
+        root: 'node?',
+        locale: 'string?',
+        messages: 'object',
+        challengeCompany: 'string',
+        acceptedAnswers: 'list',
+        challenge: 'object|string',
+        steps: 'list?',
+        maxAttempts: 'number?',
+        lockoutMinutes: 'number',
+        retryDelay: 'number',
+        maxRetryDelay: 'number',
+        accessibleChallenge: 'object|string?',
+        enableSafeHarbor: 'boolean',
+        safeHarborDate: 'string?',
+        safeHarborDaysValid: 'number',
+        safeHarborText: 'object|string?',
+        safeHarborVersion: 'string?',
+        safeHarborDeclineAction: 'function|string',
+        safeHarborDeclineUrl: 'string',
+        consentEndpoint: 'string?',
+        consentDelivery: 'string',
+        riskThreshold: 'number?',
+        riskAction: 'string',
+        escalateChallenge: 'object|string',
+        sessionKey: 'string',
+        safeHarborKey: 'string?',
+        storage: 'object|string',
+        cookieOptions: 'object',
+        verificationDaysValid: 'number?',
+        serverVerifyUrl: 'string?',
+        encryptedContent: 'boolean',
+        decryptionKeyShare: 'string?',
+        magicLinkKey: 'string?',
+        contentValidUntil: 'string|number|object?',
+        expiredContentAction: 'string',
+        traps: 'boolean|object',
+        canaryText: 'string',
+        trapEndpoint: 'string?',
+        copyProtection: 'boolean|object',
+        crawlerPolicy: 'boolean|object',
+        analytics: 'boolean|object',
+        watermark: 'boolean',
+        watermarkImages: 'boolean',
+        useDefaultStyles: 'boolean',
+        customStyles: 'string?',
+        theme: 'string',
+        brand: 'object|string?',
+        templates: 'object',
+        cspNonce: 'string?',
+        onSuccess: 'function?',
+        onError: 'function?',
+        beforeCheck: 'function?',
+        onSafeHarborAccept: 'function?',
+        onSafeHarborDecline: 'function?',
+        onLockout: 'function?',
+        onTrapTriggered: 'function?',
+        onExpired: 'function?',
+        onStepComplete: 'function?'
+    };
+    
+    // Allowed values for options given as text
+    const optionValues = {
+        safeHarborDeclineAction: ['redirect', 'stay'],
+        consentDelivery: ['beacon', 'fetch'],
+        expiredContentAction: ['banner', 'blur', 'hide', 'none'],
+        riskAction: ['escalate', 'block'],
+        storage: ['session', 'local', 'cookie', 'memory'],
+        theme: ['light', 'dark', 'auto']
+    };
+    
+    // How each type is described in warnings
+    const typeDescriptions = {
+        string: 'text',
+        number: 'a number',
+        boolean: 'true or false',
+        list: 'a list',
+        object: 'an object',
+        function: 'a function',
+        element: 'an element',
+        node: 'a shadow root'
+    };
+    
+    // Built-in message bundles. Missing messages fall back to English,
+    // and {placeholders} are filled in when a message is used
+    const locales = {
+        en: {
+            dir: 'ltr',
+            title: 'Protected Content',
+            notice: 'This verification helps protect our resources from automated AI scrapers and malware while keeping them accessible to legitimate users.',
+            securityNoticeLabel: 'Security Notice:',
+            instruction: 'Please complete this simple verification to access this content:',
+            hint: 'Eight letters, starts with \'M\'',
+            hintLabel: 'Hint:',
+            errorMessage: 'Please type: MULTIAXIS (not case sensitive)',
+            footerText: 'This human verification helps us maintain content quality and security.',
+            inputLabel: 'Your answer',
+            inputPlaceholder: 'Enter company name here',
+            submitButton: 'Verify & Access',
+            unlockedMessage: 'Verification complete. The protected content is now available.',
+            accessibleChallengeText: 'Try an accessible alternative',
+            riskEscalationMessage: 'Additional verification is required. Please complete the new challenge.',
+            riskBlockedMessage: 'Access could not be verified from this browser.',
+            lockoutMessage: 'Too many failed attempts. Verification is temporarily locked.',
+            retryCountdown: 'You can try again in {time}.',
+            retryReadyMessage: 'You can try again now.',
+            attemptsRemainingMessage: 'Attempts left before a temporary lockout: {count}',
+            contentExpiredBanner: 'This content expired on {date} and may be outdated.',
+            contentExpiredNotice: 'This section may be outdated. It was valid until {date}.',
+            contentExpiredShow: 'Show anyway',
+            copyCitation: 'Source: {url} - protected content, notice dated {date}. Reproduction requires permission.',
+            printNotice: 'This content is protected and can\'t be printed. View it online at {url}',
+            printFooter: 'Printed from {url}. Use is subject to the website terms dated {date}.',
+            wordPrompt: 'Type the company name shown in our logo:',
+            randomWordPrompt: 'Type the following word:',
+            randomWordPlaceholder: 'Enter the word here',
+            randomWordError: 'That doesn\'t match. Please type the new word shown.',
+            arithmeticPrompt: 'What is {problem}?',
+            arithmeticPlaceholder: 'Enter the answer here',
+            arithmeticError: 'That isn\'t correct. Please solve the new problem.',
+            canvasTextPrompt: 'Type the characters shown below:',
+            canvasTextPlaceholder: 'Enter the characters shown',
+            canvasTextError: 'Those characters don\'t match. Please try the new code.',
+            canvasTextRefresh: '↻ Show a different code',
+            canvasTextImageLabel: 'Distorted verification code',
+            imagePickPrompt: 'Select the picture of a {label}:',
+            imagePickError: 'That isn\'t the right picture. Please try again.',
+            imagePickGroupLabel: 'Pictures',
+            imagePickTileLabel: 'Picture {number}',
+            imageApple: 'apple',
+            imageCar: 'car',
+            imageDog: 'dog',
+            imageTree: 'tree',
+            imageBoat: 'boat',
+            imageHouse: 'house',
+            imageBicycle: 'bicycle',
+            imageUmbrella: 'umbrella',
+            proofOfWorkPrompt: 'Verifying your browser, this only takes a moment…',
+            proofOfWorkProgressLabel: 'Verification progress',
+            proofOfWorkError: 'Automatic verification failed. Please reload the page to try again.',
+            accessCodePrompt: 'Enter the access code you were given:',
+            accessCodePlaceholder: 'Enter your access code',
+            accessCodeError: 'That access code isn\'t valid or has expired.',
+            stepContinue: 'Continue',
+            emailStepTitle: 'Business Email',
+            emailStepPrompt: 'Enter your business email address to continue.',
+            emailStepLabel: 'Business email address',
+            emailStepPlaceholder: 'name@company.com',
+            emailStepError: 'Please enter a valid email address.',
+            emailStepBusinessError: 'Please use your business email address, not a personal one.',
+            questionnaireStepTitle: 'About You',
+            questionnaireStepPrompt: 'Tell us a little about how you\'ll use this content.',
+            questionnaireStepChoose: 'Choose…',
+            questionnaireStepError: 'Please answer each question.',
+            questionRole: 'Your role',
+            roleCustomer: 'Customer',
+            rolePartner: 'Partner',
+            roleResearcher: 'Researcher',
+            roleJournalist: 'Journalist',
+            questionPurpose: 'Purpose',
+            purposeEvaluation: 'Evaluating a purchase',
+            purposeResearch: 'Research',
+            purposeReporting: 'Reporting',
+            answerOther: 'Other',
+            countdownStepTitle: 'Just a Moment',
+            countdownStepMessage: 'Continuing in {seconds} s…',
+            safeHarborTitle: 'Important Legal Notice',
+            safeHarborChangedNotice: 'Our terms have changed since you last accepted them. Please review and accept the updated terms to continue.',
+            safeHarborAcknowledgment: 'I have read and understand these important legal notices and agree to proceed under these terms.',
+            safeHarborDecline: 'Decline & Exit',
+            safeHarborAccept: 'Accept & Continue',
+            safeHarborDateLabel: 'Date of Notice:',
+            safeHarborText: `
+                <p><strong>Website Terms & Conditions:</strong> This website and its content are proprietary to Multiaxis LLC. By accessing this protected content, you acknowledge and agree to the following terms.</p>
+    
+                <p><strong>Proprietary Information:</strong> All content, technical documentation, whitepapers, and materials on this site are the intellectual property of Multiaxis LLC. Unauthorized reproduction, distribution, or use is strictly prohibited.</p>
+    
+                <p><strong>Forward-Looking Statements:</strong> This site may contain statements regarding planned or future product developments, features, or capabilities. These statements reflect our current plans based on information available today and are not a promise or guarantee of business results, future availability, or functionality. Purchasing, partnership, or investment decisions should not be made in reliance on these statements. Multiaxis LLC assumes no obligation to update forward-looking statements to reflect events or changes after the date on which they are made. If this content is accessed after {expirationDate}, information may be outdated or no longer accurate.</p>
     
-    // Get default Safe Harbor text
-    function getDefaultSafeHarborText() {
-        const currentDate = getSafeHarborDate();
-        const expirationDate = getSafeHarborExpirationDate();
+                <p><strong>Third-Party References:</strong> We may reference partner companies, technologies, or products for informational purposes only. These references do not imply endorsement. Information, opinions, or data provided by third parties are their responsibility, and Multiaxis LLC makes no representations or warranties regarding accuracy or completeness. All third-party trademarks are the property of their respective owners.</p>
+    
+                <p><strong>Disclaimer of Warranties:</strong> Content is provided "as is" without warranties of any kind. Multiaxis LLC assumes no liability for the accuracy, completeness, or usefulness of any information provided.</p>
+    
+                <p><strong>Acceptable Use:</strong> By proceeding, you agree to use this content only for legitimate business purposes and not for competitive analysis, reverse engineering, or any unauthorized purpose. You may not use automated tools, scrapers, or bots to access this content.</p>
+    
+                <p><strong>Confidentiality:</strong> Some content may contain confidential or proprietary information. You agree to maintain the confidentiality of such information and not disclose it to unauthorized parties.</p>
+            `
+        },
         
-        return `
-            <p><strong>Website Terms & Conditions:</strong> This website and its content are proprietary to Multiaxis LLC. By accessing this protected content, you acknowledge and agree to the following terms.</p>
+        es: {
+            title: 'Contenido protegido',
+            notice: 'Esta verificación ayuda a proteger nuestros recursos frente a rastreadores automatizados de IA y software malicioso, sin dejar de ser accesibles para los usuarios legítimos.',
+            securityNoticeLabel: 'Aviso de seguridad:',
+            instruction: 'Complete esta sencilla verificación para acceder a este contenido:',
+            hint: 'Empieza por «M»',
+            hintLabel: 'Pista:',
+            errorMessage: 'Escriba: MULTIAXIS (no distingue mayúsculas y minúsculas)',
+            footerText: 'Esta verificación humana nos ayuda a mantener la calidad y la seguridad del contenido.',
+            inputLabel: 'Su respuesta',
+            inputPlaceholder: 'Escriba aquí el nombre de la empresa',
+            submitButton: 'Verificar y acceder',
+            unlockedMessage: 'Verificación completada. El contenido protegido ya está disponible.',
+            accessibleChallengeText: 'Probar una alternativa accesible',
+            riskEscalationMessage: 'Se requiere una verificación adicional. Complete el nuevo desafío.',
+            riskBlockedMessage: 'No se pudo verificar el acceso desde este navegador.',
+            lockoutMessage: 'Demasiados intentos fallidos. La verificación está bloqueada temporalmente.',
+            retryCountdown: 'Podrá volver a intentarlo en {time}.',
+            retryReadyMessage: 'Ya puede volver a intentarlo.',
+            attemptsRemainingMessage: 'Intentos restantes antes de un bloqueo temporal: {count}',
+            contentExpiredBanner: 'Este contenido caducó el {date} y puede estar desactualizado.',
+            contentExpiredNotice: 'Esta sección puede estar desactualizada. Era válida hasta el {date}.',
+            contentExpiredShow: 'Mostrar de todos modos',
+            copyCitation: 'Fuente: {url} - contenido protegido, aviso con fecha {date}. Su reproducción requiere autorización.',
+            printNotice: 'Este contenido está protegido y no se puede imprimir. Consúltelo en línea en {url}',
+            printFooter: 'Impreso desde {url}. Su uso está sujeto a los términos del sitio web con fecha {date}.',
+            wordPrompt: 'Escriba el nombre de la empresa que aparece en nuestro logotipo:',
+            randomWordPrompt: 'Escriba la siguiente palabra:',
+            randomWordPlaceholder: 'Escriba aquí la palabra',
+            randomWordError: 'No coincide. Escriba la nueva palabra que se muestra.',
+            arithmeticPrompt: '¿Cuánto es {problem}?',
+            arithmeticPlaceholder: 'Escriba aquí la respuesta',
+            arithmeticError: 'No es correcto. Resuelva el nuevo problema.',
+            canvasTextPrompt: 'Escriba los caracteres que se muestran a continuación:',
+            canvasTextPlaceholder: 'Escriba los caracteres mostrados',
+            canvasTextError: 'Los caracteres no coinciden. Pruebe con el nuevo código.',
+            canvasTextRefresh: '↻ Mostrar otro código',
+            canvasTextImageLabel: 'Código de verificación distorsionado',
+            imagePickPrompt: 'Seleccione la imagen de: {label}',
+            imagePickError: 'Esa no es la imagen correcta. Inténtelo de nuevo.',
+            imagePickGroupLabel: 'Imágenes',
+            imagePickTileLabel: 'Imagen {number}',
+            imageApple: 'manzana',
+            imageCar: 'coche',
+            imageDog: 'perro',
+            imageTree: 'árbol',
+            imageBoat: 'barco',
+            imageHouse: 'casa',
+            imageBicycle: 'bicicleta',
+            imageUmbrella: 'paraguas',
+            proofOfWorkPrompt: 'Verificando su navegador, solo tardará un momento…',
+            proofOfWorkProgressLabel: 'Progreso de la verificación',
+            proofOfWorkError: 'La verificación automática ha fallado. Vuelva a cargar la página para intentarlo de nuevo.',
+            accessCodePrompt: 'Introduzca el código de acceso que recibió:',
+            accessCodePlaceholder: 'Introduzca su código de acceso',
+            accessCodeError: 'Ese código de acceso no es válido o ha caducado.',
+            stepContinue: 'Continuar',
+            emailStepTitle: 'Correo profesional',
+            emailStepPrompt: 'Introduzca su correo electrónico profesional para continuar.',
+            emailStepLabel: 'Correo electrónico profesional',
+            emailStepPlaceholder: 'nombre@empresa.com',
+            emailStepError: 'Introduzca una dirección de correo válida.',
+            emailStepBusinessError: 'Utilice su correo profesional, no uno personal.',
+            questionnaireStepTitle: 'Sobre usted',
+            questionnaireStepPrompt: 'Cuéntenos brevemente cómo usará este contenido.',
+            questionnaireStepChoose: 'Elija…',
+            questionnaireStepError: 'Responda a cada pregunta.',
+            questionRole: 'Su función',
+            roleCustomer: 'Cliente',
+            rolePartner: 'Socio',
+            roleResearcher: 'Investigador',
+            roleJournalist: 'Periodista',
+            questionPurpose: 'Finalidad',
+            purposeEvaluation: 'Evaluar una compra',
+            purposeResearch: 'Investigación',
+            purposeReporting: 'Periodismo',
+            answerOther: 'Otro',
+            countdownStepTitle: 'Un momento',
+            countdownStepMessage: 'Continuando en {seconds} s…',
+            safeHarborTitle: 'Aviso legal importante',
+            safeHarborChangedNotice: 'Nuestros términos han cambiado desde la última vez que los aceptó. Revise y acepte los términos actualizados para continuar.',
+            safeHarborAcknowledgment: 'He leído y comprendo estos avisos legales importantes y acepto continuar conforme a estos términos.',
+            safeHarborDecline: 'Rechazar y salir',
+            safeHarborAccept: 'Aceptar y continuar',
+            safeHarborDateLabel: 'Fecha del aviso:',
+            safeHarborText: `
+                <p><strong>Términos y condiciones del sitio web:</strong> Este sitio web y su contenido son propiedad de Multiaxis LLC. Al acceder a este contenido protegido, usted reconoce y acepta los siguientes términos.</p>
     
-            <p><strong>Proprietary Information:</strong> All content, technical documentation, whitepapers, and materials on this site are the intellectual property of Multiaxis LLC. Unauthorized reproduction, distribution, or use is strictly prohibited.</p>
+                <p><strong>Información de propiedad exclusiva:</strong> Todo el contenido, la documentación técnica, los documentos técnicos y los materiales de este sitio son propiedad intelectual de Multiaxis LLC. Queda estrictamente prohibida su reproducción, distribución o uso no autorizados.</p>
     
-            <p><strong>Forward-Looking Statements:</strong> This site may contain statements regarding planned or future product developments, features, or capabilities. These statements reflect our current plans based on information available today and are not a promise or guarantee of business results, future availability, or functionality. Purchasing, partnership, or investment decisions should not be made in reliance on these statements. Multiaxis LLC assumes no obligation to update forward-looking statements to reflect events or changes after the date on which they are made. If this content is accessed after ${expirationDate}, information may be outdated or no longer accurate.</p>
+                <p><strong>Declaraciones prospectivas:</strong> Este sitio puede contener declaraciones sobre desarrollos, funciones o capacidades de productos previstos o futuros. Estas declaraciones reflejan nuestros planes actuales basados en la información disponible hoy y no constituyen una promesa ni una garantía de resultados comerciales, disponibilidad futura o funcionalidad. No deben tomarse decisiones de compra, asociación o inversión basándose en estas declaraciones. Multiaxis LLC no asume ninguna obligación de actualizar las declaraciones prospectivas para reflejar hechos o cambios posteriores a la fecha en que se realizaron. Si accede a este contenido después del {expirationDate}, la información puede estar desactualizada o haber dejado de ser exacta.</p>
     
-            <p><strong>Third-Party References:</strong> We may reference partner companies, technologies, or products for informational purposes only. These references do not imply endorsement. Information, opinions, or data provided by third parties are their responsibility, and Multiaxis LLC makes no representations or warranties regarding accuracy or completeness. All third-party trademarks are the property of their respective owners.</p>
+                <p><strong>Referencias a terceros:</strong> Podemos hacer referencia a empresas, tecnologías o productos asociados únicamente con fines informativos. Estas referencias no implican respaldo. La información, las opiniones o los datos proporcionados por terceros son responsabilidad de estos, y Multiaxis LLC no ofrece declaraciones ni garantías sobre su exactitud o integridad. Todas las marcas comerciales de terceros son propiedad de sus respectivos titulares.</p>
     
-            <p><strong>Disclaimer of Warranties:</strong> Content is provided "as is" without warranties of any kind. Multiaxis LLC assumes no liability for the accuracy, completeness, or usefulness of any information provided.</p>
+                <p><strong>Exención de garantías:</strong> El contenido se proporciona «tal cual», sin garantías de ningún tipo. Multiaxis LLC no asume responsabilidad alguna por la exactitud, integridad o utilidad de la información proporcionada.</p>
     
-            <p><strong>Acceptable Use:</strong> By proceeding, you agree to use this content only for legitimate business purposes and not for competitive analysis, reverse engineering, or any unauthorized purpose. You may not use automated tools, scrapers, or bots to access this content.</p>
+                <p><strong>Uso aceptable:</strong> Al continuar, usted acepta utilizar este contenido únicamente con fines comerciales legítimos y no para análisis competitivo, ingeniería inversa ni ningún otro fin no autorizado. No puede utilizar herramientas automatizadas, rastreadores ni bots para acceder a este contenido.</p>
     
-            <p><strong>Confidentiality:</strong> Some content may contain confidential or proprietary information. You agree to maintain the confidentiality of such information and not disclose it to unauthorized parties.</p>
-        `;
-
+                <p><strong>Confidencialidad:</strong> Parte del contenido puede incluir información confidencial o de propiedad exclusiva. Usted se compromete a mantener la confidencialidad de dicha información y a no divulgarla a terceros no autorizados.</p>
+            `
+        },
+        
+        fr: {
+            title: 'Contenu protégé',
+            notice: 'Cette vérification aide à protéger nos ressources contre les robots d\'extraction IA automatisés et les logiciels malveillants, tout en les gardant accessibles aux utilisateurs légitimes.',
+            securityNoticeLabel: 'Avis de sécurité :',
+            instruction: 'Veuillez effectuer cette vérification simple pour accéder à ce contenu :',
+            hint: 'Commence par « M »',
+            hintLabel: 'Indice :',
+            errorMessage: 'Veuillez saisir : MULTIAXIS (sans tenir compte de la casse)',
+            footerText: 'Cette vérification humaine nous aide à préserver la qualité et la sécurité du contenu.',
+            inputLabel: 'Votre réponse',
+            inputPlaceholder: 'Saisissez le nom de l\'entreprise ici',
+            submitButton: 'Vérifier et accéder',
+            unlockedMessage: 'Vérification terminée. Le contenu protégé est maintenant disponible.',
+            accessibleChallengeText: 'Essayer une alternative accessible',
+            riskEscalationMessage: 'Une vérification supplémentaire est nécessaire. Veuillez relever le nouveau défi.',
+            riskBlockedMessage: 'L\'accès n\'a pas pu être vérifié depuis ce navigateur.',
+            lockoutMessage: 'Trop de tentatives infructueuses. La vérification est temporairement bloquée.',
+            retryCountdown: 'Vous pourrez réessayer dans {time}.',
+            retryReadyMessage: 'Vous pouvez réessayer maintenant.',
+            attemptsRemainingMessage: 'Tentatives restantes avant un blocage temporaire : {count}',
+            contentExpiredBanner: 'Ce contenu a expiré le {date} et peut être obsolète.',
+            contentExpiredNotice: 'Cette section peut être obsolète. Elle était valable jusqu\'au {date}.',
+            contentExpiredShow: 'Afficher quand même',
+            copyCitation: 'Source : {url} - contenu protégé, avis daté du {date}. Toute reproduction nécessite une autorisation.',
+            printNotice: 'Ce contenu est protégé et ne peut pas être imprimé. Consultez-le en ligne sur {url}',
+            printFooter: 'Imprimé depuis {url}. Utilisation soumise aux conditions du site datées du {date}.',
+            wordPrompt: 'Saisissez le nom de l\'entreprise figurant dans notre logo :',
+            randomWordPrompt: 'Saisissez le mot suivant :',
+            randomWordPlaceholder: 'Saisissez le mot ici',
+            randomWordError: 'Cela ne correspond pas. Veuillez saisir le nouveau mot affiché.',
+            arithmeticPrompt: 'Combien font {problem} ?',
+            arithmeticPlaceholder: 'Saisissez la réponse ici',
+            arithmeticError: 'Ce n\'est pas correct. Veuillez résoudre le nouveau calcul.',
+            canvasTextPrompt: 'Saisissez les caractères affichés ci-dessous :',
+            canvasTextPlaceholder: 'Saisissez les caractères affichés',
+            canvasTextError: 'Ces caractères ne correspondent pas. Veuillez essayer le nouveau code.',
+            canvasTextRefresh: '↻ Afficher un autre code',
+            canvasTextImageLabel: 'Code de vérification déformé',
+            imagePickPrompt: 'Sélectionnez l\'image : {label}',
+            imagePickError: 'Ce n\'est pas la bonne image. Veuillez réessayer.',
+            imagePickGroupLabel: 'Images',
+            imagePickTileLabel: 'Image {number}',
+            imageApple: 'pomme',
+            imageCar: 'voiture',
+            imageDog: 'chien',
+            imageTree: 'arbre',
+            imageBoat: 'bateau',
+            imageHouse: 'maison',
+            imageBicycle: 'vélo',
+            imageUmbrella: 'parapluie',
+            proofOfWorkPrompt: 'Vérification de votre navigateur, cela ne prend qu\'un instant…',
+            proofOfWorkProgressLabel: 'Progression de la vérification',
+            proofOfWorkError: 'La vérification automatique a échoué. Veuillez recharger la page pour réessayer.',
+            accessCodePrompt: 'Saisissez le code d\'accès qui vous a été remis :',
+            accessCodePlaceholder: 'Saisissez votre code d\'accès',
+            accessCodeError: 'Ce code d\'accès n\'est pas valide ou a expiré.',
+            stepContinue: 'Continuer',
+            emailStepTitle: 'E-mail professionnel',
+            emailStepPrompt: 'Saisissez votre adresse e-mail professionnelle pour continuer.',
+            emailStepLabel: 'Adresse e-mail professionnelle',
+            emailStepPlaceholder: 'nom@entreprise.com',
+            emailStepError: 'Veuillez saisir une adresse e-mail valide.',
+            emailStepBusinessError: 'Veuillez utiliser votre adresse professionnelle, et non une adresse personnelle.',
+            questionnaireStepTitle: 'À propos de vous',
+            questionnaireStepPrompt: 'Dites-nous en quelques mots comment vous utiliserez ce contenu.',
+            questionnaireStepChoose: 'Choisir…',
+            questionnaireStepError: 'Veuillez répondre à chaque question.',
+            questionRole: 'Votre fonction',
+            roleCustomer: 'Client',
+            rolePartner: 'Partenaire',
+            roleResearcher: 'Chercheur',
+            roleJournalist: 'Journaliste',
+            questionPurpose: 'Objectif',
+            purposeEvaluation: 'Évaluer un achat',
+            purposeResearch: 'Recherche',
+            purposeReporting: 'Journalisme',
+            answerOther: 'Autre',
+            countdownStepTitle: 'Un instant',
+            countdownStepMessage: 'Suite dans {seconds} s…',
+            safeHarborTitle: 'Avis juridique important',
+            safeHarborChangedNotice: 'Nos conditions ont changé depuis votre dernière acceptation. Veuillez consulter et accepter les conditions mises à jour pour continuer.',
+            safeHarborAcknowledgment: 'J\'ai lu et compris ces avis juridiques importants et j\'accepte de poursuivre selon ces conditions.',
+            safeHarborDecline: 'Refuser et quitter',
+            safeHarborAccept: 'Accepter et continuer',
+            safeHarborDateLabel: 'Date de l\'avis :',
+            safeHarborText: `
+                <p><strong>Conditions générales du site :</strong> Ce site et son contenu sont la propriété de Multiaxis LLC. En accédant à ce contenu protégé, vous reconnaissez et acceptez les conditions suivantes.</p>
+    
+                <p><strong>Informations exclusives :</strong> L'ensemble du contenu, de la documentation technique, des livres blancs et des documents de ce site constitue la propriété intellectuelle de Multiaxis LLC. Toute reproduction, distribution ou utilisation non autorisée est strictement interdite.</p>
+    
+                <p><strong>Déclarations prospectives :</strong> Ce site peut contenir des déclarations concernant des développements, fonctionnalités ou capacités de produits prévus ou futurs. Ces déclarations reflètent nos projets actuels, fondés sur les informations disponibles à ce jour, et ne constituent ni une promesse ni une garantie de résultats commerciaux, de disponibilité future ou de fonctionnalité. Aucune décision d'achat, de partenariat ou d'investissement ne doit être prise sur la base de ces déclarations. Multiaxis LLC n'assume aucune obligation de mettre à jour les déclarations prospectives pour refléter des événements ou changements survenus après la date à laquelle elles ont été faites. Si ce contenu est consulté après le {expirationDate}, les informations peuvent être obsolètes ou inexactes.</p>
+    
+                <p><strong>Références à des tiers :</strong> Nous pouvons faire référence à des entreprises, technologies ou produits partenaires à titre purement informatif. Ces références n'impliquent aucune approbation. Les informations, opinions ou données fournies par des tiers relèvent de leur responsabilité, et Multiaxis LLC ne fait aucune déclaration et n'offre aucune garantie quant à leur exactitude ou leur exhaustivité. Toutes les marques de tiers appartiennent à leurs propriétaires respectifs.</p>
+    
+                <p><strong>Exclusion de garanties :</strong> Le contenu est fourni « en l'état », sans garantie d'aucune sorte. Multiaxis LLC décline toute responsabilité quant à l'exactitude, l'exhaustivité ou l'utilité des informations fournies.</p>
+    
+                <p><strong>Utilisation acceptable :</strong> En poursuivant, vous acceptez d'utiliser ce contenu uniquement à des fins professionnelles légitimes et non à des fins d'analyse concurrentielle, d'ingénierie inverse ou à toute autre fin non autorisée. Vous ne pouvez pas utiliser d'outils automatisés, de robots d'extraction ou de bots pour accéder à ce contenu.</p>
+    
+                <p><strong>Confidentialité :</strong> Certains contenus peuvent comporter des informations confidentielles ou exclusives. Vous vous engagez à préserver la confidentialité de ces informations et à ne pas les divulguer à des personnes non autorisées.</p>
+            `
+        },
+        
+        de: {
+            title: 'Geschützter Inhalt',
+            notice: 'Diese Überprüfung schützt unsere Ressourcen vor automatisierten KI-Scrapern und Schadsoftware und hält sie gleichzeitig für berechtigte Nutzer zugänglich.',
+            securityNoticeLabel: 'Sicherheitshinweis:',
+            instruction: 'Bitte führen Sie diese einfache Überprüfung durch, um auf diesen Inhalt zuzugreifen:',
+            hint: 'Beginnt mit „M“',
+            hintLabel: 'Tipp:',
+            errorMessage: 'Bitte eingeben: MULTIAXIS (Groß-/Kleinschreibung egal)',
+            footerText: 'Diese Überprüfung hilft uns, die Qualität und Sicherheit unserer Inhalte zu gewährleisten.',
+            inputLabel: 'Ihre Antwort',
+            inputPlaceholder: 'Firmennamen hier eingeben',
+            submitButton: 'Überprüfen & Zugreifen',
+            unlockedMessage: 'Überprüfung abgeschlossen. Der geschützte Inhalt ist jetzt verfügbar.',
+            accessibleChallengeText: 'Barrierefreie Alternative verwenden',
+            riskEscalationMessage: 'Eine zusätzliche Überprüfung ist erforderlich. Bitte lösen Sie die neue Aufgabe.',
+            riskBlockedMessage: 'Der Zugriff konnte von diesem Browser aus nicht überprüft werden.',
+            lockoutMessage: 'Zu viele Fehlversuche. Die Überprüfung ist vorübergehend gesperrt.',
+            retryCountdown: 'Sie können es in {time} erneut versuchen.',
+            retryReadyMessage: 'Sie können es jetzt erneut versuchen.',
+            attemptsRemainingMessage: 'Verbleibende Versuche vor einer vorübergehenden Sperre: {count}',
+            contentExpiredBanner: 'Dieser Inhalt ist am {date} abgelaufen und möglicherweise veraltet.',
+            contentExpiredNotice: 'Dieser Abschnitt ist möglicherweise veraltet. Er war gültig bis {date}.',
+            contentExpiredShow: 'Trotzdem anzeigen',
+            copyCitation: 'Quelle: {url} - geschützter Inhalt, Hinweis vom {date}. Vervielfältigung nur mit Genehmigung.',
+            printNotice: 'Dieser Inhalt ist geschützt und kann nicht gedruckt werden. Online ansehen unter {url}',
+            printFooter: 'Gedruckt von {url}. Die Nutzung unterliegt den Website-Bedingungen vom {date}.',
+            wordPrompt: 'Geben Sie den Firmennamen aus unserem Logo ein:',
+            randomWordPrompt: 'Geben Sie das folgende Wort ein:',
+            randomWordPlaceholder: 'Wort hier eingeben',
+            randomWordError: 'Das stimmt nicht überein. Bitte geben Sie das neu angezeigte Wort ein.',
+            arithmeticPrompt: 'Was ergibt {problem}?',
+            arithmeticPlaceholder: 'Antwort hier eingeben',
+            arithmeticError: 'Das ist nicht richtig. Bitte lösen Sie die neue Aufgabe.',
+            canvasTextPrompt: 'Geben Sie die unten angezeigten Zeichen ein:',
+            canvasTextPlaceholder: 'Angezeigte Zeichen eingeben',
+            canvasTextError: 'Die Zeichen stimmen nicht überein. Bitte versuchen Sie den neuen Code.',
+            canvasTextRefresh: '↻ Anderen Code anzeigen',
+            canvasTextImageLabel: 'Verzerrter Bestätigungscode',
+            imagePickPrompt: 'Wählen Sie das Bild aus: {label}',
+            imagePickError: 'Das ist nicht das richtige Bild. Bitte versuchen Sie es erneut.',
+            imagePickGroupLabel: 'Bilder',
+            imagePickTileLabel: 'Bild {number}',
+            imageApple: 'Apfel',
+            imageCar: 'Auto',
+            imageDog: 'Hund',
+            imageTree: 'Baum',
+            imageBoat: 'Boot',
+            imageHouse: 'Haus',
+            imageBicycle: 'Fahrrad',
+            imageUmbrella: 'Regenschirm',
+            proofOfWorkPrompt: 'Ihr Browser wird überprüft, das dauert nur einen Moment…',
+            proofOfWorkProgressLabel: 'Fortschritt der Überprüfung',
+            proofOfWorkError: 'Die automatische Überprüfung ist fehlgeschlagen. Bitte laden Sie die Seite neu, um es erneut zu versuchen.',
+            accessCodePrompt: 'Geben Sie den Zugangscode ein, den Sie erhalten haben:',
+            accessCodePlaceholder: 'Zugangscode eingeben',
+            accessCodeError: 'Dieser Zugangscode ist ungültig oder abgelaufen.',
+            stepContinue: 'Weiter',
+            emailStepTitle: 'Geschäftliche E-Mail',
+            emailStepPrompt: 'Geben Sie Ihre geschäftliche E-Mail-Adresse ein, um fortzufahren.',
+            emailStepLabel: 'Geschäftliche E-Mail-Adresse',
+            emailStepPlaceholder: 'name@firma.de',
+            emailStepError: 'Bitte geben Sie eine gültige E-Mail-Adresse ein.',
+            emailStepBusinessError: 'Bitte verwenden Sie Ihre geschäftliche, keine private E-Mail-Adresse.',
+            questionnaireStepTitle: 'Über Sie',
+            questionnaireStepPrompt: 'Sagen Sie uns kurz, wie Sie diese Inhalte nutzen werden.',
+            questionnaireStepChoose: 'Auswählen…',
+            questionnaireStepError: 'Bitte beantworten Sie jede Frage.',
+            questionRole: 'Ihre Rolle',
+            roleCustomer: 'Kunde',
+            rolePartner: 'Partner',
+            roleResearcher: 'Wissenschaft',
+            roleJournalist: 'Presse',
+            questionPurpose: 'Zweck',
+            purposeEvaluation: 'Kaufentscheidung',
+            purposeResearch: 'Forschung',
+            purposeReporting: 'Berichterstattung',
+            answerOther: 'Sonstiges',
+            countdownStepTitle: 'Einen Moment',
+            countdownStepMessage: 'Weiter in {seconds} s…',
+            safeHarborTitle: 'Wichtiger rechtlicher Hinweis',
+            safeHarborChangedNotice: 'Unsere Bedingungen haben sich seit Ihrer letzten Zustimmung geändert. Bitte lesen und akzeptieren Sie die aktualisierten Bedingungen, um fortzufahren.',
+            safeHarborAcknowledgment: 'Ich habe diese wichtigen rechtlichen Hinweise gelesen und verstanden und stimme zu, unter diesen Bedingungen fortzufahren.',
+            safeHarborDecline: 'Ablehnen & Verlassen',
+            safeHarborAccept: 'Akzeptieren & Fortfahren',
+            safeHarborDateLabel: 'Datum des Hinweises:',
+            safeHarborText: `
+                <p><strong>Nutzungsbedingungen der Website:</strong> Diese Website und ihre Inhalte sind Eigentum der Multiaxis LLC. Mit dem Zugriff auf diese geschützten Inhalte erkennen Sie die folgenden Bedingungen an und stimmen ihnen zu.</p>
+    
+                <p><strong>Geschützte Informationen:</strong> Alle Inhalte, technischen Dokumentationen, Whitepaper und Materialien auf dieser Website sind geistiges Eigentum der Multiaxis LLC. Eine unbefugte Vervielfältigung, Verbreitung oder Nutzung ist strengstens untersagt.</p>
+    
+                <p><strong>Zukunftsgerichtete Aussagen:</strong> Diese Website kann Aussagen über geplante oder zukünftige Produktentwicklungen, Funktionen oder Fähigkeiten enthalten. Diese Aussagen spiegeln unsere aktuellen Pläne auf Grundlage der heute verfügbaren Informationen wider und stellen kein Versprechen und keine Garantie für Geschäftsergebnisse, zukünftige Verfügbarkeit oder Funktionalität dar. Kauf-, Partnerschafts- oder Investitionsentscheidungen sollten nicht im Vertrauen auf diese Aussagen getroffen werden. Die Multiaxis LLC ist nicht verpflichtet, zukunftsgerichtete Aussagen zu aktualisieren, um Ereignisse oder Änderungen nach dem Datum ihrer Veröffentlichung zu berücksichtigen. Wenn Sie nach dem {expirationDate} auf diese Inhalte zugreifen, können die Informationen veraltet oder nicht mehr zutreffend sein.</p>
+    
+                <p><strong>Verweise auf Dritte:</strong> Wir können zu reinen Informationszwecken auf Partnerunternehmen, Technologien oder Produkte verweisen. Diese Verweise stellen keine Empfehlung dar. Für Informationen, Meinungen oder Daten Dritter sind diese selbst verantwortlich, und die Multiaxis LLC übernimmt keine Gewähr für deren Richtigkeit oder Vollständigkeit. Alle Marken Dritter sind Eigentum ihrer jeweiligen Inhaber.</p>
+    
+                <p><strong>Gewährleistungsausschluss:</strong> Die Inhalte werden „wie besehen“ ohne jegliche Gewährleistung bereitgestellt. Die Multiaxis LLC übernimmt keine Haftung für die Richtigkeit, Vollständigkeit oder Nützlichkeit der bereitgestellten Informationen.</p>
+    
+                <p><strong>Zulässige Nutzung:</strong> Indem Sie fortfahren, erklären Sie sich damit einverstanden, diese Inhalte ausschließlich für legitime geschäftliche Zwecke und nicht für Wettbewerbsanalysen, Reverse Engineering oder andere unbefugte Zwecke zu nutzen. Sie dürfen keine automatisierten Tools, Scraper oder Bots verwenden, um auf diese Inhalte zuzugreifen.</p>
+    
+                <p><strong>Vertraulichkeit:</strong> Einige Inhalte können vertrauliche oder geschützte Informationen enthalten. Sie verpflichten sich, diese Informationen vertraulich zu behandeln und nicht an Unbefugte weiterzugeben.</p>
+            `
+        },
+        
+        ar: {
+            dir: 'rtl',
+            title: 'محتوى محمي',
+            notice: 'يساعد هذا التحقق في حماية مواردنا من أدوات جمع البيانات الآلية المعتمدة على الذكاء الاصطناعي ومن البرمجيات الخبيثة، مع إبقائها متاحة للمستخدمين الشرعيين.',
+            securityNoticeLabel: 'تنبيه أمني:',
+            instruction: 'يرجى إكمال هذا التحقق البسيط للوصول إلى هذا المحتوى:',
+            hint: 'يبدأ بالحرف M',
+            hintLabel: 'تلميح:',
+            errorMessage: 'يرجى كتابة: MULTIAXIS (لا يهم حجم الأحرف)',
+            footerText: 'يساعدنا هذا التحقق البشري في الحفاظ على جودة المحتوى وأمانه.',
+            inputLabel: 'إجابتك',
+            inputPlaceholder: 'أدخل اسم الشركة هنا',
+            submitButton: 'تحقق وادخل',
+            unlockedMessage: 'اكتمل التحقق. المحتوى المحمي متاح الآن.',
+            accessibleChallengeText: 'جرّب بديلاً سهل الوصول',
+            riskEscalationMessage: 'يلزم إجراء تحقق إضافي. يرجى إكمال التحدي الجديد.',
+            riskBlockedMessage: 'تعذّر التحقق من الوصول من هذا المتصفح.',
+            lockoutMessage: 'محاولات فاشلة كثيرة جداً. التحقق مقفل مؤقتاً.',
+            retryCountdown: 'يمكنك المحاولة مرة أخرى بعد {time}.',
+            retryReadyMessage: 'يمكنك المحاولة مرة أخرى الآن.',
+            attemptsRemainingMessage: 'المحاولات المتبقية قبل القفل المؤقت: {count}',
+            contentExpiredBanner: 'انتهت صلاحية هذا المحتوى في {date} وقد يكون قديمًا.',
+            contentExpiredNotice: 'قد يكون هذا القسم قديمًا. كان صالحًا حتى {date}.',
+            contentExpiredShow: 'العرض على أي حال',
+            copyCitation: 'المصدر: {url} - محتوى محمي، إشعار بتاريخ {date}. يتطلب النسخ الحصول على إذن.',
+            printNotice: 'هذا المحتوى محمي ولا يمكن طباعته. يمكنك الاطلاع عليه عبر الإنترنت على {url}',
+            printFooter: 'طُبع من {url}. يخضع الاستخدام لشروط الموقع بتاريخ {date}.',
+            wordPrompt: 'اكتب اسم الشركة الظاهر في شعارنا:',
+            randomWordPrompt: 'اكتب الكلمة التالية:',
+            randomWordPlaceholder: 'أدخل الكلمة هنا',
+            randomWordError: 'الكلمة غير مطابقة. يرجى كتابة الكلمة الجديدة المعروضة.',
+            arithmeticPrompt: 'ما ناتج {problem}؟',
+            arithmeticPlaceholder: 'أدخل الإجابة هنا',
+            arithmeticError: 'الإجابة غير صحيحة. يرجى حل المسألة الجديدة.',
+            canvasTextPrompt: 'اكتب الأحرف المعروضة أدناه:',
+            canvasTextPlaceholder: 'أدخل الأحرف المعروضة',
+            canvasTextError: 'الأحرف غير مطابقة. يرجى تجربة الرمز الجديد.',
+            canvasTextRefresh: '↻ عرض رمز مختلف',
+            canvasTextImageLabel: 'رمز تحقق مشوّه',
+            imagePickPrompt: 'اختر صورة: {label}',
+            imagePickError: 'هذه ليست الصورة الصحيحة. يرجى المحاولة مرة أخرى.',
+            imagePickGroupLabel: 'الصور',
+            imagePickTileLabel: 'الصورة {number}',
+            imageApple: 'تفاحة',
+            imageCar: 'سيارة',
+            imageDog: 'كلب',
+            imageTree: 'شجرة',
+            imageBoat: 'قارب',
+            imageHouse: 'منزل',
+            imageBicycle: 'دراجة',
+            imageUmbrella: 'مظلة',
+            proofOfWorkPrompt: 'جارٍ التحقق من متصفحك، لن يستغرق ذلك سوى لحظة…',
+            proofOfWorkProgressLabel: 'تقدّم التحقق',
+            proofOfWorkError: 'فشل التحقق التلقائي. يرجى إعادة تحميل الصفحة للمحاولة مرة أخرى.',
+            accessCodePrompt: 'أدخل رمز الوصول الذي حصلت عليه:',
+            accessCodePlaceholder: 'أدخل رمز الوصول',
+            accessCodeError: 'رمز الوصول هذا غير صالح أو منتهي الصلاحية.',
+            stepContinue: 'متابعة',
+            emailStepTitle: 'البريد الإلكتروني للعمل',
+            emailStepPrompt: 'أدخل عنوان بريدك الإلكتروني للعمل للمتابعة.',
+            emailStepLabel: 'عنوان البريد الإلكتروني للعمل',
+            emailStepPlaceholder: 'name@company.com',
+            emailStepError: 'يرجى إدخال عنوان بريد إلكتروني صالح.',
+            emailStepBusinessError: 'يرجى استخدام بريدك الإلكتروني للعمل وليس بريدًا شخصيًا.',
+            questionnaireStepTitle: 'عنك',
+            questionnaireStepPrompt: 'أخبرنا باختصار كيف ستستخدم هذا المحتوى.',
+            questionnaireStepChoose: 'اختر…',
+            questionnaireStepError: 'يرجى الإجابة عن كل سؤال.',
+            questionRole: 'دورك',
+            roleCustomer: 'عميل',
+            rolePartner: 'شريك',
+            roleResearcher: 'باحث',
+            roleJournalist: 'صحفي',
+            questionPurpose: 'الغرض',
+            purposeEvaluation: 'تقييم عملية شراء',
+            purposeResearch: 'بحث',
+            purposeReporting: 'عمل صحفي',
+            answerOther: 'أخرى',
+            countdownStepTitle: 'لحظة من فضلك',
+            countdownStepMessage: 'المتابعة خلال {seconds} ث…',
+            safeHarborTitle: 'إشعار قانوني مهم',
+            safeHarborChangedNotice: 'تغيّرت شروطنا منذ آخر مرة وافقت عليها. يرجى مراجعة الشروط المحدّثة والموافقة عليها للمتابعة.',
+            safeHarborAcknowledgment: 'لقد قرأت هذه الإشعارات القانونية المهمة وفهمتها، وأوافق على المتابعة وفقاً لهذه الشروط.',
+            safeHarborDecline: 'رفض وخروج',
+            safeHarborAccept: 'قبول ومتابعة',
+            safeHarborDateLabel: 'تاريخ الإشعار:',
+            safeHarborText: `
+                <p><strong>شروط وأحكام الموقع:</strong> هذا الموقع ومحتواه ملك لشركة Multiaxis LLC. بوصولك إلى هذا المحتوى المحمي، فإنك تقرّ بالشروط التالية وتوافق عليها.</p>
+    
+                <p><strong>المعلومات المملوكة:</strong> جميع المحتويات والوثائق التقنية والأوراق البيضاء والمواد الموجودة على هذا الموقع هي ملكية فكرية لشركة Multiaxis LLC. يُحظر تماماً النسخ أو التوزيع أو الاستخدام غير المصرّح به.</p>
+    
+                <p><strong>البيانات التطلعية:</strong> قد يحتوي هذا الموقع على بيانات تتعلق بتطويرات أو ميزات أو قدرات مخطط لها أو مستقبلية للمنتجات. تعكس هذه البيانات خططنا الحالية بناءً على المعلومات المتاحة اليوم، ولا تشكّل وعداً أو ضماناً لنتائج الأعمال أو التوفر المستقبلي أو الوظائف. لا ينبغي اتخاذ قرارات الشراء أو الشراكة أو الاستثمار اعتماداً على هذه البيانات. لا تتحمل شركة Multiaxis LLC أي التزام بتحديث البيانات التطلعية لتعكس الأحداث أو التغييرات بعد تاريخ صدورها. إذا تم الوصول إلى هذا المحتوى بعد {expirationDate}، فقد تكون المعلومات قديمة أو لم تعد دقيقة.</p>
+    
+                <p><strong>الإشارات إلى أطراف ثالثة:</strong> قد نشير إلى شركات أو تقنيات أو منتجات شريكة لأغراض إعلامية فقط، ولا تعني هذه الإشارات أي تأييد. تقع مسؤولية المعلومات أو الآراء أو البيانات المقدمة من أطراف ثالثة على عاتق تلك الأطراف، ولا تقدّم شركة Multiaxis LLC أي إقرارات أو ضمانات بشأن دقتها أو اكتمالها. جميع العلامات التجارية للأطراف الثالثة مملوكة لأصحابها.</p>
+    
+                <p><strong>إخلاء المسؤولية عن الضمانات:</strong> يُقدَّم المحتوى "كما هو" دون أي ضمانات من أي نوع. لا تتحمل شركة Multiaxis LLC أي مسؤولية عن دقة المعلومات المقدمة أو اكتمالها أو فائدتها.</p>
+    
+                <p><strong>الاستخدام المقبول:</strong> بمتابعتك، فإنك توافق على استخدام هذا المحتوى لأغراض تجارية مشروعة فقط، وليس للتحليل التنافسي أو الهندسة العكسية أو أي غرض غير مصرّح به. لا يجوز لك استخدام أدوات آلية أو برامج جمع البيانات أو الروبوتات للوصول إلى هذا المحتوى.</p>
+    
+                <p><strong>السرية:</strong> قد يتضمن بعض المحتوى معلومات سرية أو مملوكة، وأنت توافق على الحفاظ على سرية هذه المعلومات وعدم الإفصاح عنها لأطراف غير مصرّح لها.</p>
+            `
+        }
+    };
+    
+    // Register a message bundle, or add to an existing one
+    // messages: any of the keys in locales.en, including dir ('ltr' or 'rtl') and safeHarborText
+    function registerLocale(locale, messages) {
+        const code = String(locale).toLowerCase();
+        locales[code] = { ...locales[code], ...messages };
     }
-  
-    // Create Safe Harbor modal HTML
-    function createSafeHarborModal() {
-        const currentDate = getSafeHarborDate();
-        const safeHarborKey = config.safeHarborKey || config.sessionKey + '_safeharbor';
-    
-        const modal = document.createElement('div');
-        modal.id = 'safeHarborModal';
-        modal.className = 'safe-harbor-modal';
-        modal.innerHTML = `
-            <div class="safe-harbor-container">
-                <h2 class="safe-harbor-title">
-                    <span class="legal-icon">⚖️</span>
-                    <span>${config.safeHarborTitle}</span>
-                </h2>
-            
-                <div class="safe-harbor-content">
-                    ${config.safeHarborText || getDefaultSafeHarborText()}
-                </div>
-            
-                <div class="safe-harbor-acknowledgment">
-                    <label class="safe-harbor-checkbox-label">
-                        <input type="checkbox" id="safeHarborCheckbox" class="safe-harbor-checkbox"
-                               onchange="document.getElementById('safeHarborAccept').disabled = !this.checked; console.log('Checkbox changed:', this.checked);">
-                        <span>I have read and understand these important legal notices and agree to proceed under these terms.</span>
-                    </label>
-                </div>
-            
-                <div class="safe-harbor-buttons">
-                    <button class="safe-harbor-decline" id="safeHarborDecline"
-                            onclick="console.log('Decline clicked'); sessionStorage.clear(); window.location.href='/';">
-                        Decline & Exit
-                    </button>
-                    <button class="safe-harbor-accept" id="safeHarborAccept" disabled
-                            onclick="console.log('Accept clicked'); if(document.getElementById('safeHarborCheckbox').checked) { document.getElementById('safeHarborModal').classList.add('hidden'); document.getElementById('protectedContent').classList.add('authorized'); sessionStorage.setItem('${safeHarborKey}', 'accepted'); }">
-                        Accept & Continue
-                    </button>
-                </div>
-            
-                <div class="safe-harbor-footer">
-                    <p>Date of Notice: ${currentDate}</p>
-                </div>
-            </div>
-    `    ;
-    
-        return modal;
-    }
-    
-    // Create protection modal HTML
-    function createModal() {
-        const modal = document.createElement('div');
-        modal.id = config.modalId;
-        modal.className = 'protection-modal';
-        modal.innerHTML = `
-            <div class="protection-container">
-                <h2 class="protection-title">
-                    <span class="shield-icon">🛡️</span>
-                    <span>${config.title}</span>
-                </h2>
-                
-                <div class="protection-notice">
-                    <p>
-                        <strong>Security Notice:</strong> ${config.notice}
-                    </p>
-                </div>
-
-                <p class="protection-instruction">
-                    ${config.instruction}
-                </p>
+    
+    // Registered brand presets, see registerBrand()
+    const brands = {};
 
-                <div class="protection-challenge">
-                    <p class="challenge-text">
-                        Type the company name shown in our logo:
-                        <br>
-                        <strong style="font-size: 1.2em; color: var(--accent-color, #ff6b35);">${config.challengeCompany}</strong>
-                    </p>
-                    
-                    <div class="protection-hint">
-                        <p>💡 Hint: ${config.hint}</p>
-                    </div>
+    // CSS variables set by each brand preset color
+    const brandVariables = {
+        primaryColor: '--multiaxis-primary',
+        accentColor: '--multiaxis-accent',
+        accentHoverColor: '--multiaxis-accent-hover',
+        highlightColor: '--multiaxis-highlight',
+        fontFamily: '--multiaxis-font-family'
+    };
 
-                    <input 
-                        type="text" 
-                        id="protectionInput" 
-                        class="protection-input" 
-                        placeholder="Enter company name here"
-                        autocomplete="off"
-                        spellcheck="false"
-                    >
-                    
-                    <button class="protection-submit" id="protectionSubmit">
-                        Verify & Access
-                    </button>
-                    
-                    <div id="protectionError" class="protection-error">
-                        ${config.errorMessage}
-                    </div>
-                </div>
+    // Register a brand preset that pages can select with brand: 'name'
+    // preset: { logoUrl, logoAlt, primaryColor, accentColor, accentHoverColor, highlightColor, fontFamily, variables }
+    function registerBrand(name, preset) {
+        brands[name] = { ...brands[name], ...preset };
+    }
 
-                <div class="protection-footer">
-                    ${config.footerText}
-                </div>
-            </div>
-        `;
+    // Detect the visitor's locale: the page language first, then the browser language
+    function detectLocale() {
+        return document.documentElement.lang || navigator.language || 'en';
+    }
+    
+    // Messages for a locale tag - English, overlaid with its language and then the exact tag (e.g. 'pt', then 'pt-br')
+    function getLocaleMessages(locale) {
+        const code = String(locale).toLowerCase();
+        const language = code.split('-')[0];
+        return { ...locales.en, ...locales[language], ...locales[code] };
+    }
+    
+    // The type of an option, or null if there's no such option
+    function getOptionType(key) {
+        if (optionTypes[key]) {
+            return optionTypes[key];
+        }
         
-        return modal;
+        const isMessage = Object.keys(locales).some(code => Object.prototype.hasOwnProperty.call(locales[code], key));
+        return isMessage ? 'string' : null;
     }
     
-    // Create default styles
-    function createStyles() {
-        const styles = `
-            .protection-modal, .safe-harbor-modal {
-                display: flex;
-                position: fixed;
-                top: 0;
-                left: 0;
-                width: 100%;
-                height: 100%;
-                background: rgba(0, 0, 0, 0.7);
-                z-index: 10000;
-                align-items: center;
-                justify-content: center;
-                backdrop-filter: blur(5px);
+    // Check a value against an option's type, and its allowed values when it's text
+    function isValidOption(key, value) {
+        const type = getOptionType(key);
+        const nullable = type.slice(-1) === '?';
+        
+        if (value === null || value === undefined) {
+            return nullable || value === undefined;
+        }
+        
+        if (typeof value === 'string' && optionValues[key] && optionValues[key].indexOf(value) === -1) {
+            return false;
+        }
+        
+        return type.replace('?', '').split('|').some(name => {
+            switch (name) {
+                case 'string': return typeof value === 'string';
+                case 'number': return typeof value === 'number' && isFinite(value);
+                case 'boolean': return typeof value === 'boolean';
+                case 'list': return Array.isArray(value);
+                case 'object': return typeof value === 'object' && !Array.isArray(value);
+                case 'function': return typeof value === 'function';
+                case 'element': return value.nodeType === 1;
+                case 'node': return value.nodeType === 1 || value.nodeType === 11;
+                default: return false;
             }
-
-            .protection-modal.hidden, .safe-harbor-modal.hidden {
-                display: none;
+        });
+    }
+    
+    // Describe an option's expected value for a warning
+    function describeOption(key) {
+        const type = getOptionType(key);
+        const description = type.replace('?', '').split('|').map(name =>
+            name === 'string' && optionValues[key] ? 'one of "' + optionValues[key].join('", "') + '"' : typeDescriptions[name]
+        ).join(' or ');
+        return type.slice(-1) === '?' ? description + ' or null' : description;
+    }
+    
+    // Leave out unknown options and invalid values with a warning, so their defaults apply - the same as parseConfig
+    function validateConfig(userConfig) {
+        const checked = {};
+        
+        Object.keys(userConfig).forEach(key => {
+            const value = userConfig[key];
+            
+            if (!getOptionType(key)) {
+                console.warn('Unknown option "' + key + '" - check the spelling');
+            } else if (!isValidOption(key, value)) {
+                console.warn('Invalid value for "' + key + '": ' + JSON.stringify(value) + ' (expected ' + describeOption(key) + '), using the default');
+            } else {
+                checked[key] = value;
             }
-
-            .protection-container, .safe-harbor-container {
-                background: white;
-                padding: 40px;
-                border-radius: 15px;
-                box-shadow: 0 10px 30px rgba(0,0,0,0.3);
-                max-width: 500px;
-                width: 90%;
-                text-align: center;
-                max-height: 90vh;
-                overflow-y: auto;
+        });
+        
+        // serverVerifyUrl and the answer key mode of encryptedContent check the typed word against
+        // acceptedAnswers, so the built-in challenges with other answers can never unlock the content
+        const answerCheck = checked.serverVerifyUrl ? 'serverVerifyUrl' :
+            (checked.encryptedContent && !checked.decryptionKeyShare ? 'encryptedContent' : null);
+        if (answerCheck) {
+            const challengeType = setting => (typeof setting === 'string' ? setting : (setting && setting.type)) || 'word';
+            const escalates = checked.riskThreshold !== undefined && checked.riskThreshold !== null && checked.riskAction !== 'block';
+            
+            [['challenge', true], ['escalateChallenge', escalates]].forEach(([key, used]) => {
+                if (used && nonWordChallenges.indexOf(challengeType(checked[key] || defaults[key])) !== -1) {
+                    console.warn('"' + key + '" can\'t be used with "' + answerCheck + '", which only checks the typed word - the content will never unlock');
+                }
+            });
+            
+            // The accessible alternative would fail the same way, so it is turned off
+            if (checked.accessibleChallenge && nonWordChallenges.indexOf(challengeType(checked.accessibleChallenge)) !== -1) {
+                console.warn('"accessibleChallenge" can\'t be used with "' + answerCheck + '", turning it off');
             }
+            checked.accessibleChallenge = null;
+        }
+        
+        return checked;
+    }
+    
+    // Built-in challenges whose answer isn't the challenge word - serverVerifyUrl and encrypted 'answer' mode can't check them
+    const nonWordChallenges = ['randomWord', 'arithmetic', 'canvasText', 'imagePick', 'proofOfWork', 'accessCode'];
+    
+    // Look up a global function by name, e.g. 'handleAccess' or 'App.protection.onSuccess'
+    function resolveGlobalFunction(name) {
+        const value = name.split('.').reduce((object, part) => (object ? object[part] : undefined), window);
+        return typeof value === 'function' ? value : undefined;
+    }
+    
+    // Convert a text setting to an option's type, trying each of its types in turn (undefined = no match)
+    function parseOptionValue(type, value) {
+        const text = value.trim();
+        
+        if (type.slice(-1) === '?' && text === 'null') {
+            return null;
+        }
+        
+        const types = type.replace('?', '').split('|');
+        for (let i = 0; i < types.length; i++) {
+            let parsed;
             
-            .safe-harbor-container {
-                max-width: 700px;
-                text-align: left;
+            switch (types[i]) {
+                case 'boolean':
+                    parsed = text === '' || text === 'true' ? true : (text === 'false' ? false : undefined);
+                    break;
+                case 'number':
+                    parsed = /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : undefined;
+                    break;
+                case 'list':
+                    if (text.charAt(0) === '[') {
+                        try {
+                            parsed = JSON.parse(text);
+                        } catch (error) {
+                            parsed = undefined;
+                        }
+                    } else {
+                        parsed = text.split(',').map(item => item.trim()).filter(Boolean);
+                    }
+                    break;
+                case 'object':
+                    if (text.charAt(0) === '{') {
+                        try {
+                            parsed = JSON.parse(text);
+                        } catch (error) {
+                            parsed = undefined;
+                        }
+                    }
+                    break;
+                case 'function':
+                    parsed = resolveGlobalFunction(text);
+                    break;
+                case 'string':
+                    parsed = value;
+                    break;
             }
-
-            .protection-title, .safe-harbor-title {
-                color: #2c5e82;
-                margin-bottom: 20px;
-                font-size: 24px;
-                display: flex;
-                align-items: center;
-                justify-content: center;
-                gap: 10px;
-                font-weight: bold;
+            
+            if (parsed !== undefined) {
+                return parsed;
             }
-
-            .shield-icon, .legal-icon {
-                font-size: 32px;
+        }
+        
+        return undefined;
+    }
+    
+    // Turn declarative settings (data attributes, element attributes or a JSON config block) into typed options.
+    // Text values are converted to each option's type and callbacks are looked up by global function name;
+    // unknown options and values that can't be converted are reported and left out
+    function parseConfig(values = {}) {
+        const parsed = {};
+        
+        Object.keys(values).forEach(key => {
+            const type = getOptionType(key);
+            if (!type) {
+                console.warn('Unknown option "' + key + '" - check the spelling');
+                return;
             }
-
-            .protection-notice {
-                background: linear-gradient(135deg, #e3f2fd, #fff3e0);
-                padding: 20px;
-                border-radius: 8px;
-                margin-bottom: 25px;
-                border-left: 4px solid #ff6b35;
+            
+            const value = typeof values[key] === 'string' ? parseOptionValue(type, values[key]) : values[key];
+            if (value === undefined) {
+                console.warn('Invalid value for "' + key + '": ' + JSON.stringify(values[key]) + ' (expected ' + describeOption(key) + '), using the default');
+                return;
             }
-
-            .protection-notice p {
-                margin: 0;
-                color: #666;
-                font-size: 14px;
-                line-height: 1.5;
+            
+            parsed[key] = value;
+        });
+        
+        return parsed;
+    }
+    
+    // Storage adapter backed by sessionStorage or localStorage,
+    // falling back to memory where web storage is blocked
+    function createWebStorageAdapter(storageName) {
+        try {
+            const webStorage = window[storageName];
+            const testKey = '__multiaxis_test__';
+            webStorage.setItem(testKey, '1');
+            webStorage.removeItem(testKey);
+            return webStorage;
+        } catch (e) {
+            console.warn(storageName + ' is unavailable, falling back to memory storage');
+            return createMemoryAdapter();
+        }
+    }
+    
+    // Storage adapter that lasts until the page is unloaded
+    function createMemoryAdapter() {
+        const entries = {};
+        return {
+            getItem: key => Object.prototype.hasOwnProperty.call(entries, key) ? entries[key] : null,
+            setItem: (key, value) => {
+                entries[key] = String(value);
+            },
+            removeItem: key => {
+                delete entries[key];
             }
-
-            .protection-instruction {
-                color: #2c5e82;
-                font-size: 16px;
-                margin-bottom: 20px;
-                font-weight: 600;
+        };
+    }
+    
+    // Storage adapter backed by cookies, shareable across subdomains
+    function createCookieAdapter(options = {}) {
+        const attributes = ['path=' + (options.path || '/')];
+        if (options.domain) {
+            attributes.push('domain=' + options.domain);
+        }
+        if (options.maxAge) {
+            attributes.push('max-age=' + options.maxAge);
+        }
+        attributes.push('SameSite=' + (options.sameSite || 'Lax'));
+        if (options.secure || (options.secure === undefined && window.location.protocol === 'https:')) {
+            attributes.push('Secure');
+        }
+        
+        return {
+            getItem: function(key) {
+                const prefix = encodeURIComponent(key) + '=';
+                const match = document.cookie.split(';')
+                    .map(part => part.trim())
+                    .find(part => part.indexOf(prefix) === 0);
+                return match ? decodeURIComponent(match.slice(prefix.length)) : null;
+            },
+            setItem: function(key, value) {
+                document.cookie = encodeURIComponent(key) + '=' + encodeURIComponent(value) + '; ' + attributes.join('; ');
+            },
+            removeItem: function(key) {
+                document.cookie = encodeURIComponent(key) + '=; ' + attributes.join('; ') + '; max-age=0';
             }
-
-            .protection-challenge {
-                background: #f8f9fa;
-                padding: 25px;
-                border-radius: 8px;
-                margin-bottom: 25px;
-                border: 2px dashed #5B9BD5;
+        };
+    }
+    
+    // Format date helper function
+    function formatDate(date, locale = 'en-US') {
+        const options = { year: 'numeric', month: 'long', day: 'numeric' };
+        try {
+            return date.toLocaleDateString(locale, options);
+        } catch (e) {
+            // Malformed locale tag
+            return date.toLocaleDateString('en-US', options);
+        }
+    }
+    
+    // Parse an expiry date. A plain date ('2025-12-31') lasts until the end of that day
+    function parseValidUntil(value) {
+        const day = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        const date = day ? new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3]), 23, 59, 59, 999) : new Date(value);
+        
+        if (isNaN(date.getTime())) {
+            console.warn('Invalid expiry date "' + value + '" - use a date such as 2025-12-31');
+            return null;
+        }
+        return date;
+    }
+    
+    // Fill {placeholders} in a message
+    function formatMessage(message, values = {}) {
+        return String(message).replace(/\{(\w+)\}/g, (match, key) =>
+            Object.prototype.hasOwnProperty.call(values, key) ? values[key] : match
+        );
+    }
+    
+    // Format a duration in milliseconds as m:ss
+    function formatDuration(ms) {
+        const seconds = Math.ceil(ms / 1000);
+        return Math.floor(seconds / 60) + ':' + String(seconds % 60).padStart(2, '0');
+    }
+    
+    // Hash a string to a short hex fingerprint (FNV-1a)
+    function hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+    
+    // Get a random integer from 0 to max - 1
+    function randomInt(max) {
+        const values = new Uint32Array(1);
+        crypto.getRandomValues(values);
+        return values[0] % max;
+    }
+    
+    // Escape text for insertion into modal markup
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+    
+    // Normalize a typed answer for comparison
+    function normalizeAnswer(answer) {
+        return String(answer).replace(/\s+/g, '').toUpperCase();
+    }
+    
+    // Draw text onto a canvas with rotation and noise so it can't be read from the DOM
+    function drawDistortedText(canvas, text, distortion) {
+        const context = canvas.getContext('2d');
+        if (!context) {
+            return;
+        }
+        
+        const width = canvas.width;
+        const height = canvas.height;
+        context.clearRect(0, 0, width, height);
+        context.fillStyle = '#f0f4f8';
+        context.fillRect(0, 0, width, height);
+        
+        // Background noise lines
+        for (let i = 0; i < 6 * distortion; i++) {
+            context.strokeStyle = 'rgba(44, 94, 130, ' + (0.2 + Math.random() * 0.3) + ')';
+            context.lineWidth = 1 + Math.random() * 2;
+            context.beginPath();
+            context.moveTo(Math.random() * width, Math.random() * height);
+            context.bezierCurveTo(
+                Math.random() * width, Math.random() * height,
+                Math.random() * width, Math.random() * height,
+                Math.random() * width, Math.random() * height
+            );
+            context.stroke();
+        }
+        
+        // Characters with individual rotation and offset
+        const step = width / (text.length + 1);
+        context.textBaseline = 'middle';
+        for (let i = 0; i < text.length; i++) {
+            context.save();
+            context.translate(step * (i + 1), height / 2 + (Math.random() - 0.5) * 12 * distortion);
+            context.rotate((Math.random() - 0.5) * 0.7 * distortion);
+            context.font = 'bold ' + (28 + Math.floor(Math.random() * 10)) + 'px Georgia, serif';
+            context.fillStyle = ['#2c5e82', '#ff6b35', '#2c3e50'][i % 3];
+            context.fillText(text[i], -10, 0);
+            context.restore();
+        }
+        
+        // Foreground speckles
+        for (let i = 0; i < 60 * distortion; i++) {
+            context.fillStyle = 'rgba(0, 0, 0, ' + Math.random() * 0.4 + ')';
+            context.fillRect(Math.random() * width, Math.random() * height, 2, 2);
+        }
+    }
+    
+    // Registered challenge providers
+    const challengeProviders = {};
+    
+    // Whether the visitor asked the operating system to minimize animation
+    function prefersReducedMotion() {
+        return typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+    
+    // Register a challenge provider
+    // provider: { render(container, context), validate(answer, context), reset(container, context), input, placeholder, errorMessage }
+    // Providers that set authorizes: true can't be swapped for the accessible alternative or an escalation challenge
+    // The messages '<name>Placeholder' and '<name>Error' take precedence over placeholder and errorMessage
+    function registerChallenge(name, provider) {
+        if (!name || !provider || typeof provider.render !== 'function' || typeof provider.validate !== 'function') {
+            console.error('Challenge provider "' + name + '" must define render() and validate()');
+            return;
+        }
+        
+        challengeProviders[name] = provider;
+    }
+    
+    // Built-in: type the company name (original challenge)
+    registerChallenge('word', {
+        render: function(container, context) {
+            container.innerHTML = `
+                <p class="challenge-text">
+                    ${context.t('wordPrompt')}
+                    <br>
+                    <strong class="challenge-word">${context.config.challengeCompany}</strong>
+                </p>
+                
+                <div class="protection-hint">
+                    <p>💡 ${context.t('hintLabel')} ${context.t('hint')}</p>
+                </div>
+            `;
+        },
+        validate: function(answer, context) {
+            return context.config.acceptedAnswers.some(accepted => 
+                answer === accepted.toUpperCase() || 
+                answer === accepted.replace(/\s+/g, '').toUpperCase()
+            );
+        }
+    });
+    
+    // Built-in: type a word picked at random from a list
+    registerChallenge('randomWord', {
+        render: function(container, context) {
+            const words = context.options.words || ['HARBOR', 'SIGNAL', 'TIMBER', 'ORBIT', 'CANVAS', 'MEADOW', 'QUARTZ', 'BEACON'];
+            context.state.word = words[randomInt(words.length)].toUpperCase();
+            container.innerHTML = `
+                <p class="challenge-text">
+                    ${context.t('randomWordPrompt')}
+                    <br>
+                    <strong class="challenge-word">${escapeHtml(context.state.word)}</strong>
+                </p>
+            `;
+        },
+        validate: function(answer, context) {
+            return normalizeAnswer(answer) === normalizeAnswer(context.state.word);
+        },
+        reset: function(container, context) {
+            this.render(container, context);
+        }
+    });
+    
+    // Built-in: solve a simple arithmetic problem
+    registerChallenge('arithmetic', {
+        render: function(container, context) {
+            const operations = context.options.operations || ['+', '-', '×'];
+            const operation = operations[randomInt(operations.length)];
+            let a = 1 + randomInt(9);
+            let b = 1 + randomInt(9);
+            if (operation === '-' && b > a) {
+                [a, b] = [b, a];
             }
-
-            .challenge-text {
-                font-size: 18px;
-                color: #2c3e50;
-                margin-bottom: 20px;
+            
+            context.state.result = operation === '+' ? a + b : operation === '-' ? a - b : a * b;
+            container.innerHTML = `
+                <p class="challenge-text">
+                    ${context.t('arithmeticPrompt', { problem: a + ' ' + operation + ' ' + b })}
+                </p>
+            `;
+        },
+        validate: function(answer, context) {
+            return answer !== '' && Number(answer) === context.state.result;
+        },
+        reset: function(container, context) {
+            this.render(container, context);
+        }
+    });
+    
+    // Built-in: read distorted text drawn on a canvas
+    registerChallenge('canvasText', {
+        render: function(container, context) {
+            const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+            const length = context.options.length || 5;
+            let code = '';
+            for (let i = 0; i < length; i++) {
+                code += alphabet[randomInt(alphabet.length)];
+            }
+            context.state.code = code;
+            
+            container.innerHTML = `
+                <p class="challenge-text">${context.t('canvasTextPrompt')}</p>
+                <canvas class="challenge-canvas" width="240" height="70" role="img" aria-label="${context.t('canvasTextImageLabel')}"></canvas>
+                <button type="button" class="challenge-refresh">${context.t('canvasTextRefresh')}</button>
+            `;
+            
+            drawDistortedText(container.querySelector('canvas'), code, context.options.distortion || 1);
+            container.querySelector('.challenge-refresh').addEventListener('click', () => {
+                this.render(container, context);
+            });
+        },
+        validate: function(answer, context) {
+            return normalizeAnswer(answer) === context.state.code;
+        },
+        reset: function(container, context) {
+            this.render(container, context);
+        }
+    });
+    
+    // Built-in: pick the image matching a label
+    registerChallenge('imagePick', {
+        input: false,
+        render: function(container, context) {
+            const pool = context.options.images || [
+                { emoji: '🍎', label: context.t('imageApple') },
+                { emoji: '🚗', label: context.t('imageCar') },
+                { emoji: '🐶', label: context.t('imageDog') },
+                { emoji: '🌳', label: context.t('imageTree') },
+                { emoji: '⛵', label: context.t('imageBoat') },
+                { emoji: '🏠', label: context.t('imageHouse') },
+                { emoji: '🚲', label: context.t('imageBicycle') },
+                { emoji: '☂️', label: context.t('imageUmbrella') }
+            ];
+            const count = Math.min(context.options.count || 6, pool.length);
+            
+            // Shuffle and take the first tiles
+            const tiles = pool.slice();
+            for (let i = tiles.length - 1; i > 0; i--) {
+                const j = randomInt(i + 1);
+                [tiles[i], tiles[j]] = [tiles[j], tiles[i]];
+            }
+            tiles.length = count;
+            
+            context.state.target = randomInt(count);
+            context.setAnswer('');
+            
+            container.innerHTML = `
+                <p class="challenge-text">
+                    ${context.t('imagePickPrompt', { label: '<strong>' + escapeHtml(tiles[context.state.target].label) + '</strong>' })}
+                </p>
+                <div class="challenge-tiles" role="group" aria-label="${context.t('imagePickGroupLabel')}"></div>
+            `;
+            
+            const grid = container.querySelector('.challenge-tiles');
+            tiles.forEach((tile, index) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'challenge-tile';
+                button.setAttribute('aria-pressed', 'false');
+                button.setAttribute('aria-label', context.t('imagePickTileLabel', { number: index + 1 }));
+                
+                if (tile.src) {
+                    const image = document.createElement('img');
+                    image.src = tile.src;
+                    image.alt = '';
+                    button.appendChild(image);
+                } else {
+                    // Draw emoji on a canvas so the answer isn't readable as text
+                    const canvas = document.createElement('canvas');
+                    canvas.width = 64;
+                    canvas.height = 64;
+                    const drawing = canvas.getContext('2d');
+                    if (drawing) {
+                        drawing.font = '44px sans-serif';
+                        drawing.textAlign = 'center';
+                        drawing.textBaseline = 'middle';
+                        drawing.fillText(tile.emoji, 32, 36);
+                    }
+                    button.appendChild(canvas);
+                }
+                
+                button.addEventListener('click', () => {
+                    grid.querySelectorAll('.challenge-tile').forEach(other => {
+                        other.classList.remove('selected');
+                        other.setAttribute('aria-pressed', 'false');
+                    });
+                    button.classList.add('selected');
+                    button.setAttribute('aria-pressed', 'true');
+                    context.setAnswer(String(index));
+                });
+                
+                grid.appendChild(button);
+            });
+        },
+        validate: function(answer, context) {
+            return answer !== '' && Number(answer) === context.state.target;
+        },
+        reset: function(container, context) {
+            this.render(container, context);
+        }
+    });
+    
+    // Proof-of-work solver. Runs inside a Web Worker (scope = self), or on the
+    // main thread with a stand-in scope when workers are unavailable.
+    function proofOfWorkSolver(scope) {
+        // Compact synchronous SHA-256 - much faster than awaiting WebCrypto per nonce
+        const initialHash = [];
+        const roundConstants = [];
+        const fraction = x => ((x - Math.floor(x)) * 0x100000000) | 0;
+        for (let candidate = 2; roundConstants.length < 64; candidate++) {
+            let isPrime = true;
+            for (let divisor = 2; divisor * divisor <= candidate; divisor++) {
+                if (candidate % divisor === 0) {
+                    isPrime = false;
+                    break;
+                }
+            }
+            if (isPrime) {
+                if (initialHash.length < 8) {
+                    initialHash.push(fraction(Math.pow(candidate, 1 / 2)));
+                }
+                roundConstants.push(fraction(Math.pow(candidate, 1 / 3)));
+            }
+        }
+        
+        const rotate = (value, amount) => (value >>> amount) | (value << (32 - amount));
+        
+        // Hash an ASCII string, returning eight 32-bit words
+        function sha256(ascii) {
+            const bitLength = ascii.length * 8;
+            const words = [];
+            let hash = initialHash.slice();
+            
+            ascii += '\x80';
+            while (ascii.length % 64 !== 56) {
+                ascii += '\x00';
+            }
+            for (let i = 0; i < ascii.length; i++) {
+                words[i >> 2] |= ascii.charCodeAt(i) << ((3 - (i & 3)) * 8);
+            }
+            words.push((bitLength / 0x100000000) | 0, bitLength | 0);
+            
+            for (let block = 0; block < words.length; block += 16) {
+                const w = words.slice(block, block + 16);
+                const previous = hash;
+                hash = hash.slice(0, 8);
+                
+                for (let i = 0; i < 64; i++) {
+                    if (i >= 16) {
+                        const w15 = w[i - 15];
+                        const w2 = w[i - 2];
+                        w[i] = (w[i - 16] +
+                            (rotate(w15, 7) ^ rotate(w15, 18) ^ (w15 >>> 3)) +
+                            w[i - 7] +
+                            (rotate(w2, 17) ^ rotate(w2, 19) ^ (w2 >>> 10))) | 0;
+                    }
+                    
+                    const a = hash[0];
+                    const e = hash[4];
+                    const temp1 = hash[7] +
+                        (rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25)) +
+                        ((e & hash[5]) ^ (~e & hash[6])) +
+                        roundConstants[i] + w[i];
+                    const temp2 = (rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22)) +
+                        ((a & hash[1]) ^ (a & hash[2]) ^ (hash[1] & hash[2]));
+                    
+                    hash = [(temp1 + temp2) | 0].concat(hash);
+                    hash[4] = (hash[4] + temp1) | 0;
+                }
+                
+                for (let i = 0; i < 8; i++) {
+                    hash[i] = (hash[i] + previous[i]) | 0;
+                }
+            }
+            
+            return hash;
+        }
+        
+        function leadingZeroBits(hash) {
+            let bits = 0;
+            for (let i = 0; i < 8; i++) {
+                if (hash[i] !== 0) {
+                    return bits + Math.clz32(hash[i]);
+                }
+                bits += 32;
+            }
+            return bits;
+        }
+        
+        scope.onmessage = function(event) {
+            const challenge = event.data.challenge;
+            const difficulty = event.data.difficulty;
+            const expectedTries = Math.pow(2, difficulty);
+            let nonce = 0;
+            
+            // Work in chunks so progress can be reported and the main-thread fallback stays responsive
+            (function work() {
+                const end = nonce + 5000;
+                for (; nonce < end; nonce++) {
+                    if (leadingZeroBits(sha256(challenge + ':' + nonce)) >= difficulty) {
+                        scope.postMessage({ done: true, nonce: nonce });
+                        return;
+                    }
+                }
+                scope.postMessage({ done: false, progress: 1 - Math.exp(-nonce / expectedTries) });
+                setTimeout(work, 0);
+            })();
+        };
+    }
+    
+    // Solve a proof-of-work puzzle in a Web Worker, reporting progress from 0 to 1.
+    // A worker that can't start, fails, or goes quiet for workerTimeout ms is replaced by the main-thread solver
+    function solveProofOfWork(puzzle, onProgress, workerTimeout) {
+        return new Promise(resolve => {
+            let worker = null;
+            let timer = null;
+            
+            function handleMessage(data) {
+                if (!data.done) {
+                    onProgress(data.progress);
+                    watchWorker();
+                    return;
+                }
+                stopWorker();
+                onProgress(1);
+                resolve({ challenge: puzzle.challenge, nonce: data.nonce });
+            }
+            
+            function stopWorker() {
+                clearTimeout(timer);
+                if (worker) {
+                    worker.terminate();
+                    URL.revokeObjectURL(worker.sourceUrl);
+                    worker = null;
+                }
+            }
+            
+            function solveOnMainThread() {
+                stopWorker();
+                const scope = { postMessage: data => handleMessage(data) };
+                proofOfWorkSolver(scope);
+                scope.onmessage({ data: puzzle });
+            }
+            
+            // Restart the timeout after each message from the worker
+            function watchWorker() {
+                clearTimeout(timer);
+                if (worker) {
+                    timer = setTimeout(() => {
+                        console.warn('Proof-of-work worker stopped responding, solving on the main thread');
+                        solveOnMainThread();
+                    }, workerTimeout);
+                }
+            }
+            
+            try {
+                const sourceUrl = URL.createObjectURL(new Blob(
+                    ['(' + proofOfWorkSolver.toString() + ')(self);'],
+                    { type: 'text/javascript' }
+                ));
+                worker = new Worker(sourceUrl);
+                worker.sourceUrl = sourceUrl;
+                worker.onmessage = event => handleMessage(event.data);
+                // The worker script failed to load or run (e.g. blocked by CSP), or a message couldn't be read
+                worker.onerror = worker.onmessageerror = event => {
+                    if (event && typeof event.preventDefault === 'function') {
+                        event.preventDefault();
+                    }
+                    solveOnMainThread();
+                };
+                worker.postMessage(puzzle);
+                watchWorker();
+            } catch (e) {
+                // Workers unavailable - solve on the main thread instead
+                solveOnMainThread();
+            }
+        });
+    }
+    
+    // Get a puzzle from the server, or generate one locally
+    function getProofOfWorkPuzzle(options) {
+        if (options.challengeUrl) {
+            return fetch(options.challengeUrl, { credentials: 'same-origin', cache: 'no-store' })
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error('Proof-of-work puzzle request failed: ' + response.status);
+                    }
+                    return response.json();
+                });
+        }
+        
+        const bytes = new Uint8Array(16);
+        crypto.getRandomValues(bytes);
+        return Promise.resolve({
+            challenge: Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join(''),
+            difficulty: options.difficulty || 16
+        });
+    }
+    
+    // Built-in: invisible proof-of-work, solved automatically in the background
+    registerChallenge('proofOfWork', {
+        input: false,
+        invisible: true,
+        render: function(container, context) {
+            context.state.solution = null;
+            context.state.runs = (context.state.runs || 0) + 1;
+            
+            container.innerHTML = `
+                <p class="challenge-text">${context.t('proofOfWorkPrompt')}</p>
+                <div class="pow-progress" role="progressbar" aria-label="${context.t('proofOfWorkProgressLabel')}" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">
+                    <div class="pow-progress-bar"></div>
+                </div>
+            `;
+            
+            const progressBar = container.querySelector('.pow-progress');
+            const bar = container.querySelector('.pow-progress-bar');
+            getProofOfWorkPuzzle(context.options)
+                .then(puzzle => {
+                    context.state.puzzle = puzzle;
+                    return solveProofOfWork(puzzle, progress => {
+                        const percent = Math.round(progress * 100);
+                        bar.style.width = percent + '%';
+                        progressBar.setAttribute('aria-valuenow', percent);
+                    }, context.options.workerTimeout || 5000);
+                })
+                .then(solution => {
+                    context.state.solution = solution;
+                    context.setAnswer(String(solution.nonce));
+                    context.submit();
+                })
+                .catch(error => {
+                    console.error('Proof-of-work failed:', error);
+                    context.submit();
+                });
+        },
+        validate: function(answer, context) {
+            const solution = context.state.solution;
+            if (!solution) {
+                return false;
+            }
+            if (!context.options.verifyUrl) {
+                // Check the work here: the issued puzzle's hash needs enough leading zero bits
+                return sha256Hex(solution.challenge + ':' + solution.nonce).then(hash =>
+                    solution.challenge === context.state.puzzle.challenge &&
+                    countLeadingZeroBits(hash) >= (context.options.difficulty || 16)
+                );
+            }
+            
+            return fetch(context.options.verifyUrl, {
+                method: 'POST',
+                credentials: 'same-origin',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    challenge: solution.challenge,
+                    nonce: solution.nonce,
+                    sessionKey: context.config.sessionKey
+                })
+            })
+                .then(response => response.ok)
+                .catch(() => false);
+        },
+        reset: function(container, context) {
+            // Retry a couple of times (e.g. an expired server puzzle) before giving up
+            if (context.state.runs < 3) {
+                this.render(container, context);
+            }
+        }
+    });
+    
+    // Built-in: an access code checked against salted hashes, so the codes aren't in the page source.
+    // options.codes: [{ label, hash, salt, iterations, expires }] - iterations = PBKDF2, otherwise SHA-256
+    registerChallenge('accessCode', {
+        authorizes: true,
+        render: function(container, context) {
+            container.innerHTML = `
+                <p class="challenge-text">${context.t('accessCodePrompt')}</p>
+            `;
+        },
+        validate: function(answer, context) {
+            const code = normalizeAnswer(answer);
+            const now = Date.now();
+            context.state.accessCode = null;
+            if (!code) {
+                return false;
+            }
+            
+            // Expired codes, and codes with an unreadable expiry date, are skipped
+            const codes = (context.options.codes || []).filter(entry => {
+                const expires = entry.expires ? parseValidUntil(entry.expires) : undefined;
+                return entry.hash && expires !== null && !(expires && expires.getTime() <= now);
+            });
+            
+            return codes.reduce((found, entry) => found.then(match => match ||
+                hashAccessCode(code, entry).then(hash => hash === entry.hash.toLowerCase() ? entry : null)
+            ), Promise.resolve(null)).then(match => {
+                if (!match) {
+                    return false;
+                }
+                
+                context.state.accessCode = {
+                    label: match.label || null,
+                    expires: match.expires ? parseValidUntil(match.expires).toISOString() : null
+                };
+                return true;
+            });
+        }
+    });
+    
+    // Registered step types for the steps option ('challenge' and 'terms' are built into the instance)
+    const stepProviders = {};
+    
+    // Register a step type
+    // provider: { render(container, context), submit(container, context), cleanup(container, context), title, button }
+    // submit() returns (or resolves to) the value remembered for the step, or false to stay on it.
+    // Steps that set button: false have no Continue button and call context.complete(value) themselves
+    function registerStep(name, provider) {
+        if (name === 'challenge' || name === 'terms') {
+            console.error('"' + name + '" is a built-in step and can\'t be replaced');
+            return;
+        }
+        if (!name || !provider || typeof provider.render !== 'function' || (provider.button !== false && typeof provider.submit !== 'function')) {
+            console.error('Step "' + name + '" must define render(), and submit() unless it sets button: false');
+            return;
+        }
+        
+        stepProviders[name] = provider;
+    }
+    
+    // Personal email domains the 'email' step turns away by default
+    const freeEmailDomains = [
+        'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'hotmail.com', 'hotmail.co.uk', 'outlook.com', 'live.com',
+        'msn.com', 'aol.com', 'icloud.com', 'me.com', 'mac.com', 'proton.me', 'protonmail.com', 'gmx.com', 'gmx.de', 'web.de',
+        'mail.com', 'yandex.com', 'orange.fr', 'free.fr', 'laposte.net', 'qq.com', '163.com'
+    ];
+    
+    // Built-in step: ask for a business email address
+    // Options: blockFreeProviders (default true), freeProviders (a list of domains to turn away)
+    registerStep('email', {
+        render: function(container, context) {
+            container.innerHTML = `
+                <p class="protection-instruction">${context.t('emailStepPrompt')}</p>
+                <label class="multiaxis-step-field">
+                    <span class="multiaxis-sr-only">${context.t('emailStepLabel')}</span>
+                    <input type="email" class="protection-input multiaxis-step-email" autocomplete="email" spellcheck="false" placeholder="${context.t('emailStepPlaceholder')}">
+                </label>
+            `;
+        },
+        submit: function(container, context) {
+            const email = container.querySelector('input').value.trim().toLowerCase();
+            if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+                context.showError(context.t('emailStepError'));
+                return false;
+            }
+            
+            const domains = context.options.freeProviders || freeEmailDomains;
+            if (context.options.blockFreeProviders !== false && domains.indexOf(email.split('@')[1]) !== -1) {
+                context.showError(context.t('emailStepBusinessError'));
+                return false;
+            }
+            return email;
+        }
+    });
+    
+    // Built-in step: a short role and purpose questionnaire
+    // Options: questions ([{ id, label, options: ['A', { value, label }], required }]), defaulting to role and purpose
+    registerStep('questionnaire', {
+        render: function(container, context) {
+            context.state.questions = (context.options.questions || [
+                { id: 'role', label: context.t('questionRole'), options: [
+                    { value: 'customer', label: context.t('roleCustomer') },
+                    { value: 'partner', label: context.t('rolePartner') },
+                    { value: 'researcher', label: context.t('roleResearcher') },
+                    { value: 'journalist', label: context.t('roleJournalist') },
+                    { value: 'other', label: context.t('answerOther') }
+                ] },
+                { id: 'purpose', label: context.t('questionPurpose'), options: [
+                    { value: 'evaluation', label: context.t('purposeEvaluation') },
+                    { value: 'research', label: context.t('purposeResearch') },
+                    { value: 'reporting', label: context.t('purposeReporting') },
+                    { value: 'other', label: context.t('answerOther') }
+                ] }
+            ]).map(question => ({
+                id: question.id,
+                label: question.label || question.id,
+                required: question.required !== false,
+                options: (question.options || []).map(option => typeof option === 'object' ? option : { value: option, label: option })
+            }));
+            
+            container.innerHTML = `
+                <p class="protection-instruction">${context.t('questionnaireStepPrompt')}</p>
+                ${context.state.questions.map(question => `
+                    <label class="multiaxis-step-field">
+                        <span>${escapeHtml(question.label)}</span>
+                        <select class="protection-input multiaxis-step-select">
+                            <option value="">${context.t('questionnaireStepChoose')}</option>
+                            ${question.options.map(option => `<option value="${escapeHtml(option.value)}">${escapeHtml(option.label)}</option>`).join('')}
+                        </select>
+                    </label>
+                `).join('')}
+            `;
+        },
+        submit: function(container, context) {
+            const selects = container.querySelectorAll('select');
+            const answers = {};
+            let missing = false;
+            
+            context.state.questions.forEach((question, index) => {
+                answers[question.id] = selects[index].value || null;
+                selects[index].setAttribute('aria-invalid', String(question.required && !selects[index].value));
+                missing = missing || (question.required && !selects[index].value);
+            });
+            
+            if (missing) {
+                context.showError(context.t('questionnaireStepError'));
+                return false;
+            }
+            return answers;
+        }
+    });
+    
+    // Built-in step: a countdown interstitial that continues by itself
+    // Options: seconds (default 5), message (text shown above the countdown)
+    registerStep('countdown', {
+        button: false,
+        render: function(container, context) {
+            let remaining = context.options.seconds || 5;
+            container.innerHTML = `
+                ${context.options.message ? `<p class="challenge-text">${escapeHtml(context.options.message)}</p>` : ''}
+                <p class="protection-countdown" role="timer">${context.t('countdownStepMessage', { seconds: remaining })}</p>
+            `;
+            
+            const timer = container.querySelector('.protection-countdown');
+            context.state.interval = setInterval(() => {
+                remaining--;
+                if (remaining <= 0) {
+                    clearInterval(context.state.interval);
+                    context.complete(true);
+                    return;
+                }
+                timer.textContent = context.t('countdownStepMessage', { seconds: remaining });
+            }, 1000);
+        },
+        cleanup: function(container, context) {
+            clearInterval(context.state.interval);
+        }
+    });
+    
+    // Behavioural signals collected while the challenge is shown
+    function createSignals() {
+        return {
+            shownAt: Date.now(),
+            pointerMoves: 0,
+            touches: 0,
+            keystrokes: [],
+            pasted: false
+        };
+    }
+    
+    // Detect automation frameworks and headless browser mismatches
+    function getEnvironmentSignals() {
+        const userAgent = navigator.userAgent || '';
+        const mismatches = [];
+        
+        if (!navigator.languages || navigator.languages.length === 0) {
+            mismatches.push('no-languages');
+        }
+        if (window.outerWidth === 0 && window.outerHeight === 0) {
+            mismatches.push('no-window-size');
+        }
+        if (/Chrome/.test(userAgent) && !window.chrome) {
+            mismatches.push('chrome-object-missing');
+        }
+        if (/Mobile|Android|iPhone/.test(userAgent) && !('ontouchstart' in window)) {
+            mismatches.push('mobile-without-touch');
+        }
+        
+        return {
+            webdriver: navigator.webdriver === true,
+            headlessUserAgent: /HeadlessChrome|PhantomJS|Puppeteer|Playwright|Selenium|jsdom/i.test(userAgent),
+            mismatches: mismatches
+        };
+    }
+    
+    // Create default styles
+    function createStyles(nonce) {
+        // Dark palette, used by theme: 'dark' and by theme: 'auto' when the visitor prefers dark
+        const darkTheme = `
+                --multiaxis-overlay: rgba(0, 0, 0, 0.8);
+                --multiaxis-surface: #1e2530;
+                --multiaxis-surface-muted: #27303c;
+                --multiaxis-text: #e6edf3;
+                --multiaxis-text-muted: #b0bac5;
+                --multiaxis-text-subtle: #8b96a3;
+                --multiaxis-legal-text: #c9d1d9;
+                --multiaxis-border: #3d4856;
+                --multiaxis-divider: #3d4856;
+                --multiaxis-primary: #8cc4f0;
+                --multiaxis-focus-ring: rgba(140, 196, 240, 0.35);
+                --multiaxis-highlight: #ff8a5c;
+                --multiaxis-highlight-ring: rgba(255, 138, 92, 0.3);
+                --multiaxis-error: #ff6b6b;
+                --multiaxis-disabled: #4a5360;
+                --multiaxis-button-shadow: #0d1117;
+                --multiaxis-button-shadow-active: #000;
+                --multiaxis-notice-start: #1f3448;
+                --multiaxis-notice-end: #3a2c1f;
+                --multiaxis-info: #1f3448;
+                --multiaxis-hint-background: #3a3220;
+                --multiaxis-hint-border: #7a6330;
+                --multiaxis-hint-text: #f0c674;
+                --multiaxis-warning-background: #3a3220;
+                --multiaxis-warning-border: #b38f00;
+                --multiaxis-warning-text: #f0d68a;
+                color-scheme: dark;
+        `;
+
+        const styles = `
+            .protection-modal, .safe-harbor-modal {
+                /* Light theme - override any of these in customStyles or with a brand preset */
+                --multiaxis-overlay: rgba(0, 0, 0, 0.7);
+                --multiaxis-surface: #ffffff;
+                --multiaxis-surface-muted: #f8f9fa;
+                --multiaxis-text: #2c3e50;
+                --multiaxis-text-muted: #666;
+                --multiaxis-text-subtle: #999;
+                --multiaxis-legal-text: #495057;
+                --multiaxis-border: #dee2e6;
+                --multiaxis-divider: #e0e0e0;
+                --multiaxis-primary: #2c5e82;
+                --multiaxis-focus-ring: rgba(44, 94, 130, 0.35);
+                --multiaxis-accent: #5B9BD5;
+                --multiaxis-accent-hover: #4a8bc2;
+                --multiaxis-accent-text: #ffffff;
+                --multiaxis-highlight: #ff6b35;
+                --multiaxis-highlight-ring: rgba(255, 107, 53, 0.2);
+                --multiaxis-error: #d32f2f;
+                --multiaxis-danger: #dc3545;
+                --multiaxis-danger-hover: #c82333;
+                --multiaxis-disabled: #ccc;
+                --multiaxis-button-shadow: #999;
+                --multiaxis-button-shadow-active: #666;
+                --multiaxis-notice-start: #e3f2fd;
+                --multiaxis-notice-end: #fff3e0;
+                --multiaxis-info: #e3f2fd;
+                --multiaxis-hint-background: #fffbf0;
+                --multiaxis-hint-border: #ffd699;
+                --multiaxis-hint-text: #996600;
+                --multiaxis-warning-background: #fff3cd;
+                --multiaxis-warning-border: #ffc107;
+                --multiaxis-warning-text: #856404;
+                --multiaxis-radius: 15px;
+                --multiaxis-font-family: inherit;
+
+                display: flex;
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background: var(--multiaxis-overlay);
+                z-index: 10000;
+                align-items: center;
+                justify-content: center;
+                backdrop-filter: blur(5px);
+            }
+
+            .protection-modal[data-multiaxis-theme="dark"], .safe-harbor-modal[data-multiaxis-theme="dark"] {${darkTheme}
+            }
+
+            @media (prefers-color-scheme: dark) {
+                .protection-modal[data-multiaxis-theme="auto"], .safe-harbor-modal[data-multiaxis-theme="auto"] {${darkTheme}
+                }
+            }
+
+            .protection-modal.hidden, .safe-harbor-modal.hidden {
+                display: none;
+            }
+
+            .protection-container, .safe-harbor-container {
+                background: var(--multiaxis-surface);
+                color: var(--multiaxis-text);
+                font-family: var(--multiaxis-font-family);
+                padding: 40px;
+                border-radius: var(--multiaxis-radius);
+                box-shadow: 0 10px 30px rgba(0,0,0,0.3);
+                max-width: 500px;
+                width: 90%;
+                text-align: center;
+                max-height: 90vh;
+                overflow-y: auto;
+            }
+            
+            .safe-harbor-container {
+                max-width: 700px;
+                text-align: start;
+            }
+
+            .protection-title, .safe-harbor-title {
+                color: var(--multiaxis-primary);
+                margin-bottom: 20px;
+                font-size: 24px;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                gap: 10px;
+                font-weight: bold;
+            }
+
+            .shield-icon, .legal-icon {
+                font-size: 32px;
+            }
+
+            .protection-logo {
+                display: block;
+                max-height: 40px;
+                max-width: 160px;
+            }
+
+            .protection-notice {
+                background: linear-gradient(135deg, var(--multiaxis-notice-start), var(--multiaxis-notice-end));
+                padding: 20px;
+                border-radius: 8px;
+                margin-bottom: 25px;
+                border-inline-start: 4px solid var(--multiaxis-highlight);
+            }
+
+            .protection-notice p {
+                margin: 0;
+                color: var(--multiaxis-text-muted);
+                font-size: 14px;
+                line-height: 1.5;
+            }
+
+            .protection-instruction {
+                color: var(--multiaxis-primary);
+                font-size: 16px;
+                margin-bottom: 20px;
+                font-weight: 600;
+            }
+
+            .protection-challenge {
+                background: var(--multiaxis-surface-muted);
+                padding: 25px;
+                border-radius: 8px;
+                margin-bottom: 25px;
+                border: 2px dashed var(--multiaxis-accent);
+            }
+
+            .challenge-text {
+                font-size: 18px;
+                color: var(--multiaxis-text);
+                margin-bottom: 20px;
                 font-weight: 500;
                 line-height: 1.4;
             }
 
+            .challenge-word {
+                font-size: 1.2em;
+                color: var(--multiaxis-highlight);
+            }
+
+            .challenge-canvas {
+                display: block;
+                margin: 0 auto 10px;
+                border-radius: 8px;
+                border: 1px solid var(--multiaxis-border);
+                max-width: 100%;
+            }
+
+            .challenge-refresh {
+                background: none;
+                border: none;
+                color: var(--multiaxis-primary);
+                font-size: 13px;
+                cursor: pointer;
+                margin-bottom: 15px;
+                text-decoration: underline;
+            }
+
+            .challenge-tiles {
+                display: grid;
+                grid-template-columns: repeat(3, 1fr);
+                gap: 10px;
+                margin-bottom: 20px;
+            }
+
+            .challenge-tile {
+                background: var(--multiaxis-surface);
+                border: 2px solid var(--multiaxis-border);
+                border-radius: 8px;
+                padding: 8px;
+                cursor: pointer;
+            }
+
+            .challenge-tile img, .challenge-tile canvas {
+                display: block;
+                width: 64px;
+                height: 64px;
+                margin: 0 auto;
+                object-fit: cover;
+            }
+
+            .challenge-tile.selected {
+                border-color: var(--multiaxis-highlight);
+                box-shadow: 0 0 0 3px var(--multiaxis-highlight-ring);
+            }
+
+            .pow-progress {
+                height: 8px;
+                background: var(--multiaxis-divider);
+                border-radius: 4px;
+                overflow: hidden;
+                margin-bottom: 20px;
+            }
+
+            .pow-progress-bar {
+                width: 0;
+                height: 100%;
+                background: var(--multiaxis-accent);
+                transition: width 0.2s ease;
+            }
+
             .protection-input {
                 width: 100%;
                 padding: 12px;
                 font-size: 16px;
-                border: 2px solid #5B9BD5;
+                border: 2px solid var(--multiaxis-accent);
                 border-radius: 8px;
+                background: var(--multiaxis-surface);
+                color: var(--multiaxis-text);
                 margin-bottom: 20px;
                 outline: none;
                 text-align: center;
@@ -342,8 +2124,8 @@ const MultiaxisProtection = (function() {
             }
 
             .protection-input:focus {
-                border-color: #2c5e82;
-                box-shadow: 0 0 0 3px rgba(91, 155, 213, 0.1);
+                border-color: var(--multiaxis-primary);
+                box-shadow: 0 0 0 3px var(--multiaxis-focus-ring);
             }
 
             .protection-input::placeholder {
@@ -352,23 +2134,23 @@ const MultiaxisProtection = (function() {
             }
 
             .protection-hint {
-                background: #fffbf0;
+                background: var(--multiaxis-hint-background);
                 padding: 12px;
                 border-radius: 5px;
                 margin-bottom: 20px;
-                border: 1px solid #ffd699;
+                border: 1px solid var(--multiaxis-hint-border);
             }
 
             .protection-hint p {
                 margin: 0;
                 font-size: 13px;
-                color: #996600;
+                color: var(--multiaxis-hint-text);
                 font-style: italic;
             }
 
             .protection-submit, .safe-harbor-accept, .safe-harbor-decline {
-                background: #5B9BD5;
-                color: white;
+                background: var(--multiaxis-accent);
+                color: var(--multiaxis-accent-text);
                 border: none;
                 padding: 12px 30px;
                 border-radius: 25px;
@@ -376,7 +2158,7 @@ const MultiaxisProtection = (function() {
                 font-weight: 600;
                 cursor: pointer;
                 transition: all 0.3s ease;
-                box-shadow: 0 6px #999;
+                box-shadow: 0 6px var(--multiaxis-button-shadow);
                 min-width: 150px;
                 position: relative;
                 z-index: 10001;
@@ -384,25 +2166,25 @@ const MultiaxisProtection = (function() {
             }
 
             .protection-submit:hover, .safe-harbor-accept:hover:not(:disabled) {
-                background: #4a8bc2;
+                background: var(--multiaxis-accent-hover);
             }
 
             .protection-submit:active, .safe-harbor-accept:active:not(:disabled) {
-                box-shadow: 0 3px #666;
+                box-shadow: 0 3px var(--multiaxis-button-shadow-active);
                 transform: translateY(3px);
             }
             
             .safe-harbor-decline {
-                background: #dc3545;
-                margin-right: 10px;
+                background: var(--multiaxis-danger);
+                margin-inline-end: 10px;
             }
             
             .safe-harbor-decline:hover {
-                background: #c82333;
+                background: var(--multiaxis-danger-hover);
             }
             
             .safe-harbor-accept:disabled {
-                background: #ccc;
+                background: var(--multiaxis-disabled);
                 cursor: not-allowed;
                 box-shadow: none;
             }
@@ -417,36 +2199,96 @@ const MultiaxisProtection = (function() {
             }
 
             .protection-error {
-                color: #d32f2f;
+                color: var(--multiaxis-error);
                 margin-top: 12px;
                 font-size: 14px;
-                display: none;
                 font-weight: 500;
             }
 
-            .protection-footer, .safe-harbor-footer {
-                margin-top: 25px;
-                padding-top: 20px;
-                border-top: 1px solid #e0e0e0;
+            .protection-error:empty, .protection-countdown:empty {
+                margin-top: 0;
+            }
+
+            .protection-countdown {
+                margin-top: 8px;
                 font-size: 13px;
-                color: #999;
+                color: var(--multiaxis-text-muted);
             }
-            
-            .safe-harbor-content {
-                background: #f8f9fa;
-                padding: 20px;
-                border-radius: 8px;
-                margin: 20px 0;
-                max-height: 400px;
+
+            .protection-alternative {
+                display: block;
+                margin: 18px auto 0;
+                background: none;
+                border: none;
+                color: var(--multiaxis-primary);
+                font-size: 14px;
+                text-decoration: underline;
+                cursor: pointer;
+            }
+
+            .protection-alternative[hidden] {
+                display: none;
+            }
+
+            .multiaxis-sr-only {
+                position: absolute;
+                width: 1px;
+                height: 1px;
+                padding: 0;
+                margin: -1px;
+                overflow: hidden;
+                clip: rect(0, 0, 0, 0);
+                white-space: nowrap;
+                border: 0;
+            }
+
+            .protection-modal :focus-visible, .safe-harbor-modal :focus-visible {
+                outline: 3px solid var(--multiaxis-primary);
+                outline-offset: 2px;
+            }
+
+            .protection-footer, .safe-harbor-footer {
+                margin-top: 25px;
+                padding-top: 20px;
+                border-top: 1px solid var(--multiaxis-divider);
+                font-size: 13px;
+                color: var(--multiaxis-text-subtle);
+            }
+            
+            .safe-harbor-changed {
+                background: var(--multiaxis-info);
+                padding: 12px 15px;
+                border-radius: 8px;
+                border-inline-start: 4px solid var(--multiaxis-accent);
+                margin-top: 15px;
+            }
+
+            .safe-harbor-changed.hidden {
+                display: none;
+            }
+
+            .safe-harbor-changed p {
+                margin: 0;
+                font-size: 14px;
+                color: var(--multiaxis-primary);
+                font-weight: 600;
+            }
+            
+            .safe-harbor-content {
+                background: var(--multiaxis-surface-muted);
+                padding: 20px;
+                border-radius: 8px;
+                margin: 20px 0;
+                max-height: 400px;
                 overflow-y: auto;
-                border: 1px solid #dee2e6;
+                border: 1px solid var(--multiaxis-border);
             }
             
             .safe-harbor-content p {
                 margin-bottom: 15px;
                 line-height: 1.6;
                 font-size: 14px;
-                color: #495057;
+                color: var(--multiaxis-legal-text);
             }
             
             .safe-harbor-content p:last-child {
@@ -454,15 +2296,15 @@ const MultiaxisProtection = (function() {
             }
             
             .safe-harbor-content strong {
-                color: #2c5e82;
+                color: var(--multiaxis-primary);
             }
             
             .safe-harbor-acknowledgment {
-                background: #fff3cd;
+                background: var(--multiaxis-warning-background);
                 padding: 15px;
                 border-radius: 8px;
                 margin: 20px 0;
-                border: 1px solid #ffc107;
+                border: 1px solid var(--multiaxis-warning-border);
             }
             
             .safe-harbor-checkbox-label {
@@ -471,7 +2313,7 @@ const MultiaxisProtection = (function() {
                 gap: 10px;
                 cursor: pointer;
                 font-size: 14px;
-                color: #856404;
+                color: var(--multiaxis-warning-text);
             }
             
             .safe-harbor-checkbox {
@@ -479,11 +2321,81 @@ const MultiaxisProtection = (function() {
                 cursor: pointer;
             }
 
-            #protectedContent {
+            /* Only regions an instance has marked - the sheet is shared by every instance on the page */
+            .multiaxis-protected {
+                display: none;
+            }
+
+            /* Email, questionnaire and custom steps */
+            .multiaxis-step-field {
+                display: block;
+                margin-bottom: 15px;
+                font-weight: 600;
+                color: var(--multiaxis-text);
+            }
+
+            .multiaxis-step-field span {
+                display: block;
+                margin-bottom: 6px;
+            }
+
+            .multiaxis-step-email, .multiaxis-step-select {
+                text-transform: none;
+                margin-bottom: 0;
+            }
+
+            .multiaxis-step-modal .protection-error {
+                margin-bottom: 15px;
+            }
+
+            /* Expired content notices sit in the page, so the warning variables can be set on :root */
+            .multiaxis-expired-banner, .multiaxis-expired-interstitial {
+                background: var(--multiaxis-warning-background, #fff3cd);
+                border: 1px solid var(--multiaxis-warning-border, #ffc107);
+                color: var(--multiaxis-warning-text, #856404);
+                padding: 12px 15px;
+                border-radius: 8px;
+                margin-bottom: 15px;
+                font-size: 14px;
+            }
+
+            .multiaxis-expired-banner p, .multiaxis-expired-interstitial p {
+                margin: 0;
+            }
+
+            .multiaxis-expired-show {
+                margin-top: 10px;
+                padding: 6px 14px;
+                background: none;
+                border: 1px solid currentColor;
+                border-radius: 5px;
+                color: inherit;
+                font: inherit;
+                cursor: pointer;
+            }
+
+            /* Inside <multiaxis-protected> - these rules only apply in its shadow root */
+            :host {
+                display: block;
+            }
+
+            :host(:not(.authorized)) slot {
                 display: none;
             }
 
-            #protectedContent.authorized {
+            :host .protection-modal, :host .safe-harbor-modal {
+                font: 16px/1.5 system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif;
+                font-style: normal;
+                letter-spacing: normal;
+                word-spacing: normal;
+                text-transform: none;
+                text-indent: 0;
+                text-shadow: none;
+                white-space: normal;
+                visibility: visible;
+            }
+
+            .multiaxis-protected.authorized {
                 display: block;
             }
 
@@ -493,279 +2405,3326 @@ const MultiaxisProtection = (function() {
                 20%, 40%, 60%, 80% { transform: translateX(5px); }
             }
 
+            @media (prefers-reduced-motion: reduce) {
+                .protection-modal *, .safe-harbor-modal * {
+                    animation: none !important;
+                    transition: none !important;
+                }
+            }
+
             @media (max-width: 768px) {
                 .protection-container, .safe-harbor-container {
                     padding: 30px 20px;
                     width: 95%;
                 }
 
-                .protection-title, .safe-harbor-title {
-                    font-size: 20px;
+                .protection-title, .safe-harbor-title {
+                    font-size: 20px;
+                }
+
+                .challenge-text {
+                    font-size: 16px;
+                }
+                
+                .safe-harbor-buttons {
+                    flex-direction: column;
+                }
+                
+                .safe-harbor-decline {
+                    margin-right: 0;
+                    margin-bottom: 10px;
+                }
+            }
+        `;
+        
+        return createStyleElement(styles, nonce);
+    }
+    
+    // Create a <style> element, carrying the CSP nonce when one is configured
+    function createStyleElement(css, nonce) {
+        const styleSheet = document.createElement('style');
+        if (nonce) {
+            styleSheet.setAttribute('nonce', nonce);
+        }
+        styleSheet.textContent = css;
+        return styleSheet;
+    }
+    
+    // Base64 helper for encrypted payloads
+    function base64ToBytes(text) {
+        return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+    }
+    
+    // Base64url (no padding), as used in magic-link tokens and keys
+    function base64UrlToBytes(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        return base64ToBytes(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    }
+    
+    // Name of the address parameter that carries a magic-link token
+    const magicLinkParam = 'multiaxis_token';
+    
+    // The page's magic-link token, read once so every instance sees it, then removed from the address bar
+    let magicLinkToken;
+    function takeMagicLinkToken() {
+        if (magicLinkToken !== undefined) {
+            return magicLinkToken;
+        }
+        magicLinkToken = null;
+        
+        // The fragment can also hold an anchor: #section&multiaxis_token=...
+        const url = new URL(window.location.href);
+        const fragment = url.hash.slice(1).split('&');
+        const fragmentIndex = fragment.findIndex(part => part.indexOf(magicLinkParam + '=') === 0);
+        if (url.searchParams.has(magicLinkParam)) {
+            magicLinkToken = url.searchParams.get(magicLinkParam);
+            url.searchParams.delete(magicLinkParam);
+        } else if (fragmentIndex !== -1) {
+            magicLinkToken = fragment.splice(fragmentIndex, 1)[0].slice(magicLinkParam.length + 1);
+            url.hash = fragment.join('&');
+        } else {
+            return null;
+        }
+        
+        if (window.history && typeof window.history.replaceState === 'function') {
+            window.history.replaceState(window.history.state, '', url.href.replace(/#$/, ''));
+        }
+        return magicLinkToken;
+    }
+    
+    // Check a magic-link token ('<payload>.<signature>', base64url) against an Ed25519 public key.
+    // Resolves to its claims ({ scope, exp, sub }) when the signature, scope and expiry are valid, otherwise null
+    function verifyMagicLink(token, publicKey, scope) {
+        const parts = String(token).split('.');
+        let claims;
+        try {
+            claims = JSON.parse(new TextDecoder().decode(base64UrlToBytes(parts[0])));
+        } catch (e) {
+            console.warn('Ignoring a malformed magic link');
+            return Promise.resolve(null);
+        }
+        
+        if (parts.length !== 2 || !claims || typeof claims.exp !== 'number') {
+            console.warn('Ignoring a malformed magic link');
+            return Promise.resolve(null);
+        }
+        if (claims.scope !== scope) {
+            console.warn('Ignoring a magic link for session key "' + claims.scope + '"');
+            return Promise.resolve(null);
+        }
+        if (claims.exp * 1000 <= Date.now()) {
+            console.warn('Ignoring a magic link that expired on ' + new Date(claims.exp * 1000).toISOString());
+            return Promise.resolve(null);
+        }
+        
+        return crypto.subtle.importKey('raw', base64UrlToBytes(publicKey), { name: 'Ed25519' }, false, ['verify'])
+            .then(key => crypto.subtle.verify({ name: 'Ed25519' }, key, base64UrlToBytes(parts[1]), new TextEncoder().encode(parts[0])))
+            .then(valid => {
+                if (!valid) {
+                    console.warn('Ignoring a magic link with an invalid signature');
+                }
+                return valid ? claims : null;
+            })
+            .catch(error => {
+                // Browsers without Ed25519 in WebCrypto fall back to the challenge
+                console.warn('Magic link could not be verified:', error);
+                return null;
+            });
+    }
+    
+    // Derive an AES-GCM key from a normalized answer with PBKDF2
+    function deriveAnswerKey(answer, kdf) {
+        return crypto.subtle.importKey('raw', new TextEncoder().encode(answer), 'PBKDF2', false, ['deriveKey'])
+            .then(baseKey => crypto.subtle.deriveKey(
+                { name: 'PBKDF2', hash: kdf.hash, iterations: kdf.iterations, salt: base64ToBytes(kdf.salt) },
+                baseKey,
+                { name: 'AES-GCM', length: 256 },
+                false,
+                ['decrypt']
+            ));
+    }
+    
+    // Try each wrapped copy of the content key until one decrypts
+    function unwrapContentKey(answerKey, wrappedKeys) {
+        return (wrappedKeys || []).reduce((found, wrapped) => found.then(key => key ||
+            crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(wrapped.iv) }, answerKey, base64ToBytes(wrapped.data))
+                .catch(() => null)
+        ), Promise.resolve(null));
+    }
+    
+    // Generate a random receipt ID
+    function createReceiptId() {
+        if (crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        
+        const bytes = new Uint8Array(16);
+        crypto.getRandomValues(bytes);
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+    
+    // SHA-256 hex digest of a string
+    function sha256Hex(text) {
+        return crypto.subtle.digest('SHA-256', new TextEncoder().encode(text))
+            .then(digest => Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join(''));
+    }
+    
+    // Count the leading zero bits of a hex digest
+    function countLeadingZeroBits(hex) {
+        let bits = 0;
+        for (let i = 0; i < hex.length; i++) {
+            const nibble = parseInt(hex[i], 16);
+            if (nibble !== 0) {
+                return bits + Math.clz32(nibble) - 28;
+            }
+            bits += 4;
+        }
+        return bits;
+    }
+    
+    // Hash a normalized access code like protection-access-code.js does:
+    // PBKDF2-SHA-256 when the entry has iterations, otherwise SHA-256 of the salt followed by the code
+    function hashAccessCode(code, entry) {
+        const salt = entry.salt || '';
+        if (!entry.iterations) {
+            return sha256Hex(salt + code);
+        }
+        
+        return crypto.subtle.importKey('raw', new TextEncoder().encode(code), 'PBKDF2', false, ['deriveBits'])
+            .then(baseKey => crypto.subtle.deriveBits(
+                { name: 'PBKDF2', hash: 'SHA-256', iterations: entry.iterations, salt: new TextEncoder().encode(salt) },
+                baseKey,
+                256
+            ))
+            .then(bits => Array.from(new Uint8Array(bits), byte => byte.toString(16).padStart(2, '0')).join(''));
+    }
+    
+    // Zero-width characters that carry text watermarks: each symbol holds two bits,
+    // and a zero-width joiner marks the start and end of each copy of the mark
+    const watermarkSymbols = ['\u200B', '\u200C', '\u2060', '\u2063'];
+    const watermarkBoundary = '\u200D';
+    const watermarkPattern = /\u200D([\u200B\u200C\u2060\u2063]+)\u200D/g;
+    
+    // Elements whose text is left unmarked, so copied code and form values still work
+    const watermarkSkippedTags = ['SCRIPT', 'STYLE', 'TEXTAREA', 'PRE', 'CODE', 'NOSCRIPT', 'TEMPLATE'];
+    
+    // Pack an identifier into watermark bytes: a format byte, the identifier and a checksum.
+    // UUIDs and 32-digit hex IDs (consent receipt IDs) are stored as 16 raw bytes
+    function encodeWatermarkBytes(id) {
+        const hex = id.replace(/-/g, '');
+        let bytes;
+        
+        if (/^[0-9a-f]{32}$/i.test(hex) && (hex === id || /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id))) {
+            bytes = [hex === id ? 2 : 1].concat(hex.match(/../g).map(pair => parseInt(pair, 16)));
+        } else {
+            bytes = [0].concat(Array.from(new TextEncoder().encode(id)));
+        }
+        
+        return bytes.concat(bytes.reduce((sum, byte) => (sum + byte) % 256, 0));
+    }
+    
+    // Unpack watermark bytes, or null if the checksum doesn't match
+    function decodeWatermarkBytes(bytes) {
+        if (bytes.length < 2) {
+            return null;
+        }
+        
+        const checksum = bytes[bytes.length - 1];
+        const content = bytes.slice(0, -1);
+        if (content.reduce((sum, byte) => (sum + byte) % 256, 0) !== checksum) {
+            return null;
+        }
+        
+        const format = content[0];
+        const body = content.slice(1);
+        if (format === 0) {
+            return new TextDecoder().decode(new Uint8Array(body));
+        }
+        
+        if ((format === 1 || format === 2) && body.length === 16) {
+            const hex = body.map(byte => byte.toString(16).padStart(2, '0')).join('');
+            return format === 2 ? hex : hex.replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5');
+        }
+        
+        return null;
+    }
+    
+    // The invisible text mark for an identifier
+    function createTextWatermark(id) {
+        const symbols = encodeWatermarkBytes(id).map(byte =>
+            [6, 4, 2, 0].map(shift => watermarkSymbols[(byte >> shift) & 3]).join('')
+        );
+        return watermarkBoundary + symbols.join('') + watermarkBoundary;
+    }
+    
+    // Find the identifier hidden in a copied excerpt of watermarked text, or null if there's none
+    function decodeWatermark(text) {
+        const matches = String(text).match(watermarkPattern) || [];
+        
+        for (let i = 0; i < matches.length; i++) {
+            const symbols = Array.from(matches[i].slice(1, -1), symbol => watermarkSymbols.indexOf(symbol));
+            if (symbols.length % 4 !== 0) {
+                continue;
+            }
+        
+            const bytes = [];
+            for (let j = 0; j < symbols.length; j += 4) {
+                bytes.push((symbols[j] << 6) | (symbols[j + 1] << 4) | (symbols[j + 2] << 2) | symbols[j + 3]);
+            }
+        
+            const id = decodeWatermarkBytes(bytes);
+            if (id !== null) {
+                return id;
+            }
+        }
+        
+        return null;
+    }
+    
+    // Hide a mark in the text nodes of a region - after the first word of each passage,
+    // and again about every 120 characters, so short excerpts still carry it
+    function watermarkText(region, id) {
+        const mark = createTextWatermark(id);
+        const walker = document.createTreeWalker(region, NodeFilter.SHOW_TEXT, {
+            acceptNode: function(node) {
+                let parent = node.parentNode;
+                while (parent && parent !== region) {
+                    if (watermarkSkippedTags.indexOf(parent.nodeName) !== -1) {
+                        return NodeFilter.FILTER_REJECT;
+                    }
+                    parent = parent.parentNode;
+                }
+                return NodeFilter.FILTER_ACCEPT;
+            }
+        });
+        
+        const nodes = [];
+        while (walker.nextNode()) {
+            nodes.push(walker.currentNode);
+        }
+        
+        nodes.forEach(node => {
+            // Drop any earlier mark, so revealing the content again doesn't stack them
+            const text = node.nodeValue.replace(watermarkPattern, '');
+            let marked = '';
+            let lastMark = -Infinity;
+            
+            for (let i = 0; i < text.length; i++) {
+                marked += text[i];
+                if (text[i] === ' ' && i > 0 && text[i - 1] !== ' ' && i - lastMark >= 120) {
+                    marked += mark;
+                    lastMark = i;
+                }
+            }
+            
+            if (marked !== node.nodeValue) {
+                node.nodeValue = marked;
+            }
+        });
+    }
+    
+    // Pixel data of an image, canvas or ImageData (throws for cross-origin images)
+    function getPixelData(source) {
+        if (source.data && source.width) {
+            return source;
+        }
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = source.naturalWidth || source.width;
+        canvas.height = source.naturalHeight || source.height;
+        const context = canvas.getContext('2d');
+        context.drawImage(source, 0, 0);
+        return context.getImageData(0, 0, canvas.width, canvas.height);
+    }
+    
+    // Image watermarks are stored in the lowest bit of each pixel's blue value:
+    // a marker byte, the length, then the watermark bytes
+    const imageWatermarkMarker = 0x4D;
+    
+    // Hide a mark in an image's pixels, replacing it with a PNG copy
+    function watermarkImage(image, id) {
+        return new Promise((resolve, reject) => {
+            if (image.complete && image.naturalWidth) {
+                resolve();
+            } else {
+                image.addEventListener('load', resolve, { once: true });
+                image.addEventListener('error', reject, { once: true });
+            }
+        }).then(() => {
+            const pixels = getPixelData(image);
+            const bytes = encodeWatermarkBytes(id);
+            const bits = [];
+            [imageWatermarkMarker, bytes.length].concat(bytes).forEach(byte => {
+                for (let shift = 7; shift >= 0; shift--) {
+                    bits.push((byte >> shift) & 1);
+                }
+            });
+        
+            if (bits.length * 4 > pixels.data.length) {
+                return;
+            }
+        
+            bits.forEach((bit, index) => {
+                const blue = index * 4 + 2;
+                pixels.data[blue] = (pixels.data[blue] & 0xFE) | bit;
+            });
+        
+            const canvas = document.createElement('canvas');
+            canvas.width = pixels.width;
+            canvas.height = pixels.height;
+            canvas.getContext('2d').putImageData(pixels, 0, 0);
+            image.removeAttribute('srcset');
+            image.src = canvas.toDataURL('image/png');
+            image.setAttribute('data-multiaxis-watermarked', '');
+        }).catch(() => {
+            // Cross-origin images can't be read, and broken ones have nothing to mark - leave them as they are
+        });
+    }
+    
+    // Find the identifier hidden in a watermarked image (an image, canvas or ImageData), or null
+    function decodeImageWatermark(source) {
+        const data = getPixelData(source).data;
+        const readByte = offset => {
+            let byte = 0;
+            for (let i = 0; i < 8; i++) {
+                byte = (byte << 1) | (data[(offset + i) * 4 + 2] & 1);
+            }
+            return byte;
+        };
+        
+        if (data.length < 16 * 4 || readByte(0) !== imageWatermarkMarker) {
+            return null;
+        }
+        
+        const length = readByte(8);
+        if ((length + 2) * 8 * 4 > data.length) {
+            return null;
+        }
+        
+        const bytes = [];
+        for (let i = 0; i < length; i++) {
+            bytes.push(readByte((i + 2) * 8));
+        }
+        return decodeWatermarkBytes(bytes);
+    }
+    
+
+    let instanceCount = 0;
+    let defaultStyleSheet = null;
+    let defaultStyleUsers = 0;
+    let defaultInstance = null;
+    
+    // Listeners added and whenUnlocked() promises handed out before init(), passed on to the instance it creates
+    const pendingListeners = [];
+    let pendingUnlocked = null;
+    
+    // Session keys of the live instances, so instances without their own key don't share one
+    const liveSessionKeys = [];
+    
+    // Create an isolated protection instance with its own modals, element IDs, storage keys and callbacks
+    function createInstance(options = {}) {
+        const userConfig = validateConfig(options);
+        
+        // The first instance keeps the original element IDs, later ones get a suffix
+        instanceCount++;
+        const idSuffix = instanceCount === 1 ? '' : '_' + instanceCount;
+        
+        // Merge user config with defaults
+        const config = { ...defaults, ...userConfig };
+        config.modalId = userConfig.modalId || defaults.modalId + idSuffix;
+        config.locale = config.locale || detectLocale();
+        
+        // Without a sessionKey, take the first default key no live instance uses (multiaxis_protection, then _2, ...),
+        // so re-creating an instance keeps its key but two instances never share verification, terms or step progress
+        if (!userConfig.sessionKey) {
+            for (let number = 2; liveSessionKeys.indexOf(config.sessionKey) !== -1; number++) {
+                config.sessionKey = defaults.sessionKey + '_' + number;
+            }
+        } else if (liveSessionKeys.indexOf(config.sessionKey) !== -1) {
+            console.warn('Another protection instance already uses sessionKey "' + config.sessionKey + '" - they will share verification, terms and step progress');
+        }
+        liveSessionKeys.push(config.sessionKey);
+        
+        // Magic links are scoped to the sessionKey, so with the shared default one link unlocks every such page
+        if (config.magicLinkKey && !userConfig.sessionKey) {
+            console.warn('Set a sessionKey for each page that accepts magic links - a link for the default key unlocks every page using it');
+        }
+        
+        const text = getMessages();
+        const brand = getBrand();
+        
+        const storage = createStorage();
+        const root = config.root || document;
+        const elements = {};
+        
+        // With steps, the Safe Harbor terms are shown when a 'terms' step is listed
+        const steps = resolveSteps();
+        if (config.steps) {
+            config.enableSafeHarbor = steps.some(step => step.type === 'terms');
+        }
+        let activeStep = null;
+        let challenge = null;
+        let signals = null;
+        let escalated = false;
+        let renderedSafeHarborText = '';
+        let returnFocusTo = null;
+        let dialogShown = false;
+        let status = 'pending';
+        let destroyed = false;
+        let lockedContent = null;
+        let pendingReceipt = null;
+        let copyProtection = null;
+        let addedNosnippet = false;
+        let traps = null;
+        let freshnessTimer = null;
+        let analytics = null;
+        const expiredSections = [];
+        let watermarkId = null;
+        let countdownTimer = null;
+        let retryWhenReady = false;
+        const listeners = {};
+        let unlocked = null;
+        let resolveUnlocked = null;
+        let rejectUnlocked = null;
+        let contentKey = null; // Decrypted content key, kept in memory only
+        let readOnly = false; // Set while getState() reads storage, so expired entries are left for the flow to clear
+        createUnlockedPromise();
+        
+        // Resolve this instance's messages: the locale bundle, then the messages option, then text passed directly
+        function getMessages() {
+            const messages = { ...getLocaleMessages(config.locale) };
+            const overrides = { ...(config.messages && typeof config.messages === 'object' ? config.messages : {}) };
+            
+            Object.keys(messages).forEach(key => {
+                if (key !== 'safeHarborText' && userConfig[key] !== undefined && userConfig[key] !== null) {
+                    overrides[key] = userConfig[key];
+                }
+            });
+            
+            // safeHarborText can be a single string or one per locale
+            const safeHarborText = config.safeHarborText;
+            if (typeof safeHarborText === 'string') {
+                overrides.safeHarborText = safeHarborText;
+            } else if (safeHarborText && typeof safeHarborText === 'object') {
+                const code = config.locale.toLowerCase();
+                const match = Object.keys(safeHarborText).find(key => key.toLowerCase() === code) ||
+                    Object.keys(safeHarborText).find(key => key.toLowerCase() === code.split('-')[0]);
+                if (match) {
+                    overrides.safeHarborText = safeHarborText[match];
+                }
+            }
+            
+            return { ...messages, ...overrides };
+        }
+        
+        // Get a message, filling in any {placeholders}
+        function t(key, values) {
+            return text[key] === undefined ? key : formatMessage(text[key], values);
+        }
+        
+        // Subscribe to a lifecycle event
+        function on(event, handler) {
+            if (typeof handler === 'function') {
+                listeners[event] = (listeners[event] || []).concat(handler);
+            }
+            return api;
+        }
+        
+        // Unsubscribe from a lifecycle event
+        function off(event, handler) {
+            if (listeners[event]) {
+                listeners[event] = listeners[event].filter(listener => listener !== handler);
+            }
+            return api;
+        }
+        
+        // Notify subscribers once the current step is done, so listeners added right after init() hear setup events
+        function emit(event, detail = {}) {
+            trackEvent(event, detail);
+            Promise.resolve().then(() => {
+                (listeners[event] || []).forEach(handler => {
+                    try {
+                        handler({ type: event, ...detail });
+                    } catch (error) {
+                        console.error('Error in "' + event + '" listener:', error);
+                    }
+                });
+            });
+        }
+        
+        // A promise resolved when the content is unlocked, or rejected if the instance is destroyed first
+        function createUnlockedPromise() {
+            unlocked = new Promise((resolve, reject) => {
+                resolveUnlocked = resolve;
+                rejectUnlocked = reject;
+            });
+            // Nobody has to be waiting when destroy() rejects it
+            unlocked.catch(() => {});
+        }
+        
+        // Wait for the content to be unlocked
+        function whenUnlocked() {
+            return unlocked;
+        }
+        
+        // Snapshot of where this instance is in the flow. Reading it changes nothing:
+        // expired entries count as missing, but aren't removed and don't fire 'expired'
+        function getState() {
+            readOnly = true;
+            try {
+                return readState();
+            } finally {
+                readOnly = false;
+            }
+        }
+        
+        function readState() {
+            const acceptance = destroyed ? null : readSafeHarborAcceptance();
+            const attempts = destroyed ? null : readAttempts();
+            const lockedOut = attempts !== null && attempts.lockedUntil !== null && status === 'challenge';
+        
+            return {
+                status: lockedOut ? 'locked' : status, // 'pending', 'challenge', 'locked', 'blocked', 'step', 'terms', 'loading', 'unlocked' or 'destroyed'
+                step: activeStep ? activeStep.step.id : null,
+                completedSteps: destroyed ? [] : steps.filter(isStepComplete).map(step => step.id),
+                locale: config.locale,
+                challenge: challenge ? challenge.name : null,
+                escalated: escalated,
+                verified: !destroyed && isVerified(),
+                accessCode: destroyed ? null : getAccessCodeLabel(),
+                recipient: destroyed ? null : readEntry(getRecipientStorageKey(), config.verificationDaysValid),
+                termsAccepted: acceptance !== null && acceptance.version === getSafeHarborVersion(),
+                termsVersion: config.enableSafeHarbor ? getSafeHarborVersion() : null,
+                failedAttempts: attempts ? attempts.failures : 0,
+                lockedUntil: attempts ? attempts.lockedUntil : null,
+                trapped: !destroyed && isTrapped(),
+                watermarkId: watermarkId
+            };
+        }
+        
+        // Resolve the configured storage adapter
+        function createStorage() {
+            const storageSetting = config.storage;
+        
+            if (storageSetting && typeof storageSetting === 'object') {
+                if (typeof storageSetting.getItem !== 'function' || typeof storageSetting.setItem !== 'function' || typeof storageSetting.removeItem !== 'function') {
+                    console.error('Custom storage adapter must define getItem(), setItem() and removeItem(), falling back to "session"');
+                    return createWebStorageAdapter('sessionStorage');
+                }
+                return storageSetting;
+            }
+        
+            switch (storageSetting) {
+                case 'local':
+                    return createWebStorageAdapter('localStorage');
+                case 'cookie':
+                    return createCookieAdapter(config.cookieOptions);
+                case 'memory':
+                    return createMemoryAdapter();
+                case 'session':
+                    return createWebStorageAdapter('sessionStorage');
+                default:
+                    console.error('Unknown storage "' + storageSetting + '", falling back to "session"');
+                    return createWebStorageAdapter('sessionStorage');
+            }
+        }
+    
+        // Store a value with its issued-at time
+        function writeEntry(key, value) {
+            storage.setItem(key, JSON.stringify({ value: value, issuedAt: Date.now() }));
+        }
+    
+        // Read a stored value, or null if missing or older than daysValid
+        function readEntry(key, daysValid = null) {
+            const stored = storage.getItem(key);
+            if (stored === null || stored === undefined) {
+                return null;
+            }
+        
+            let entry;
+            try {
+                entry = JSON.parse(stored);
+            } catch (e) {
+                // Plain value stored before entries carried an issued-at time
+                return stored;
+            }
+        
+            if (!entry || typeof entry !== 'object' || !('issuedAt' in entry)) {
+                return entry;
+            }
+        
+            if (daysValid && Date.now() - entry.issuedAt > daysValid * 24 * 60 * 60 * 1000) {
+                if (!readOnly) {
+                    storage.removeItem(key);
+                    if (key === config.sessionKey || key === getSafeHarborKey()) {
+                        emit('expired', { reason: key === config.sessionKey ? 'verification' : 'terms' });
+                    }
+                }
+                return null;
+            }
+        
+            return entry.value;
+        }
+    
+        // Remove a stored value
+        function removeEntry(key) {
+            storage.removeItem(key);
+        }
+    
+        // Get the date to use for Safe Harbor
+        function getSafeHarborDate() {
+            if (config.safeHarborDate) {
+                // Use provided date if specified
+                return config.safeHarborDate;
+            } else {
+                // Use today's date
+                const today = new Date();
+                return formatDate(today, config.locale);
+            }
+        }
+    
+        // When the Safe Harbor notice runs out - safeHarborDaysValid after the notice date,
+        // or sooner if contentValidUntil says the content itself expires first
+        function getNoticeExpiry() {
+            const baseDate = config.safeHarborDate ? new Date(config.safeHarborDate) : new Date();
+            const expirationDate = new Date(baseDate);
+            expirationDate.setDate(expirationDate.getDate() + (config.safeHarborDaysValid || 90));
+        
+            const contentExpiry = config.contentValidUntil && config.contentValidUntil !== 'notice'
+                ? parseValidUntil(config.contentValidUntil)
+                : null;
+            return contentExpiry && contentExpiry < expirationDate ? contentExpiry : expirationDate;
+        }
+    
+        // Get the expiration date for Safe Harbor validity
+        function getSafeHarborExpirationDate() {
+            return formatDate(getNoticeExpiry(), config.locale);
+        }
+    
+        // Get the Safe Harbor text with its expiration date filled in
+        function getSafeHarborText(expirationDate = getSafeHarborExpirationDate()) {
+            return t('safeHarborText', { expirationDate: expirationDate });
+        }
+    
+        // Get the terms version - explicit, or a hash of the text with its dates left out
+        // so the default text doesn't count as changed every day
+        function getSafeHarborVersion() {
+            if (config.safeHarborVersion) {
+                return String(config.safeHarborVersion);
+            }
+        
+            return 'h' + hashString(text.safeHarborText);
+        }
+    
+        // Read the stored acceptance, or null if the terms were never accepted or it has expired
+        function readSafeHarborAcceptance() {
+            const acceptance = readEntry(getSafeHarborKey(), config.safeHarborDaysValid);
+        
+            // Bare 'accepted' flag from before terms were versioned
+            if (acceptance === 'accepted') {
+                return { status: 'accepted', version: null };
+            }
+        
+            return acceptance && acceptance.status === 'accepted' ? acceptance : null;
+        }
+    
+        // Create Safe Harbor modal HTML
+        function createSafeHarborModal() {
+            const currentDate = getSafeHarborDate();
+            renderedSafeHarborText = getSafeHarborText();
+    
+            const modal = document.createElement('div');
+            modal.id = 'safeHarborModal' + idSuffix;
+            modal.className = 'safe-harbor-modal';
+            modal.lang = config.locale;
+            modal.dir = text.dir;
+            applyTheme(modal);
+            modal.innerHTML = `
+                <div class="safe-harbor-container" role="dialog" aria-modal="true" aria-labelledby="safeHarborTitle${idSuffix}">
+                    <h2 class="safe-harbor-title" id="safeHarborTitle${idSuffix}">
+                        <span class="legal-icon" aria-hidden="true">⚖️</span>
+                        <span>${t('safeHarborTitle')}</span>
+                    </h2>
+            
+                    <div class="safe-harbor-changed hidden" id="safeHarborChanged${idSuffix}">
+                        <p>${t('safeHarborChangedNotice')}</p>
+                    </div>
+            
+                    <div class="safe-harbor-content" tabindex="0" role="region" aria-label="${t('safeHarborTitle')}">
+                        ${renderedSafeHarborText}
+                    </div>
+            
+                    <div class="safe-harbor-acknowledgment">
+                        <label class="safe-harbor-checkbox-label">
+                            <input type="checkbox" id="safeHarborCheckbox${idSuffix}" class="safe-harbor-checkbox">
+                            <span>${t('safeHarborAcknowledgment')}</span>
+                        </label>
+                    </div>
+            
+                    <div class="safe-harbor-buttons">
+                        <button type="button" class="safe-harbor-decline" id="safeHarborDecline${idSuffix}">
+                            ${t('safeHarborDecline')}
+                        </button>
+                        <button type="button" class="safe-harbor-accept" id="safeHarborAccept${idSuffix}" disabled>
+                            ${t('safeHarborAccept')}
+                        </button>
+                    </div>
+            
+                    <div class="safe-harbor-footer">
+                        <p>${t('safeHarborDateLabel')} ${currentDate}</p>
+                    </div>
+                </div>
+        `    ;
+    
+            return modal;
+        }
+    
+        // Resolve a challenge provider and its options (defaults to the configured challenge)
+        function getChallenge(challengeSetting = config.challenge) {
+            const challengeConfig = typeof challengeSetting === 'string' ? { type: challengeSetting } : (challengeSetting || {});
+            const type = challengeConfig.type || 'word';
+        
+            if (!challengeProviders[type]) {
+                console.error('Unknown challenge "' + type + '", falling back to "word"');
+                return { name: 'word', provider: challengeProviders.word, options: {} };
+            }
+        
+            return { name: type, provider: challengeProviders[type], options: challengeConfig };
+        }
+    
+        // Render a challenge into the protection modal
+        function renderChallenge(challengeSetting) {
+            const active = getChallenge(challengeSetting);
+            let answer = '';
+        
+            challenge = {
+                name: active.name,
+                provider: active.provider,
+                context: {
+                    config: config,
+                    options: active.options,
+                    state: {},
+                    setAnswer: function(value) {
+                        answer = value;
+                    },
+                    getAnswer: function() {
+                        return answer;
+                    },
+                    submit: function() {
+                        // Invisible challenges finishing after the visitor moved on are ignored
+                        if (status === 'challenge') {
+                            checkAccess();
+                        }
+                    },
+                    t: t
+                }
+            };
+        
+            const input = elements.input;
+            input.style.display = active.provider.input === false ? 'none' : '';
+            input.placeholder = text[active.name + 'Placeholder'] || active.provider.placeholder || t('inputPlaceholder');
+            input.value = '';
+        
+            // A site's own errorMessage replaces the provider's
+            const providerError = text[active.name + 'Error'] || active.provider.errorMessage;
+            const useProviderError = providerError && text.errorMessage === getLocaleMessages(config.locale).errorMessage;
+            challenge.errorMessage = useProviderError ? providerError : t('errorMessage');
+        
+            // Invisible challenges submit themselves
+            elements.submit.style.display = active.provider.invisible ? 'none' : '';
+        
+            // Offer the accessible alternative unless it is already showing, or would skip an access code
+            elements.alternative.hidden = !config.accessibleChallenge || active.provider.authorizes === true ||
+                active.name === getChallenge(config.accessibleChallenge).name;
+        
+            // The body is drawn when the challenge is shown, so invisible challenges
+            // don't start working for visitors who are already past this step
+            challenge.rendered = false;
+            elements.challengeBody.innerHTML = '';
+            if (status === 'challenge') {
+                drawChallenge();
+            }
+        }
+    
+        // Draw the current challenge's body once
+        function drawChallenge() {
+            if (!challenge.rendered) {
+                challenge.rendered = true;
+                challenge.provider.render(elements.challengeBody, challenge.context);
+            }
+        }
+    
+        // Start collecting pointer and typing signals for the risk score
+        function collectSignals() {
+            signals = createSignals();
+        
+            document.addEventListener('pointermove', trackPointer, { passive: true });
+            document.addEventListener('touchstart', trackTouch, { passive: true });
+        
+            const input = elements.input;
+            input.addEventListener('keydown', function(e) {
+                if (e.key !== 'Enter') {
+                    signals.keystrokes.push(performance.now());
+                }
+            });
+        
+            input.addEventListener('paste', function() {
+                signals.pasted = true;
+            });
+        }
+    
+        // Count pointer movement for the risk score
+        function trackPointer() {
+            signals.pointerMoves++;
+        }
+    
+        // Count touches for the risk score
+        function trackTouch() {
+            signals.touches++;
+        }
+    
+        // Start timing and typing signals over for a newly shown challenge
+        function restartSignals() {
+            signals.shownAt = Date.now();
+            signals.keystrokes = [];
+            signals.pasted = false;
+        }
+    
+        // Combine the collected signals into a 0-100 risk score
+        function computeRiskScore() {
+            const environment = getEnvironmentSignals();
+            const usesInput = challenge.provider.input !== false;
+            const typedValue = usesInput ? elements.input.value : '';
+            const intervals = signals.keystrokes.slice(1).map((time, i) => time - signals.keystrokes[i]);
+            const averageInterval = intervals.length ? intervals.reduce((a, b) => a + b, 0) / intervals.length : null;
+            const deviation = intervals.length ? Math.sqrt(intervals.reduce((sum, interval) => sum + Math.pow(interval - averageInterval, 2), 0) / intervals.length) : null;
+            const elapsed = Date.now() - signals.shownAt;
+            const reasons = [];
+            let score = 0;
+        
+            function add(points, reason) {
+                score += points;
+                reasons.push(reason);
+            }
+        
+            if (environment.webdriver) {
+                add(50, 'webdriver');
+            }
+            if (environment.headlessUserAgent) {
+                add(40, 'headless-user-agent');
+            }
+            environment.mismatches.forEach(mismatch => add(10, mismatch));
+        
+            if (signals.pointerMoves === 0 && signals.touches === 0 && !challenge.provider.invisible) {
+                add(20, 'no-pointer-movement');
+            }
+        
+            if (usesInput) {
+                if (signals.pasted) {
+                    add(15, 'pasted-answer');
+                } else if (typedValue && signals.keystrokes.length === 0) {
+                    add(25, 'answer-without-keystrokes');
+                }
+                if (intervals.length >= 3 && (averageInterval < 30 || deviation < 5)) {
+                    add(15, 'robotic-typing');
+                }
+            }
+        
+            if (!challenge.provider.invisible && elapsed < 1500) {
+                add(20, 'submitted-too-fast');
+            }
+        
+            return {
+                score: Math.min(score, 100),
+                reasons: reasons,
+                signals: {
+                    webdriver: environment.webdriver,
+                    headlessUserAgent: environment.headlessUserAgent,
+                    mismatches: environment.mismatches,
+                    pointerMoves: signals.pointerMoves,
+                    touches: signals.touches,
+                    keystrokes: signals.keystrokes.length,
+                    averageKeyInterval: averageInterval,
+                    pasted: signals.pasted,
+                    timeToSubmit: elapsed
+                }
+            };
+        }
+    
+        // Get the current answer from the text input or the provider
+        function getChallengeAnswer() {
+            if (challenge.provider.input === false) {
+                return challenge.context.getAnswer();
+            }
+        
+            return elements.input.value.trim().toUpperCase();
+        }
+    
+        // Give the provider a chance to present a fresh challenge after a failure
+        function resetChallenge() {
+            if (typeof challenge.provider.reset === 'function') {
+                challenge.provider.reset(elements.challengeBody, challenge.context);
+            }
+        }
+    
+        // The configured brand preset (a registered name or an inline preset)
+        function getBrand() {
+            if (typeof config.brand === 'string') {
+                if (!brands[config.brand]) {
+                    console.error('Unknown brand "' + config.brand + '"');
+                }
+                return brands[config.brand] || {};
+            }
+
+            return config.brand || {};
+        }
+
+        // Apply the theme and brand colors to a modal. Variables are set through the
+        // CSSOM rather than a style attribute, so a strict style-src still allows them
+        function applyTheme(modal) {
+            modal.setAttribute('data-multiaxis-theme', ['dark', 'auto'].indexOf(config.theme) !== -1 ? config.theme : 'light');
+
+            Object.keys(brandVariables).forEach(key => {
+                if (brand[key]) {
+                    modal.style.setProperty(brandVariables[key], brand[key]);
+                }
+            });
+
+            Object.keys(brand.variables || {}).forEach(name => {
+                modal.style.setProperty(name.indexOf('--') === 0 ? name : '--multiaxis-' + name, brand.variables[name]);
+            });
+        }
+
+        // Markup for a template slot: a custom template (an HTML string with {placeholders},
+        // or a function receiving the values) or the default markup
+        function renderSlot(name, values, defaultMarkup) {
+            const template = config.templates && config.templates[name];
+
+            if (template && typeof template === 'function') {
+                return String(template(values));
+            }
+
+            if (typeof template === 'string') {
+                return formatMessage(template, values);
+            }
+
+            return defaultMarkup;
+        }
+
+        // Create protection modal HTML
+        function createModal() {
+            const modal = document.createElement('div');
+            modal.id = config.modalId;
+            modal.className = 'protection-modal';
+            modal.lang = config.locale;
+            modal.dir = text.dir;
+            applyTheme(modal);
+
+            const logo = brand.logoUrl
+                ? `<img class="protection-logo" src="${escapeHtml(brand.logoUrl)}" alt="${escapeHtml(brand.logoAlt || '')}">`
+                : '<span class="shield-icon" aria-hidden="true">🛡️</span>';
+
+            const header = renderSlot('header', {
+                titleId: 'protectionTitle' + idSuffix,
+                instructionId: 'protectionInstruction' + idSuffix,
+                logo: logo,
+                title: t('title'),
+                securityNoticeLabel: t('securityNoticeLabel'),
+                notice: t('notice'),
+                instruction: t('instruction')
+            }, `
+                    <h2 class="protection-title" id="protectionTitle${idSuffix}">
+                        ${logo}
+                        <span>${t('title')}</span>
+                    </h2>
+                
+                    <div class="protection-notice">
+                        <p>
+                            <strong>${t('securityNoticeLabel')}</strong> ${t('notice')}
+                        </p>
+                    </div>
+
+                    <p class="protection-instruction" id="protectionInstruction${idSuffix}">
+                        ${t('instruction')}
+                    </p>`);
+
+            // The parts the module drives - a challenge template places them with {placeholders}
+            const parts = {
+                challengeBody: `<div id="protectionChallengeBody${idSuffix}" class="challenge-body"></div>`,
+                input: `<label for="protectionInput${idSuffix}" class="multiaxis-sr-only">${t('inputLabel')}</label>
+                        <input 
+                            type="text" 
+                            id="protectionInput${idSuffix}" 
+                            class="protection-input" 
+                            placeholder="${t('inputPlaceholder')}"
+                            autocomplete="off"
+                            spellcheck="false"
+                            aria-describedby="protectionChallengeBody${idSuffix} protectionError${idSuffix}"
+                        >`,
+                submit: `<button type="button" class="protection-submit" id="protectionSubmit${idSuffix}">
+                            ${t('submitButton')}
+                        </button>`,
+                error: `<div id="protectionError${idSuffix}" class="protection-error" aria-live="assertive" aria-atomic="true"></div>`,
+                countdown: `<div id="protectionCountdown${idSuffix}" class="protection-countdown" role="timer"></div>`,
+                alternative: `<button type="button" class="protection-alternative" id="protectionAlternative${idSuffix}" hidden>
+                            ${t('accessibleChallengeText')}
+                        </button>`
+            };
+            let challengeMarkup = renderSlot('challenge', parts, `
+                        ${parts.challengeBody}
+
+                        ${parts.input}
+                    
+                        ${parts.submit}
+                    
+                        ${parts.error}
+                        ${parts.countdown}
+                    
+                        ${parts.alternative}`);
+
+            // A template that leaves a part out still gets it, so the challenge keeps working
+            Object.keys(parts).forEach(name => {
+                if (challengeMarkup.indexOf(parts[name]) === -1) {
+                    challengeMarkup += parts[name];
+                }
+            });
+
+            const footer = renderSlot('footer', { footerText: t('footerText') }, `
+                    <div class="protection-footer">
+                        ${t('footerText')}
+                    </div>`);
+
+            modal.innerHTML = `
+                <div class="protection-container" role="dialog" aria-modal="true" aria-labelledby="protectionTitle${idSuffix}" aria-describedby="protectionInstruction${idSuffix}">
+                    ${header}
+
+                    <div class="protection-challenge">
+                        ${challengeMarkup}
+                    </div>
+                    ${footer}
+                </div>
+            `;
+
+            // A custom header without the title or instruction ids still leaves the dialog named
+            const dialog = modal.querySelector('.protection-container');
+            if (!modal.querySelector('#protectionTitle' + idSuffix)) {
+                dialog.removeAttribute('aria-labelledby');
+                dialog.setAttribute('aria-label', t('title'));
+            }
+            if (!modal.querySelector('#protectionInstruction' + idSuffix)) {
+                dialog.removeAttribute('aria-describedby');
+            }
+        
+            return modal;
+        }
+    
+        // Announce an error through the live region
+        function showError(message) {
+            elements.error.textContent = message;
+        }
+    
+        // Clear the error (an empty live region stays silent)
+        function hideError() {
+            elements.error.textContent = '';
+        }
+    
+        // Announce a status message without moving focus
+        function announce(message) {
+            elements.statusRegion.textContent = message;
+        }
+    
+        // The control a modal should focus when it opens
+        function getPrimaryControl(dialog) {
+            if (dialog === elements.safeHarborModal) {
+                return dialog.querySelector('.safe-harbor-content');
+            }
+        
+            if (dialog === elements.stepModal) {
+                return getFocusableElements(elements.stepBody)[0] || (elements.stepContinue.hidden ? elements.stepDialog : elements.stepContinue);
+            }
+        
+            if (elements.input.style.display !== 'none' && !elements.input.disabled) {
+                return elements.input;
+            }
+        
+            return getFocusableElements(elements.challengeBody)[0] || elements.submit;
+        }
+    
+        // Move focus to a modal's primary control
+        function focusPrimaryControl(dialog) {
+            const control = getPrimaryControl(dialog);
+            if (control) {
+                control.focus();
+            }
+        }
+    
+        // Where the modals are added - the page body, or the shadow root this instance renders into
+        function getMountPoint() {
+            return root === document ? document.body : root;
+        }
+    
+        // The focused element, looking inside the shadow root when there is one
+        function getActiveElement() {
+            return root.activeElement || document.activeElement;
+        }
+    
+        // Visible, enabled controls inside a container, in tab order
+        function getFocusableElements(container) {
+            const selector = 'a[href], button, input, select, textarea, [tabindex]:not([tabindex="-1"])';
+            return Array.from(container.querySelectorAll(selector)).filter(element =>
+                !element.disabled && !element.hidden && element.tabIndex >= 0 && element.style.display !== 'none' && !element.closest('.hidden')
+            );
+        }
+    
+        // Show a modal and move focus into it, remembering where focus was
+        function showDialog(dialog) {
+            const active = getActiveElement();
+            const focusOutside = active && active !== document.body && !elements.modal.contains(active) &&
+                !(elements.safeHarborModal && elements.safeHarborModal.contains(active)) &&
+                !(elements.stepModal && elements.stepModal.contains(active));
+            if (focusOutside) {
+                returnFocusTo = active;
+            }
+        
+            dialogShown = true;
+            dialog.classList.remove('hidden');
+        
+            focusPrimaryControl(dialog);
+        
+            if (dialog === elements.modal) {
+                status = 'challenge';
+                emit('challengeShown', { challenge: challenge.name });
+            }
+        }
+    
+        // Keep Tab inside an open modal; Escape returns to its primary control (the gate can't be dismissed)
+        function handleDialogKeydown(e) {
+            const dialog = e.currentTarget;
+        
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                if (dialog === elements.modal) {
+                    hideError();
+                }
+                focusPrimaryControl(dialog);
+                return;
+            }
+        
+            if (e.key !== 'Tab') {
+                return;
+            }
+        
+            const focusable = getFocusableElements(dialog);
+            if (!focusable.length) {
+                e.preventDefault();
+                return;
+            }
+        
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            const active = getActiveElement();
+            if (e.shiftKey && (active === first || !dialog.contains(active))) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && active === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+    
+        // After unlocking, return focus to where it was before the modals opened, or to the content
+        function restoreFocus() {
+            if (!dialogShown) {
+                return;
+            }
+            dialogShown = false;
+        
+            announce(t('unlockedMessage'));
+        
+            const target = returnFocusTo && returnFocusTo.isConnected ? returnFocusTo : getProtectedContent();
+            returnFocusTo = null;
+            if (target === getProtectedContent() && !target.hasAttribute('tabindex')) {
+                target.setAttribute('tabindex', '-1');
+            }
+            target.focus();
+        }
+    
+        // Switch to the accessible alternative challenge
+        function showAccessibleChallenge() {
+            renderChallenge(config.accessibleChallenge);
+            hideError();
+            restartSignals();
+            emit('challengeShown', { challenge: challenge.name, reason: 'alternative' });
+        
+            focusPrimaryControl(elements.modal);
+        }
+    
+        // Get the storage key for the access code used to verify
+        function getAccessCodeStorageKey() {
+            return config.sessionKey + '_accessCode';
+        }
+    
+        // Get the storage key for the recipient of a magic link
+        function getRecipientStorageKey() {
+            return config.sessionKey + '_recipient';
+        }
+    
+        // Label of the access code this visitor verified with, or null
+        function getAccessCodeLabel() {
+            const accessCode = readEntry(getAccessCodeStorageKey(), config.verificationDaysValid);
+            return accessCode && typeof accessCode === 'object' ? accessCode.label : null;
+        }
+    
+        // Whether a passed challenge is remembered. Access granted with an access code ends when the code expires
+        function isVerified() {
+            if (readEntry(config.sessionKey, config.verificationDaysValid) !== 'granted') {
+                return false;
+            }
+        
+            const accessCode = readEntry(getAccessCodeStorageKey(), config.verificationDaysValid);
+            if (accessCode && accessCode.expires && Date.parse(accessCode.expires) <= Date.now()) {
+                if (!readOnly) {
+                    removeEntry(config.sessionKey);
+                    removeEntry(getAccessCodeStorageKey());
+                    emit('expired', { reason: 'accessCode' });
+                }
+                return false;
+            }
+            return true;
+        }
+    
+        // Get the storage key for failed attempts
+        function getAttemptsStorageKey() {
+            return config.sessionKey + '_attempts';
+        }
+    
+        // Read the failed attempts, starting over once a lockout has ended or old failures have aged out
+        function readAttempts() {
+            const attempts = readEntry(getAttemptsStorageKey());
+            const now = Date.now();
+        
+            if (!attempts || typeof attempts !== 'object' ||
+                (attempts.lockedUntil !== null && now >= attempts.lockedUntil) ||
+                now - attempts.lastFailureAt > config.lockoutMinutes * 60 * 1000) {
+                return { failures: 0, lastFailureAt: 0, nextAttemptAt: 0, lockedUntil: null };
+            }
+        
+            return attempts;
+        }
+    
+        // Record a failed attempt with its back-off, locking out after maxAttempts
+        function recordFailure() {
+            const attempts = readAttempts();
+            const now = Date.now();
+            attempts.failures++;
+            attempts.lastFailureAt = now;
+        
+            const delay = config.retryDelay ? Math.min(config.retryDelay * Math.pow(2, attempts.failures - 1), config.maxRetryDelay) : 0;
+            attempts.nextAttemptAt = now + delay;
+        
+            if (config.maxAttempts && attempts.failures >= config.maxAttempts) {
+                attempts.lockedUntil = now + config.lockoutMinutes * 60 * 1000;
+                attempts.nextAttemptAt = attempts.lockedUntil;
+            }
+        
+            writeEntry(getAttemptsStorageKey(), attempts);
+            return attempts;
+        }
+    
+        // Count down to the next allowed attempt; a lockout also disables the answer field
+        function startCountdown(attempts) {
+            const lockedOut = attempts.lockedUntil !== null;
+            clearTimeout(countdownTimer);
+        
+            elements.submit.disabled = true;
+            if (lockedOut) {
+                elements.input.disabled = true;
+                elements.alternative.disabled = true;
+            }
+        
+            function tick() {
+                const remaining = attempts.nextAttemptAt - Date.now();
+                if (remaining > 0) {
+                    elements.countdown.textContent = t('retryCountdown', { time: formatDuration(remaining) });
+                    // Tick on each whole second left
+                    countdownTimer = setTimeout(tick, remaining % 1000 || 1000);
+                    return;
+                }
+            
+                stopCountdown();
+                if (status === 'blocked') {
+                    return;
+                }
+            
+                elements.input.disabled = false;
+                elements.submit.disabled = false;
+                elements.alternative.disabled = false;
+                if (lockedOut) {
+                    hideError();
+                    announce(t('retryReadyMessage'));
+                    focusPrimaryControl(elements.modal);
+                }
+            
+                // An invisible challenge that finished during the wait submits itself now
+                if (retryWhenReady) {
+                    retryWhenReady = false;
+                    checkAccess();
+                }
+            }
+        
+            tick();
+        }
+    
+        // Stop the countdown
+        function stopCountdown() {
+            clearTimeout(countdownTimer);
+            countdownTimer = null;
+            if (elements.countdown) {
+                elements.countdown.textContent = '';
+            }
+        }
+    
+        // Pick up a lockout or back-off left over from before a reload or reset
+        function resumeAttemptLimits() {
+            const attempts = readAttempts();
+            if (Date.now() >= attempts.nextAttemptAt) {
+                return;
+            }
+        
+            if (attempts.lockedUntil !== null) {
+                showError(t('lockoutMessage'));
+            }
+            startCountdown(attempts);
+        }
+    
+        // Check access
+        function checkAccess() {
+            if (destroyed || status === 'blocked') {
+                return;
+            }
+        
+            // Only automated clients fill in the hidden honeypot field
+            if (elements.trapInput && elements.trapInput.value) {
+                triggerTrap('honeypot');
+                return;
+            }
+        
+            // Hold off during a back-off or lockout
+            const attempts = readAttempts();
+            if (Date.now() < attempts.nextAttemptAt) {
+                retryWhenReady = challenge.provider.invisible === true;
+                startCountdown(attempts);
+                return;
+            }
+        
+            const userAnswer = getChallengeAnswer();
+            const risk = computeRiskScore();
+        
+            // Run beforeCheck callback if provided
+            if (config.beforeCheck && typeof config.beforeCheck === 'function') {
+                config.beforeCheck(userAnswer, risk);
+            }
+        
+            // Escalate to a harder challenge or block when the risk is too high
+            if (config.riskThreshold !== null && risk.score >= config.riskThreshold) {
+                if (config.riskAction === 'block') {
+                    blockAccess(userAnswer);
+                    return;
+                }
+                if (!escalated && !challenge.provider.authorizes) {
+                    escalateChallenge();
+                    return;
+                }
+            }
+        
+            trackEvent('attempt', { challenge: challenge.name });
+        
+            // Ask the challenge provider whether the answer is acceptable
+            Promise.resolve(challenge.provider.validate(userAnswer, challenge.context))
+                .catch(() => false)
+                .then(isCorrect => completeCheck(userAnswer, isCorrect, risk));
+        }
+    
+        // Show the blocked message and stop any further answers
+        function disableChallenge() {
+            stopCountdown();
+            showError(t('riskBlockedMessage'));
+            elements.input.disabled = true;
+            elements.submit.disabled = true;
+            elements.alternative.disabled = true;
+            status = 'blocked';
+        }
+    
+        // Swap in the escalation challenge after a high risk score
+        function escalateChallenge() {
+            escalated = true;
+            renderChallenge(config.escalateChallenge);
+            restartSignals();
+            showError(t('riskEscalationMessage'));
+            emit('challengeShown', { challenge: challenge.name, reason: 'escalated' });
+        
+            focusPrimaryControl(elements.modal);
+        }
+    
+        // Refuse access outright after a high risk score
+        function blockAccess(userAnswer) {
+            disableChallenge();
+            emit('failed', { answer: userAnswer, reason: 'blocked' });
+        
+            if (config.onError && typeof config.onError === 'function') {
+                config.onError(userAnswer);
+            }
+        }
+    
+        // Continue a check once the provider has validated the answer
+        function completeCheck(userAnswer, isCorrect, risk) {
+            if (destroyed) {
+                return;
+            }
+        
+            if (config.encryptedContent) {
+                // The content key itself confirms the answer in 'answer' mode. A malformed key share rejects,
+                // and goes straight to the failure path a key that can't decrypt the content would reach later
+                unlockContentKey(userAnswer, isCorrect)
+                    .then(unlocked => unlocked ? grantAccess(risk) : denyAccess(userAnswer), error => {
+                        console.error(error.message);
+                        handleContentFailure();
+                    });
+                return;
+            }
+        
+            if (!isCorrect) {
+                denyAccess(userAnswer);
+                return;
+            }
+        
+            if (!config.serverVerifyUrl) {
+                grantAccess(risk);
+                return;
+            }
+        
+            // Let the server confirm the answer and release the gated content
+            const submitButton = elements.submit;
+            if (submitButton) {
+                submitButton.disabled = true;
+            }
+        
+            verifyWithServer(userAnswer)
+                .then(verified => {
+                    if (!verified) {
+                        throw new Error('Server verification failed');
+                    }
+                    return loadGatedContent();
+                })
+                .then(() => grantAccess(risk))
+                .catch(() => denyAccess(userAnswer))
+                .then(() => {
+                    if (submitButton) {
+                        submitButton.disabled = false;
+                    }
+                });
+        }
+    
+        // Complete a successful verification - by the challenge, or a magic link's claims
+        function grantAccess(risk, magicLink = null) {
+            const input = elements.input;
+            const accessCode = challenge.context.state.accessCode || null;
+            const accessCodeLabel = accessCode ? accessCode.label : null;
+            const recipient = magicLink && magicLink.sub ? String(magicLink.sub) : null;
+        
+            // Remember which access code or magic link was used, so it can be reported and its expiry enforced
+            if (accessCode) {
+                writeEntry(getAccessCodeStorageKey(), accessCode);
+            } else {
+                removeEntry(getAccessCodeStorageKey());
+            }
+            if (recipient) {
+                writeEntry(getRecipientStorageKey(), recipient);
+            } else {
+                removeEntry(getRecipientStorageKey());
+            }
+        
+            // Hide protection modal
+            elements.modal.classList.add('hidden');
+            emit('verified', {
+                risk: risk,
+                method: magicLink ? 'magicLink' : 'challenge',
+                accessCode: accessCodeLabel,
+                recipient: recipient
+            });
+        
+            // Clear input
+            input.value = '';
+            challenge.context.setAnswer('');
+            hideError();
+        
+            // Set session storage for protection, and forget failed attempts
+            writeEntry(config.sessionKey, 'granted');
+            removeEntry(getAttemptsStorageKey());
+            stopCountdown();
+        
+            // Continue with the next step - the Safe Harbor terms by default
+            runNextStep();
+        
+            // Run success callback if provided
+            if (config.onSuccess && typeof config.onSuccess === 'function') {
+                config.onSuccess(risk, accessCodeLabel);
+            }
+        }
+    
+        // Reject a failed verification
+        function denyAccess(userAnswer) {
+            const input = elements.input;
+            const attempts = recordFailure();
+            const attempt = {
+                attempt: attempts.failures,
+                remaining: config.maxAttempts ? Math.max(config.maxAttempts - attempts.failures, 0) : null,
+                retryAfter: Math.max(attempts.nextAttemptAt - Date.now(), 0),
+                lockedUntil: attempts.lockedUntil,
+                timestamp: new Date().toISOString()
+            };
+        
+            // Show error message, warning when a lockout is close
+            if (attempts.lockedUntil !== null) {
+                showError(t('lockoutMessage'));
+            } else if (attempt.remaining !== null && attempt.remaining <= 2) {
+                showError(challenge.errorMessage + ' ' + t('attemptsRemainingMessage', { count: attempt.remaining }));
+            } else {
+                showError(challenge.errorMessage);
+            }
+            input.value = '';
+        
+            // Add shake animation, unless the visitor prefers reduced motion
+            if (!prefersReducedMotion()) {
+                input.style.animation = 'shake 0.5s';
+                setTimeout(() => {
+                    input.style.animation = '';
+                }, 500);
+            }
+        
+            // Present a fresh challenge if the provider supports it
+            resetChallenge();
+        
+            if (attempt.retryAfter > 0) {
+                startCountdown(attempts);
+            }
+            focusPrimaryControl(elements.modal);
+            emit('failed', { answer: userAnswer, reason: 'incorrect', ...attempt });
+        
+            if (attempts.lockedUntil !== null) {
+                emit('lockout', { attempts: attempts.failures, lockedUntil: attempts.lockedUntil });
+                if (config.onLockout && typeof config.onLockout === 'function') {
+                    config.onLockout({ attempts: attempts.failures, lockedUntil: attempts.lockedUntil });
+                }
+            }
+        
+            // Run error callback if provided, with this attempt's details
+            if (config.onError && typeof config.onError === 'function') {
+                config.onError(userAnswer, attempt);
+            }
+        }
+    
+        // Post the answer to the server verify endpoint, which sets the token cookie
+        function verifyWithServer(userAnswer) {
+            return fetch(config.serverVerifyUrl, {
+                method: 'POST',
+                credentials: 'same-origin',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ answer: userAnswer, sessionKey: config.sessionKey })
+            })
+                .then(response => response.ok)
+                .catch(() => false);
+        }
+    
+        // Get this instance's protected region
+        function getProtectedContent() {
+            return config.protectedElement || document.getElementById(config.protectedContentId);
+        }
+    
+        // Fetch the gated fragment for this page and inject it into the protected region
+        function loadGatedContent() {
+            const protectedContent = getProtectedContent();
+            if (!protectedContent || !protectedContent.hasAttribute('data-multiaxis-gated')) {
+                return Promise.resolve();
+            }
+        
+            return fetch(window.location.href, {
+                credentials: 'same-origin',
+                cache: 'no-store',
+                headers: { 'X-Multiaxis-Fragment': '1' }
+            })
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error('Gated content request failed: ' + response.status);
+                    }
+                    return response.text();
+                })
+                .then(html => {
+                    protectedContent.innerHTML = html;
+                    protectedContent.removeAttribute('data-multiaxis-gated');
+                });
+        }
+    
+        // Read the encrypted payload written by protection-encrypt.js
+        function readEncryptedPayload() {
+            const protectedContent = getProtectedContent();
+            const payloadScript = protectedContent && protectedContent.querySelector('script[data-multiaxis-payload]');
+            if (!payloadScript) {
+                return null;
+            }
+        
+            try {
+                return JSON.parse(payloadScript.textContent);
+            } catch (e) {
+                console.error('Invalid encrypted content payload');
+                return null;
+            }
+        }
+    
+        // The split-mode content key: the page's share XOR the configured one. Throws if either share is malformed
+        function deriveSplitKey(payload) {
+            let share = null;
+            let configShare = null;
+            try {
+                share = base64ToBytes(payload.share);
+                configShare = base64ToBytes(config.decryptionKeyShare);
+            } catch (e) {
+                configShare = null;
+            }
+        
+            if (!configShare || configShare.length !== share.length) {
+                throw new Error('Invalid decryptionKeyShare - it must be the base64 key share printed by protection-encrypt.js --split');
+            }
+            return share.map((byte, i) => byte ^ configShare[i]);
+        }
+    
+        // Derive the content key from the answer or the configured key share, and keep it in memory.
+        // Resolves to whether a key was found, or rejects if the key share is malformed
+        function unlockContentKey(userAnswer, isCorrect) {
+            const payload = readEncryptedPayload();
+            if (!payload) {
+                return Promise.resolve(false);
+            }
+        
+            let rawKey;
+            if (payload.mode === 'split') {
+                if (!isCorrect || !config.decryptionKeyShare) {
+                    return Promise.resolve(false);
+                }
+                try {
+                    rawKey = Promise.resolve(deriveSplitKey(payload));
+                } catch (error) {
+                    return Promise.reject(error);
+                }
+            } else {
+                rawKey = deriveAnswerKey(userAnswer.replace(/\s+/g, ''), payload.kdf)
+                    .then(answerKey => unwrapContentKey(answerKey, payload.keys));
+            }
+        
+            return rawKey
+                .then(key => {
+                    if (!key) {
+                        return false;
+                    }
+                    contentKey = key;
+                    return true;
+                })
+                .catch(() => false);
+        }
+    
+        // Decrypt the payload and inject the plaintext into the protected region
+        function decryptProtectedContent() {
+            const protectedContent = getProtectedContent();
+            if (!config.encryptedContent || !protectedContent || !protectedContent.hasAttribute('data-multiaxis-encrypted')) {
+                return Promise.resolve();
+            }
+        
+            const payload = readEncryptedPayload();
+            if (!payload) {
+                return Promise.reject(new Error('Content key not available'));
+            }
+        
+            // The key is never stored, so after a reload split mode derives it again,
+            // while answer mode rejects and the visitor types the answer again
+            if (!contentKey && payload.mode === 'split' && config.decryptionKeyShare) {
+                try {
+                    contentKey = deriveSplitKey(payload);
+                } catch (error) {
+                    return Promise.reject(error);
+                }
+            }
+            if (!contentKey) {
+                return Promise.reject(new Error('Content key not available'));
+            }
+        
+            return crypto.subtle.importKey('raw', contentKey, 'AES-GCM', false, ['decrypt'])
+                .then(key => crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(payload.iv) }, key, base64ToBytes(payload.data)))
+                .then(plaintext => {
+                    protectedContent.innerHTML = new TextDecoder().decode(plaintext);
+                    protectedContent.removeAttribute('data-multiaxis-encrypted');
+                });
+        }
+
+        // Get the storage key for the Safe Harbor acceptance
+        function getSafeHarborKey() {
+            return config.safeHarborKey || config.sessionKey + '_safeharbor';
+        }
+    
+        // Get the storage key for the consent receipt
+        function getReceiptStorageKey() {
+            return getSafeHarborKey() + '_receipt';
+        }
+    
+        // Build a consent receipt for the terms exactly as they were shown
+        function createConsentReceipt() {
+            return sha256Hex(renderedSafeHarborText).then(termsHash => ({
+                receiptId: createReceiptId(),
+                timestamp: new Date().toISOString(),
+                noticeDate: getSafeHarborDate(),
+                expirationDate: getSafeHarborExpirationDate(),
+                termsVersion: getSafeHarborVersion(),
+                termsHash: termsHash,
+                locale: config.locale,
+                pageUrl: window.location.href,
+                sessionKey: config.sessionKey,
+                accessCode: getAccessCodeLabel(),
+                recipient: readEntry(getRecipientStorageKey(), config.verificationDaysValid)
+            }));
+        }
+    
+        // POST JSON to an endpoint, with navigator.sendBeacon when preferred and available.
+        // A beacon the browser refuses to queue (e.g. too large) is sent with fetch instead
+        function sendJson(url, data, preferBeacon) {
+            const body = JSON.stringify(data);
+            if (preferBeacon && navigator.sendBeacon && navigator.sendBeacon(url, new Blob([body], { type: 'application/json' }))) {
+                return Promise.resolve();
+            }
+        
+            return fetch(url, {
+                method: 'POST',
+                credentials: 'same-origin',
+                keepalive: true,
+                headers: { 'Content-Type': 'application/json' },
+                body: body
+            });
+        }
+    
+        // Send the receipt to the configured endpoint
+        function deliverConsentReceipt(receipt) {
+            if (!config.consentEndpoint) {
+                return;
+            }
+        
+            sendJson(config.consentEndpoint, receipt, config.consentDelivery === 'beacon')
+                .catch(error => console.error('Consent receipt delivery failed:', error));
+        }
+    
+        // Get the stored consent receipt, or null if terms haven't been accepted
+        function getConsentReceipt() {
+            const receipt = readEntry(getReceiptStorageKey(), config.safeHarborDaysValid);
+            return receipt && typeof receipt === 'object' ? receipt : null;
+        }
+    
+        // Download the stored consent receipt as a JSON file
+        function downloadConsentReceipt() {
+            const receipt = getConsentReceipt();
+            if (!receipt) {
+                return false;
+            }
+        
+            const url = URL.createObjectURL(new Blob([JSON.stringify(receipt, null, 2)], { type: 'application/json' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = 'consent-receipt-' + receipt.receiptId + '.json';
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+            return true;
+        }
+    
+        // Accept the Safe Harbor terms, record a receipt and reveal the content
+        function acceptSafeHarbor() {
+            if (!elements.checkbox.checked) {
+                return;
+            }
+        
+            elements.safeHarborModal.classList.add('hidden');
+            writeEntry(getSafeHarborKey(), {
+                status: 'accepted',
+                version: getSafeHarborVersion()
+            });
+            emit('accepted', { version: getSafeHarborVersion() });
+        
+            // The watermark waits for this receipt, so the content carries its ID
+            pendingReceipt = createConsentReceipt()
+                .then(receipt => {
+                    writeEntry(getReceiptStorageKey(), receipt);
+                    deliverConsentReceipt(receipt);
+                
+                    if (config.onSafeHarborAccept && typeof config.onSafeHarborAccept === 'function') {
+                        config.onSafeHarborAccept(receipt);
+                    }
+                    return receipt;
+                })
+                .catch(error => {
+                    console.error('Consent receipt could not be created:', error);
+                    return null;
+                });
+        
+            runNextStep();
+        }
+    
+        // Decline the Safe Harbor terms - forget this instance's progress, then redirect, stay or hand off
+        function declineSafeHarbor() {
+            removeEntry(config.sessionKey);
+            removeEntry(getAccessCodeStorageKey());
+            removeEntry(getRecipientStorageKey());
+            removeEntry(getSafeHarborKey());
+            removeEntry(getReceiptStorageKey());
+            contentKey = null;
+            elements.safeHarborModal.classList.add('hidden');
+            emit('declined', { action: typeof config.safeHarborDeclineAction === 'function' ? 'function' : config.safeHarborDeclineAction });
+            
+            if (config.onSafeHarborDecline && typeof config.onSafeHarborDecline === 'function') {
+                config.onSafeHarborDecline();
+            }
+            
+            const action = config.safeHarborDeclineAction;
+            if (typeof action === 'function') {
+                action();
+            } else if (action === 'stay') {
+                // Return to the first unfinished step - the challenge by default
+                resetChallenge();
+                hideError();
+                runNextStep();
+            } else {
+                window.location.href = config.safeHarborDeclineUrl;
+            }
+        }
+    
+        // Show Safe Harbor modal, with a notice when re-prompting after the terms changed
+        function showSafeHarborModal(termsChanged = false) {
+            const modal = elements.safeHarborModal;
+            if (!modal) {
+                console.error('Safe Harbor modal not found');
+                return;
+            }
+    
+            elements.changed.classList.toggle('hidden', !termsChanged);
+
+            // Read the changed-terms notice along with the dialog title
+            const dialog = modal.querySelector('[role="dialog"]');
+            if (termsChanged) {
+                dialog.setAttribute('aria-describedby', elements.changed.id);
+            } else {
+                dialog.removeAttribute('aria-describedby');
+            }
+    
+            // Reset checkbox state
+            const checkbox = elements.checkbox;
+            if (checkbox) {
+                checkbox.checked = false;
+            }
+    
+            // Reset button state
+            const acceptBtn = elements.accept;
+            if (acceptBtn) {
+                acceptBtn.disabled = true;
+            }
+        
+            showDialog(modal);
+            status = 'terms';
+            emit('termsShown', { termsChanged: termsChanged, version: getSafeHarborVersion() });
+        }
+    
+        // When the whole region expires: contentValidUntil ('notice' = with the Safe Harbor notice)
+        // or the region's own data-valid-until, whichever is sooner
+        function getContentExpiry(protectedContent) {
+            const dates = [];
+            if (config.contentValidUntil === 'notice') {
+                dates.push(getNoticeExpiry());
+            } else if (config.contentValidUntil) {
+                dates.push(parseValidUntil(config.contentValidUntil));
+            }
+            if (protectedContent.hasAttribute('data-valid-until')) {
+                dates.push(parseValidUntil(protectedContent.getAttribute('data-valid-until')));
+            }
+        
+            return dates.filter(Boolean).sort((a, b) => a - b)[0] || null;
+        }
+    
+        // Flag, blur or hide the unlocked region and any sections that are past their expiry date
+        function enforceFreshness(protectedContent) {
+            clearTimeout(freshnessTimer);
+            const now = Date.now();
+            const expired = [];
+            let nextExpiry = null;
+        
+            const sections = [{ element: protectedContent, validUntil: getContentExpiry(protectedContent) }].concat(
+                Array.from(protectedContent.querySelectorAll('[data-valid-until]'), element => ({
+                    element: element,
+                    validUntil: parseValidUntil(element.getAttribute('data-valid-until'))
+                }))
+            );
+        
+            sections.forEach(section => {
+                if (!section.validUntil || expiredSections.some(mark => mark.section === section.element)) {
+                    return;
+                }
+            
+                if (section.validUntil.getTime() > now) {
+                    nextExpiry = nextExpiry === null ? section.validUntil.getTime() : Math.min(nextExpiry, section.validUntil.getTime());
+                    return;
+                }
+            
+                const action = section.element.getAttribute('data-expired-action') || config.expiredContentAction;
+                markExpired(section.element, section.validUntil, action);
+                expired.push({ element: section.element, validUntil: section.validUntil.toISOString(), action: action });
+            });
+        
+            if (expired.length) {
+                emit('expired', { reason: 'outdated', sections: expired });
+            
+                if (config.onExpired && typeof config.onExpired === 'function') {
+                    config.onExpired(expired);
+                }
+            }
+        
+            // Check again when the next section runs out, if the page is likely to still be open
+            if (nextExpiry !== null && nextExpiry - now < 24 * 24 * 60 * 60 * 1000) {
+                freshnessTimer = setTimeout(() => enforceFreshness(protectedContent), nextExpiry - now + 1000);
+            }
+        }
+    
+        // Apply the expired-content action to one section
+        function markExpired(element, validUntil, action) {
+            const date = formatDate(validUntil, config.locale);
+        
+            // The region of a <multiaxis-protected> element is styled through its slot,
+            // so the notice next to it in the shadow root isn't blurred or hidden too
+            const target = element === getProtectedContent() && root !== document ? root.querySelector('slot') : element;
+            const mark = { element: target, notice: null, styles: [] };
+        
+            // Styles are set through the CSSOM so a strict style-src allows them, and the old values are kept
+            const setStyle = (name, value) => {
+                mark.styles.push([name, target.style.getPropertyValue(name), target.style.getPropertyPriority(name)]);
+                target.style.setProperty(name, value, 'important');
+            };
+        
+            if (action === 'banner') {
+                mark.notice = createExpiredNotice('multiaxis-expired-banner', t('contentExpiredBanner', { date: date }));
+            } else if (action === 'blur') {
+                mark.notice = createExpiredNotice('multiaxis-expired-interstitial', t('contentExpiredNotice', { date: date }));
+                if (target !== element) {
+                    setStyle('display', 'block');
+                }
+                setStyle('filter', 'blur(6px)');
+                setStyle('user-select', 'none');
+                target.inert = true;
+                target.setAttribute('aria-hidden', 'true');
+            
+                const show = document.createElement('button');
+                show.type = 'button';
+                show.className = 'multiaxis-expired-show';
+                show.textContent = t('contentExpiredShow');
+                show.addEventListener('click', () => restoreExpiredSection(mark));
+                mark.notice.appendChild(show);
+            } else if (action === 'hide') {
+                setStyle('display', 'none');
+            }
+        
+            if (mark.notice) {
+                target.parentNode.insertBefore(mark.notice, target);
+            }
+        
+            // Keyed by the section so enforceFreshness doesn't mark it twice
+            expiredSections.push(Object.assign(mark, { section: element }));
+        }
+    
+        // A banner or interstitial shown above an expired section
+        function createExpiredNotice(className, message) {
+            const notice = document.createElement('div');
+            notice.className = className;
+            notice.setAttribute('role', 'note');
+            notice.lang = config.locale;
+            notice.dir = text.dir;
+        
+            const paragraph = document.createElement('p');
+            paragraph.textContent = message;
+            notice.appendChild(paragraph);
+            return notice;
+        }
+    
+        // Undo the expired-content action on a section
+        function restoreExpiredSection(mark) {
+            mark.styles.forEach(style => {
+                if (style[1]) {
+                    mark.element.style.setProperty(style[0], style[1], style[2]);
+                } else {
+                    mark.element.style.removeProperty(style[0]);
+                }
+            });
+            mark.styles = [];
+            mark.element.inert = false;
+            mark.element.removeAttribute('aria-hidden');
+        
+            if (mark.notice) {
+                mark.notice.remove();
+                mark.notice = null;
+            }
+        }
+    
+        // Undo every expired-content action, e.g. when the content is locked again
+        function clearExpiredSections() {
+            clearTimeout(freshnessTimer);
+            expiredSections.forEach(restoreExpiredSection);
+            expiredSections.length = 0;
+        }
+    
+        // Storage key for the report of a triggered trap - kept until storage is cleared, unlike verification
+        function getTrapStorageKey() {
+            return config.sessionKey + '_trapped';
+        }
+    
+        // Whether this session has triggered a trap
+        function isTrapped() {
+            return traps !== null && readEntry(getTrapStorageKey()) !== null;
+        }
+    
+        // This session's canary token, created on first use
+        function getCanaryToken() {
+            let token = readEntry(config.sessionKey + '_canary');
+            if (typeof token !== 'string') {
+                token = 'MX-' + createReceiptId().replace(/-/g, '').slice(0, 12).toUpperCase();
+                writeEntry(config.sessionKey + '_canary', token);
+            }
+            return token;
+        }
+    
+        // Add the honeypot field and link to the protection modal, and canary text to the locked region
+        function setupTraps(modal, protectedContent) {
+            if (!config.traps) {
+                return;
+            }
+        
+            traps = { ...trapDefaults, ...(typeof config.traps === 'object' ? config.traps : {}) };
+        
+            // Moved off screen through the CSSOM rather than hidden, since bots skip hidden fields.
+            // aria-hidden and tabindex keep them away from keyboard and screen-reader users
+            const container = document.createElement('div');
+            container.className = 'protection-trap';
+            container.setAttribute('aria-hidden', 'true');
+            [['position', 'absolute'], ['left', '-10000px'], ['width', '1px'], ['height', '1px'], ['overflow', 'hidden']]
+                .forEach(property => container.style.setProperty(property[0], property[1]));
+        
+            if (traps.honeypot) {
+                const label = document.createElement('label');
+                label.textContent = 'Leave this field empty ';
+                elements.trapInput = document.createElement('input');
+                elements.trapInput.type = 'text';
+                elements.trapInput.name = 'mx_contact_field';
+                elements.trapInput.tabIndex = -1;
+                elements.trapInput.autocomplete = 'off';
+                label.appendChild(elements.trapInput);
+                container.appendChild(label);
+            }
+        
+            if (traps.link) {
+                const link = document.createElement('a');
+                link.href = traps.linkUrl;
+                link.rel = 'nofollow';
+                link.tabIndex = -1;
+                link.textContent = 'Continue without verification';
+                link.addEventListener('click', e => {
+                    e.preventDefault();
+                    triggerTrap('link');
+                });
+                container.appendChild(link);
+            }
+        
+            modal.querySelector('.protection-container').appendChild(container);
+        
+            // Never shown - scrapers that copy the page's text take the token with it
+            if (traps.canary && protectedContent) {
+                elements.canary = document.createElement('span');
+                elements.canary.className = 'multiaxis-canary';
+                elements.canary.hidden = true;
+                elements.canary.setAttribute('aria-hidden', 'true');
+                elements.canary.textContent = formatMessage(config.canaryText, { token: getCanaryToken() });
+                protectedContent.insertBefore(elements.canary, protectedContent.firstChild);
+            }
+        }
+    
+        // Record a triggered trap, block the session and report what was observed
+        function triggerTrap(reason) {
+            if (destroyed || isTrapped()) {
+                return;
+            }
+        
+            const report = {
+                reason: reason, // 'honeypot' or 'link'
+                canaryToken: traps.canary ? getCanaryToken() : null,
+                timestamp: new Date().toISOString(),
+                pageUrl: window.location.href,
+                sessionKey: config.sessionKey,
+                userAgent: navigator.userAgent,
+                languages: Array.from(navigator.languages || []),
+                timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+                screen: window.screen ? window.screen.width + 'x' + window.screen.height : null,
+                risk: computeRiskScore()
+            };
+        
+            writeEntry(getTrapStorageKey(), report);
+            disableChallenge();
+            emit('trapped', { report: report });
+        
+            if (config.trapEndpoint) {
+                sendJson(config.trapEndpoint, report, true)
+                    .catch(error => console.error('Trap report delivery failed:', error));
+            }
+        
+            if (config.onTrapTriggered && typeof config.onTrapTriggered === 'function') {
+                config.onTrapTriggered(report);
+            }
+        }
+    
+        // Forget a triggered trap, e.g. after a false positive, and continue where the visitor left off
+        function clearTrap() {
+            if (destroyed || !isTrapped()) {
+                return;
+            }
+        
+            removeEntry(getTrapStorageKey());
+            elements.input.disabled = false;
+            elements.submit.disabled = false;
+            elements.alternative.disabled = false;
+            hideError();
+            runNextStep();
+        }
+    
+        // Start recording funnel analytics, unless Do Not Track or sampling leaves this session out
+        function setupAnalytics() {
+            if (!config.analytics) {
+                return;
+            }
+        
+            const settings = { ...analyticsDefaults, ...(typeof config.analytics === 'object' ? config.analytics : {}) };
+            if (typeof settings.adapter === 'string') {
+                settings.adapter = resolveGlobalFunction(settings.adapter) || null;
+            }
+            if (!settings.endpoint && typeof settings.adapter !== 'function') {
+                console.warn('Analytics needs an endpoint or an adapter function - nothing will be recorded');
+                return;
+            }
+            if (typeof settings.sampleRate !== 'number' || !(settings.sampleRate >= 0 && settings.sampleRate <= 1)) {
+                console.warn('Invalid analytics sampleRate: ' + JSON.stringify(settings.sampleRate) + ' (expected a number from 0 to 1), using ' + analyticsDefaults.sampleRate);
+                settings.sampleRate = analyticsDefaults.sampleRate;
+            }
+        
+            const doNotTrack = navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true;
+            if (settings.respectDoNotTrack && doNotTrack) {
+                return;
+            }
+        
+            // Sample once per session, so a visitor's funnel is recorded whole or not at all
+            let session = readEntry(getAnalyticsStorageKey());
+            if (!session || typeof session !== 'object') {
+                session = { id: createReceiptId(), sampled: Math.random() < settings.sampleRate };
+                writeEntry(getAnalyticsStorageKey(), session);
+            }
+            if (!session.sampled) {
+                return;
+            }
+        
+            // The queue can grow to maxQueue events, too big for cookies and not part of the gating state,
+            // so it always goes in localStorage (or memory without it), whatever the storage option
+            const queueStorage = createWebStorageAdapter('localStorage');
+            let queue = null;
+            try {
+                queue = JSON.parse(queueStorage.getItem(getAnalyticsQueueKey()));
+            } catch (e) {
+                queue = null;
+            }
+            analytics = {
+                settings: settings,
+                sessionId: session.id,
+                queueStorage: queueStorage,
+                queue: Array.isArray(queue) ? queue : [],
+                timer: null,
+                startedAt: Date.now(),
+                stepStartedAt: Date.now(),
+                termsScrolled: false
+            };
+        
+            document.addEventListener('visibilitychange', handleAnalyticsVisibility);
+            window.addEventListener('pagehide', flushAnalytics);
+            window.addEventListener('online', flushAnalytics);
+        
+            // Events left over from an earlier offline page view
+            if (analytics.queue.length) {
+                flushAnalytics();
+            }
+        }
+    
+        // Get the storage key for the analytics session
+        function getAnalyticsStorageKey() {
+            return config.sessionKey + '_analytics';
+        }
+    
+        // Get the localStorage key for the offline analytics queue
+        function getAnalyticsQueueKey() {
+            return config.sessionKey + '_analytics_queue';
+        }
+    
+        // Save the unsent events, or clear them when there are none
+        function saveAnalyticsQueue() {
+            if (analytics.queue.length) {
+                analytics.queueStorage.setItem(getAnalyticsQueueKey(), JSON.stringify(analytics.queue));
+            } else {
+                analytics.queueStorage.removeItem(getAnalyticsQueueKey());
+            }
+        }
+    
+        // Record a funnel event with its timings. Answers are left out
+        function trackEvent(name, detail) {
+            if (!analytics) {
+                return;
+            }
+        
+            const now = Date.now();
+            const details = {};
+            switch (name) {
+                case 'challengeShown':
+                case 'termsShown':
+                    analytics.stepStartedAt = now;
+                    analytics.termsScrolled = false;
+                    details.challenge = detail.challenge;
+                    details.reason = detail.reason;
+                    details.termsChanged = detail.termsChanged;
+                    break;
+                case 'attempt':
+                    details.challenge = detail.challenge;
+                    break;
+                case 'verified':
+                    details.method = detail.method;
+                    break;
+                case 'failed':
+                    details.reason = detail.reason;
+                    details.attempt = detail.attempt;
+                    details.remaining = detail.remaining;
+                    break;
+                case 'lockout':
+                    details.attempts = detail.attempts;
+                    break;
+                case 'declined':
+                    details.action = detail.action;
+                    break;
+                case 'stepShown':
+                    analytics.stepStartedAt = now;
+                    details.step = detail.step;
+                    details.type = detail.type;
+                    break;
+                case 'stepCompleted':
+                    details.step = detail.step;
+                    details.type = detail.type;
+                    break;
+                case 'accepted':
+                case 'termsScrolled':
+                case 'unlocked':
+                    break;
+                default:
+                    return;
+            }
+        
+            const event = {
+                event: name,
+                timestamp: new Date(now).toISOString(),
+                elapsed: now - analytics.startedAt, // ms since protection started - the time to unlock for 'unlocked'
+                stepElapsed: now - analytics.stepStartedAt, // ms since the current challenge, terms or step were shown
+                sessionId: analytics.sessionId,
+                sessionKey: config.sessionKey,
+                pageUrl: window.location.origin + window.location.pathname
+            };
+            Object.keys(details).forEach(key => {
+                if (details[key] !== undefined) {
+                    event[key] = details[key];
+                }
+            });
+        
+            if (typeof analytics.settings.adapter === 'function') {
+                try {
+                    analytics.settings.adapter(event);
+                } catch (error) {
+                    console.error('Error in analytics adapter:', error);
+                }
+            }
+        
+            if (!analytics.settings.endpoint) {
+                return;
+            }
+        
+            analytics.queue.push(event);
+            analytics.queue.splice(0, Math.max(analytics.queue.length - analytics.settings.maxQueue, 0));
+            saveAnalyticsQueue();
+        
+            if (analytics.queue.length >= analytics.settings.batchSize) {
+                flushAnalytics();
+            } else if (!analytics.timer) {
+                analytics.timer = setTimeout(flushAnalytics, analytics.settings.flushInterval);
+            }
+        }
+    
+        // Send queued events in batches. While offline, or if sending fails, they stay queued in localStorage
+        function flushAnalytics() {
+            if (!analytics || !analytics.settings.endpoint) {
+                return;
+            }
+        
+            clearTimeout(analytics.timer);
+            analytics.timer = null;
+            if (!analytics.queue.length || navigator.onLine === false) {
+                return;
+            }
+        
+            const batches = [];
+            while (analytics.queue.length) {
+                batches.push(analytics.queue.splice(0, analytics.settings.batchSize));
+            }
+            saveAnalyticsQueue();
+        
+            const settings = analytics.settings;
+            batches.forEach(batch => {
+                sendJson(settings.endpoint, { events: batch }, true)
+                    .then(response => {
+                        if (response && !response.ok) {
+                            throw new Error('HTTP ' + response.status);
+                        }
+                    })
+                    .catch(() => {
+                        // Put the batch back for the next flush
+                        if (analytics && analytics.settings === settings) {
+                            analytics.queue = batch.concat(analytics.queue).slice(-settings.maxQueue);
+                            saveAnalyticsQueue();
+                        }
+                    });
+            });
+        }
+    
+        // Send what's queued before the page is hidden, since it may not come back
+        function handleAnalyticsVisibility() {
+            if (document.visibilityState === 'hidden') {
+                flushAnalytics();
+            }
+        }
+    
+        // Record when the visitor scrolls to the end of the Safe Harbor terms (once each time they're shown)
+        function handleTermsScroll() {
+            const content = this;
+            if (analytics && !analytics.termsScrolled && status === 'terms' && content.scrollTop + content.clientHeight >= content.scrollHeight - 2) {
+                analytics.termsScrolled = true;
+                trackEvent('termsScrolled', {});
+            }
+        }
+    
+        // Stop recording, sending what's still queued
+        function stopAnalytics() {
+            if (!analytics) {
+                return;
+            }
+        
+            flushAnalytics();
+            clearTimeout(analytics.timer);
+            document.removeEventListener('visibilitychange', handleAnalyticsVisibility);
+            window.removeEventListener('pagehide', flushAnalytics);
+            window.removeEventListener('online', flushAnalytics);
+            analytics = null;
+        }
+    
+        // Ask AI crawlers not to train on, index images from or cache the page, and keep the region out of snippets
+        function setupCrawlerPolicy(protectedContent) {
+            if (!config.crawlerPolicy) {
+                return;
+            }
+        
+            const policy = { ...crawlerPolicyDefaults, ...(typeof config.crawlerPolicy === 'object' ? config.crawlerPolicy : {}) };
+            if (policy.meta && policy.meta.length) {
+                elements.policyMeta = document.createElement('meta');
+                elements.policyMeta.name = 'robots';
+                elements.policyMeta.content = policy.meta.join(', ');
+                elements.policyMeta.setAttribute('data-multiaxis-policy', '');
+                document.head.appendChild(elements.policyMeta);
+            }
+        
+            if (policy.nosnippet && protectedContent && !protectedContent.hasAttribute('data-nosnippet')) {
+                protectedContent.setAttribute('data-nosnippet', '');
+                addedNosnippet = true;
+            }
+        }
+    
+        // Deter copying, printing and saving of the protected region
+        function setupCopyProtection(protectedContent) {
+            if (!config.copyProtection) {
+                return;
+            }
+        
+            copyProtection = { ...copyProtectionDefaults, ...(typeof config.copyProtection === 'object' ? config.copyProtection : {}) };
+            protectedContent.classList.add('multiaxis-copy-protected');
+            protectedContent.classList.toggle('multiaxis-no-select', !!copyProtection.blockSelection);
+            protectedContent.classList.toggle('multiaxis-no-image-save', !!copyProtection.protectImages);
+            protectedContent.classList.toggle('multiaxis-print-hidden', copyProtection.print === 'notice');
+        
+            document.addEventListener('copy', handleCopy);
+            protectedContent.addEventListener('contextmenu', handleContextMenu);
+            protectedContent.addEventListener('dragstart', handleDragStart);
+        
+            elements.copyStyles = createStyleElement(`
+                .multiaxis-no-select, :host(.multiaxis-no-select) {
+                    -webkit-user-select: none;
+                    user-select: none;
+                }
+
+                .multiaxis-no-image-save img, :host(.multiaxis-no-image-save) ::slotted(img) {
+                    -webkit-user-drag: none;
+                    -webkit-touch-callout: none;
                 }
 
-                .challenge-text {
-                    font-size: 16px;
+                .multiaxis-print-notice {
+                    display: none;
                 }
-                
-                .safe-harbor-buttons {
-                    flex-direction: column;
+
+                @media print {
+                    .multiaxis-print-hidden, :host(.multiaxis-print-hidden) slot {
+                        display: none !important;
+                    }
+
+                    .multiaxis-print-notice {
+                        display: block;
+                        margin-top: 1em;
+                        font-size: 10pt;
+                    }
                 }
-                
-                .safe-harbor-decline {
-                    margin-right: 0;
-                    margin-bottom: 10px;
+            `, config.cspNonce);
+            (root === document ? document.head : root).appendChild(elements.copyStyles);
+        
+            // Shown only when printing - after the content, or in its place
+            if (copyProtection.print === 'footer' || copyProtection.print === 'notice') {
+                elements.printNotice = document.createElement('p');
+                elements.printNotice.className = 'multiaxis-print-notice';
+                elements.printNotice.lang = config.locale;
+                elements.printNotice.dir = text.dir;
+                elements.printNotice.textContent = t(copyProtection.print === 'notice' ? 'printNotice' : 'printFooter', {
+                    url: window.location.href,
+                    date: getSafeHarborDate()
+                });
+            
+                if (root === document) {
+                    protectedContent.after(elements.printNotice);
+                } else {
+                    root.appendChild(elements.printNotice);
                 }
             }
-        `;
-        
-        const styleSheet = document.createElement('style');
-        styleSheet.textContent = styles;
-        return styleSheet;
-    }
+        }
     
-    // Check access
-    function checkAccess() {
-        const input = document.getElementById('protectionInput');
-        const errorMsg = document.getElementById('protectionError');
-        const userAnswer = input.value.trim().toUpperCase();
+        // Add the citation to text copied from the unlocked region
+        function handleCopy(e) {
+            const protectedContent = getProtectedContent();
+            const selection = window.getSelection();
+            if (!copyProtection.citation || status !== 'unlocked' || !protectedContent || !e.clipboardData ||
+                !selection || selection.isCollapsed) {
+                return;
+            }
         
-        // Run beforeCheck callback if provided
-        if (config.beforeCheck && typeof config.beforeCheck === 'function') {
-            config.beforeCheck(userAnswer);
-        }
+            const ranges = [];
+            for (let i = 0; i < selection.rangeCount; i++) {
+                ranges.push(selection.getRangeAt(i));
+            }
+            if (!ranges.some(range => range.intersectsNode(protectedContent))) {
+                return;
+            }
         
-        // Check if answer is acceptable
-        const isCorrect = config.acceptedAnswers.some(answer => 
-            userAnswer === answer.toUpperCase() || 
-            userAnswer === answer.replace(/\s+/g, '').toUpperCase()
-        );
+            const citation = t('copyCitation', { url: window.location.href, date: getSafeHarborDate() });
+            const copied = document.createElement('div');
+            ranges.forEach(range => copied.appendChild(range.cloneContents()));
         
-        if (isCorrect) {
-            // Hide protection modal
-            document.getElementById(config.modalId).classList.add('hidden');
-            
-            // Check if Safe Harbor is enabled
-            if (config.enableSafeHarbor) {
-                // Show Safe Harbor modal instead of content
-                showSafeHarborModal();
-            } else {
-                // Show protected content directly
-                showProtectedContent();
+            e.clipboardData.setData('text/plain', selection.toString() + '\n\n' + citation);
+            e.clipboardData.setData('text/html', copied.innerHTML + '<p>' + escapeHtml(citation) + '</p>');
+            e.preventDefault();
+        }
+    
+        // Block the context menu in the protected region when configured
+        function handleContextMenu(e) {
+            if (copyProtection.blockContextMenu) {
+                e.preventDefault();
             }
+        }
+    
+        // Stop images being dragged out of the protected region when configured
+        function handleDragStart(e) {
+            if (copyProtection.protectImages && e.target && e.target.nodeName === 'IMG') {
+                e.preventDefault();
+            }
+        }
+    
+        // Storage key for the watermark ID used when there's no consent receipt
+        function getWatermarkStorageKey() {
+            return config.sessionKey + '_watermark';
+        }
+    
+        // The ID hidden in the content: the consent receipt ID, or a per-session ID without one
+        function getWatermarkId() {
+            return (pendingReceipt || Promise.resolve(getConsentReceipt())).then(receipt => {
+                if (receipt && receipt.receiptId) {
+                    return receipt.receiptId;
+                }
             
-            // Clear input
-            input.value = '';
-            errorMsg.style.display = 'none';
-            
-            // Set session storage for protection
-            sessionStorage.setItem(config.sessionKey, 'granted');
-            
-            // Run success callback if provided
-            if (config.onSuccess && typeof config.onSuccess === 'function') {
-                config.onSuccess();
+                let id = readEntry(getWatermarkStorageKey());
+                if (typeof id !== 'string') {
+                    id = createReceiptId();
+                    writeEntry(getWatermarkStorageKey(), id);
+                }
+                return id;
+            });
+        }
+    
+        // Mark the unlocked content so a leaked copy can be traced back to this visitor
+        function applyWatermark(protectedContent) {
+            if (!config.watermark && !config.watermarkImages) {
+                return Promise.resolve();
             }
-        } else {
-            // Show error message
-            errorMsg.style.display = 'block';
-            input.value = '';
-            input.focus();
+        
+            return getWatermarkId().then(id => {
+                watermarkId = id;
             
-            // Add shake animation
-            input.style.animation = 'shake 0.5s';
-            setTimeout(() => {
-                input.style.animation = '';
-            }, 500);
+                if (config.watermark) {
+                    watermarkText(protectedContent, id);
+                }
             
-            // Run error callback if provided
-            if (config.onError && typeof config.onError === 'function') {
-                config.onError(userAnswer);
+                // Images are marked as they load, without holding up the reveal
+                if (config.watermarkImages) {
+                    Array.from(protectedContent.querySelectorAll('img:not([data-multiaxis-watermarked])'))
+                        .forEach(image => watermarkImage(image, id));
+                }
+            }).catch(error => console.error('Watermark could not be applied:', error));
+        }
+    
+        // Show protected content
+        function showProtectedContent() {
+            const protectedContent = getProtectedContent();
+            if (!protectedContent) {
+                markUnlocked();
+                return;
             }
+        
+            // Fetch or decrypt the content if needed, then reveal it
+            status = 'loading';
+            loadGatedContent()
+                .then(() => decryptProtectedContent())
+                .then(() => applyWatermark(protectedContent))
+                .then(() => {
+                    if (destroyed) {
+                        return;
+                    }
+                    protectedContent.classList.add('authorized');
+                    enforceFreshness(protectedContent);
+                    restoreFocus();
+                    markUnlocked();
+                })
+                .catch(() => {
+                    if (!destroyed) {
+                        handleContentFailure();
+                    }
+                });
         }
-    }
-
-    // Show Safe Harbor modal
-    function showSafeHarborModal() {
-        const modal = document.getElementById('safeHarborModal');
-        if (!modal) {
-            console.error('Safe Harbor modal not found');
-            return;
+    
+        // The content couldn't be fetched or decrypted: the server token expired, or the content key
+        // is missing or wrong. Forget the verification and show the challenge again
+        function handleContentFailure() {
+            const protectedContent = getProtectedContent();
+            emit('expired', { reason: 'content' });
+            if (protectedContent) {
+                protectedContent.classList.remove('authorized');
+            }
+            removeEntry(config.sessionKey);
+            contentKey = null;
+            if (elements.modal) {
+                showDialog(elements.modal);
+            }
         }
     
-        modal.classList.remove('hidden');
+        // Record the unlock and settle whenUnlocked()
+        function markUnlocked() {
+            status = 'unlocked';
+            emit('unlocked', { state: getState() });
+            resolveUnlocked(getState());
+        }
     
-        // Reset checkbox state
-        const checkbox = document.getElementById('safeHarborCheckbox');
-        if (checkbox) {
-            checkbox.checked = false;
+        // Put the protected region back the way it was before any content was fetched or decrypted
+        function relockContent() {
+            const protectedContent = getProtectedContent();
+            if (!protectedContent || !lockedContent) {
+                return;
+            }
+        
+            clearExpiredSections();
+            protectedContent.classList.remove('authorized');
+            if (lockedContent.gated || lockedContent.encrypted) {
+                protectedContent.innerHTML = lockedContent.html;
+                protectedContent.toggleAttribute('data-multiaxis-gated', lockedContent.gated);
+                protectedContent.toggleAttribute('data-multiaxis-encrypted', lockedContent.encrypted);
+            }
         }
     
-        // Reset button state
-        const acceptBtn = document.getElementById('safeHarborAccept');
-        if (acceptBtn) {
-            acceptBtn.disabled = true;
+        // Forget this instance's progress and show the challenge again, without reloading the page
+        function reset() {
+            if (destroyed || status === 'pending') {
+                return;
+            }
+        
+            removeEntry(config.sessionKey);
+            removeEntry(getAccessCodeStorageKey());
+            removeEntry(getRecipientStorageKey());
+            removeEntry(getSafeHarborKey());
+            removeEntry(getReceiptStorageKey());
+            removeEntry(getWatermarkStorageKey());
+            contentKey = null;
+            steps.filter(step => step.provider).forEach(step => removeEntry(getStepStorageKey(step)));
+            cleanupStep();
+            relockContent();
+            pendingReceipt = null;
+            watermarkId = null;
+        
+            if (status === 'unlocked') {
+                createUnlockedPromise();
+            }
+        
+            escalated = false;
+            elements.input.disabled = false;
+            elements.submit.disabled = false;
+            elements.alternative.disabled = false;
+            if (elements.safeHarborModal) {
+                elements.safeHarborModal.classList.add('hidden');
+            }
+        
+            renderChallenge();
+            hideError();
+            restartSignals();
+        
+            if (isTrapped()) {
+                showChallenge();
+            } else {
+                runNextStep();
+            }
         }
     
-        console.log('Safe Harbor modal shown with inline handlers');
-    }
+        // Remove the modals, styles and listeners this instance added
+        function destroy() {
+            if (destroyed) {
+                return;
+            }
+            destroyed = true;
+            status = 'destroyed';
+            liveSessionKeys.splice(liveSessionKeys.indexOf(config.sessionKey), 1);
+            stopCountdown();
+            clearExpiredSections();
+            stopAnalytics();
+            cleanupStep();
+        
+            document.removeEventListener('DOMContentLoaded', setup);
+            document.removeEventListener('pointermove', trackPointer);
+            document.removeEventListener('touchstart', trackTouch);
+            document.removeEventListener('copy', handleCopy);
+        
+            ['modal', 'safeHarborModal', 'stepModal', 'statusRegion', 'customStyles', 'defaultStyles', 'copyStyles', 'printNotice', 'canary', 'policyMeta'].forEach(name => {
+                if (elements[name]) {
+                    elements[name].remove();
+                }
+            });
+        
+            if (elements.modal && config.useDefaultStyles && !elements.defaultStyles) {
+                defaultStyleUsers--;
+                if (defaultStyleUsers === 0 && defaultStyleSheet) {
+                    defaultStyleSheet.remove();
+                    defaultStyleSheet = null;
+                }
+            }
+        
+            const protectedContent = getProtectedContent();
+            if (protectedContent) {
+                protectedContent.classList.remove('multiaxis-protected', 'authorized', 'multiaxis-copy-protected',
+                    'multiaxis-no-select', 'multiaxis-no-image-save', 'multiaxis-print-hidden');
+                protectedContent.removeEventListener('contextmenu', handleContextMenu);
+                protectedContent.removeEventListener('dragstart', handleDragStart);
+                if (addedNosnippet) {
+                    protectedContent.removeAttribute('data-nosnippet');
+                }
+            }
+        
+            rejectUnlocked(new Error('Protection was destroyed before the content was unlocked'));
+            Object.keys(listeners).forEach(event => delete listeners[event]);
+        }
     
-    // Show protected content
-    function showProtectedContent() {
-        const protectedContent = document.getElementById(config.protectedContentId);
-        if (protectedContent) {
-            protectedContent.classList.add('authorized');
+        // Resolve the steps option to step types and their options
+        function resolveSteps() {
+            if (!config.steps) {
+                return [{ id: 'challenge', type: 'challenge', provider: null, options: {} }].concat(
+                    config.enableSafeHarbor ? [{ id: 'terms', type: 'terms', provider: null, options: {} }] : []
+                );
+            }
+        
+            const resolved = [];
+            config.steps.forEach(setting => {
+                const stepConfig = typeof setting === 'string' ? { type: setting } : (setting || {});
+                const type = stepConfig.type;
+                const id = stepConfig.id || type;
+                if (type !== 'challenge' && type !== 'terms' && !stepProviders[type]) {
+                    console.error('Unknown step "' + type + '", skipping it');
+                } else if (resolved.some(step => step.id === id)) {
+                    console.error('Duplicate step "' + id + '" - give each step of the same type its own id');
+                } else {
+                    resolved.push({ id: id, type: type, provider: stepProviders[type] || null, options: stepConfig });
+                }
+            });
+            return resolved;
         }
-    }
     
-    // Check if user already has access
-    function checkExistingAccess() {
-        const hasProtectionAccess = sessionStorage.getItem(config.sessionKey) === 'granted';
-        const safeHarborKey = config.safeHarborKey || config.sessionKey + '_safeharbor';
-        const hasSafeHarborAccess = sessionStorage.getItem(safeHarborKey) === 'accepted';
+        // Get the storage key for a step's value
+        function getStepStorageKey(step) {
+            return config.sessionKey + '_step_' + step.id;
+        }
     
-        // Only skip modals if user has completed BOTH
-        if (hasProtectionAccess && (!config.enableSafeHarbor || hasSafeHarborAccess)) {
-            const modal = document.getElementById(config.modalId);
-            if (modal) {
-                modal.classList.add('hidden');
+        // Whether a step is done - the challenge and terms keep their own records
+        function isStepComplete(step) {
+            if (step.type === 'challenge') {
+                return isVerified();
+            }
+            if (step.type === 'terms') {
+                const acceptance = readSafeHarborAcceptance();
+                return acceptance !== null && acceptance.version === getSafeHarborVersion();
             }
+            return readEntry(getStepStorageKey(step), step.options.daysValid || null) !== null;
+        }
+    
+        // Show the first step that isn't done yet, or the content once they all are.
+        // settle = wait for the page to settle before focusing the challenge (on load)
+        function runNextStep(settle = false) {
+            const step = steps.find(candidate => !isStepComplete(candidate));
+            ['modal', 'safeHarborModal', 'stepModal'].forEach(name => {
+                if (elements[name]) {
+                    elements[name].classList.add('hidden');
+                }
+            });
         
-            const safeHarborModal = document.getElementById('safeHarborModal');
-            if (safeHarborModal) {
-                safeHarborModal.classList.add('hidden');
+            if (!step) {
+                showProtectedContent();
+            } else if (step.type === 'challenge') {
+                showChallenge(settle);
+            } else if (step.type === 'terms') {
+                // Visitors who accepted an older version see the changed-terms notice
+                showSafeHarborModal(readSafeHarborAcceptance() !== null);
+            } else {
+                showStep(step);
             }
+        }
+    
+        // Create the dialog that shows the other step types
+        function createStepModal() {
+            const modal = document.createElement('div');
+            modal.id = 'protectionStep' + idSuffix;
+            modal.className = 'protection-modal multiaxis-step-modal hidden';
+            modal.lang = config.locale;
+            modal.dir = text.dir;
+            applyTheme(modal);
+            modal.innerHTML = `
+                <div class="protection-container" role="dialog" aria-modal="true" aria-labelledby="protectionStepTitle${idSuffix}" tabindex="-1">
+                    <h2 class="protection-title" id="protectionStepTitle${idSuffix}"></h2>
+                    <div class="multiaxis-step-body"></div>
+                    <div class="protection-error" aria-live="assertive" aria-atomic="true"></div>
+                    <button type="button" class="protection-submit multiaxis-step-continue">${t('stepContinue')}</button>
+                </div>
+            `;
         
-            showProtectedContent();
-            return true;
+            return modal;
         }
     
-        // Otherwise, clear any partial progress and start fresh
-        sessionStorage.removeItem(config.sessionKey);
-        sessionStorage.removeItem(safeHarborKey);
+        // Show a step from the step registry
+        function showStep(step) {
+            cleanupStep();
+        
+            const context = {
+                config: config,
+                options: step.options,
+                state: {},
+                t: t,
+                complete: function(value) {
+                    completeStep(step, value === undefined ? true : value);
+                },
+                showError: function(message) {
+                    elements.stepError.textContent = message;
+                }
+            };
+            activeStep = { step: step, context: context };
+        
+            elements.stepTitle.textContent = step.options.title || text[step.type + 'StepTitle'] || step.provider.title || '';
+            elements.stepError.textContent = '';
+            elements.stepContinue.hidden = step.provider.button === false;
+            elements.stepContinue.disabled = false;
+            step.provider.render(elements.stepBody, context);
+        
+            status = 'step';
+            showDialog(elements.stepModal);
+            emit('stepShown', { step: step.id, type: step.type });
+        }
     
-        return false;
-    }
+        // Ask the current step for its value when Continue is pressed
+        function submitStep() {
+            if (!activeStep || elements.stepContinue.disabled || elements.stepContinue.hidden) {
+                return;
+            }
+        
+            const current = activeStep;
+            elements.stepError.textContent = '';
+            elements.stepContinue.disabled = true;
+            Promise.resolve(current.step.provider.submit(elements.stepBody, current.context))
+                .catch(error => {
+                    console.error('Step "' + current.step.id + '" failed:', error);
+                    return false;
+                })
+                .then(value => {
+                    elements.stepContinue.disabled = false;
+                    if (value !== false) {
+                        current.context.complete(value);
+                    }
+                });
+        }
     
-    // Initialize protection
-    function init(userConfig = {}) {
-        // Merge user config with defaults
-        config = { ...defaults, ...userConfig };
+        // Remember a finished step and move on
+        function completeStep(step, value) {
+            if (destroyed || !activeStep || activeStep.step !== step) {
+                return;
+            }
         
-        // Wait for DOM to be ready
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', setup);
-        } else {
-            setup();
+            cleanupStep();
+            // Only that the step is done - values such as an email address stay out of storage, and so out of cookies
+            writeEntry(getStepStorageKey(step), true);
+            emit('stepCompleted', { step: step.id, type: step.type, value: value });
+        
+            if (step.options.endpoint) {
+                sendJson(step.options.endpoint, {
+                    step: step.id,
+                    type: step.type,
+                    value: value,
+                    timestamp: new Date().toISOString(),
+                    pageUrl: window.location.href,
+                    sessionKey: config.sessionKey
+                }, false).catch(error => console.error('Step delivery failed:', error));
+            }
+        
+            if (config.onStepComplete && typeof config.onStepComplete === 'function') {
+                config.onStepComplete(step.id, value);
+            }
+        
+            runNextStep();
         }
-    }
-
-    // Setup protection
-    function setup() {
-        // Add styles if needed
-        if (config.useDefaultStyles) {
-            document.head.appendChild(createStyles());
+    
+        // Let the current step stop its timers before it's replaced
+        function cleanupStep() {
+            if (activeStep && typeof activeStep.step.provider.cleanup === 'function') {
+                activeStep.step.provider.cleanup(elements.stepBody, activeStep.context);
+            }
+            activeStep = null;
         }
+    
+        // Setup protection
+        function setup() {
+            setupAnalytics();
+        
+            // Add styles if needed - shared by every instance on the page,
+            // while a shadow root gets its own copy that the page can't reach
+            if (config.useDefaultStyles) {
+                if (root !== document) {
+                    elements.defaultStyles = createStyles(config.cspNonce);
+                    root.appendChild(elements.defaultStyles);
+                } else {
+                    if (!document.head.contains(defaultStyleSheet)) {
+                        defaultStyleSheet = createStyles(config.cspNonce);
+                        document.head.appendChild(defaultStyleSheet);
+                    }
+                    defaultStyleUsers++;
+                }
+            }
 
-        // Add custom styles if provided
-        if (config.customStyles) {
-            const customStyleSheet = document.createElement('style');
-            customStyleSheet.textContent = config.customStyles;
-            document.head.appendChild(customStyleSheet);
-        }
+            // Add custom styles if provided
+            if (config.customStyles) {
+                elements.customStyles = createStyleElement(config.customStyles, config.cspNonce);
+                (root === document ? document.head : root).appendChild(elements.customStyles);
+            }
 
-        // Create and add protection modal
-        const modal = createModal();
-        document.body.appendChild(modal);
+            // Hide this instance's protected region until access is granted,
+            // remembering its locked markup so reset() can put it back
+            const protectedContent = getProtectedContent();
+            if (protectedContent) {
+                // In a shadow root the region is hidden by the shadow styles, not the page-wide class
+                if (root === document) {
+                    protectedContent.classList.add('multiaxis-protected');
+                }
+                lockedContent = {
+                    html: protectedContent.innerHTML,
+                    gated: protectedContent.hasAttribute('data-multiaxis-gated'),
+                    encrypted: protectedContent.hasAttribute('data-multiaxis-encrypted')
+                };
+                setupCopyProtection(protectedContent);
+            }
+            setupCrawlerPolicy(protectedContent);
 
-        // Create and add Safe Harbor modal if enabled
-        if (config.enableSafeHarbor) {
-            const safeHarborModal = createSafeHarborModal();
-            document.body.appendChild(safeHarborModal);
-            // Make sure it starts hidden
-            safeHarborModal.classList.add('hidden');
-        }
+            // Create and add protection modal
+            const modal = createModal();
+            elements.modal = modal;
+            elements.challengeBody = modal.querySelector('.challenge-body');
+            elements.input = modal.querySelector('.protection-input');
+            elements.submit = modal.querySelector('.protection-submit');
+            elements.error = modal.querySelector('.protection-error');
+            elements.alternative = modal.querySelector('.protection-alternative');
+            elements.countdown = modal.querySelector('.protection-countdown');
+            renderChallenge();
+            setupTraps(modal, protectedContent);
+            getMountPoint().appendChild(modal);
+            collectSignals();
+            modal.addEventListener('keydown', handleDialogKeydown);
+            elements.alternative.addEventListener('click', showAccessibleChallenge);
 
-        // Check if user has COMPLETE access (both protection and safe harbor if enabled)
-        const hasProtectionAccess = sessionStorage.getItem(config.sessionKey) === 'granted';
-        const safeHarborKey = config.safeHarborKey || config.sessionKey + '_safeharbor';
-        const hasSafeHarborAccess = sessionStorage.getItem(safeHarborKey) === 'accepted';
+            // Screen-reader status messages, kept outside the modals so they're heard after they close
+            const statusRegion = document.createElement('div');
+            statusRegion.className = 'multiaxis-sr-only';
+            statusRegion.lang = config.locale;
+            statusRegion.setAttribute('role', 'status');
+            statusRegion.setAttribute('aria-live', 'polite');
+            elements.statusRegion = statusRegion;
+            getMountPoint().appendChild(statusRegion);
 
-        // Only skip everything if user has completed ALL required steps
-        if (hasProtectionAccess && (!config.enableSafeHarbor || hasSafeHarborAccess)) {
-            // User has completed everything - hide modals and show content
-            modal.classList.add('hidden');
-            const safeHarborModal = document.getElementById('safeHarborModal');
-            if (safeHarborModal) {
+            // Create and add Safe Harbor modal if enabled
+            if (config.enableSafeHarbor) {
+                const safeHarborModal = createSafeHarborModal();
+                elements.safeHarborModal = safeHarborModal;
+                elements.changed = safeHarborModal.querySelector('.safe-harbor-changed');
+                elements.checkbox = safeHarborModal.querySelector('.safe-harbor-checkbox');
+                elements.accept = safeHarborModal.querySelector('.safe-harbor-accept');
+                elements.decline = safeHarborModal.querySelector('.safe-harbor-decline');
+                getMountPoint().appendChild(safeHarborModal);
+                safeHarborModal.addEventListener('keydown', handleDialogKeydown);
+                if (analytics) {
+                    safeHarborModal.querySelector('.safe-harbor-content').addEventListener('scroll', handleTermsScroll, { passive: true });
+                }
+                // Make sure it starts hidden
                 safeHarborModal.classList.add('hidden');
             }
-            showProtectedContent();
-        } else {
-            // Clear any partial progress and start fresh
-            sessionStorage.removeItem(config.sessionKey);
-            sessionStorage.removeItem(safeHarborKey);
-        
-            // Make sure Safe Harbor modal is hidden initially
-            const safeHarborModal = document.getElementById('safeHarborModal');
-            if (safeHarborModal) {
-                safeHarborModal.classList.add('hidden');
+
+            // Create and add the dialog for the other step types, if any are configured
+            if (steps.some(step => step.provider)) {
+                const stepModal = createStepModal();
+                elements.stepModal = stepModal;
+                elements.stepDialog = stepModal.querySelector('.protection-container');
+                elements.stepTitle = stepModal.querySelector('.protection-title');
+                elements.stepBody = stepModal.querySelector('.multiaxis-step-body');
+                elements.stepError = stepModal.querySelector('.protection-error');
+                elements.stepContinue = stepModal.querySelector('.multiaxis-step-continue');
+                getMountPoint().appendChild(stepModal);
+                stepModal.addEventListener('keydown', handleDialogKeydown);
+                elements.stepContinue.addEventListener('click', submitStep);
+                elements.stepBody.addEventListener('keypress', function(e) {
+                    if (e.key === 'Enter' && e.target.tagName === 'INPUT') {
+                        submitStep();
+                    }
+                });
             }
-        
-            // Show protection modal (MULTIAXIS challenge)
-            modal.classList.remove('hidden');
-        
+
             // Set up event listeners for protection
-            const submitButton = document.getElementById('protectionSubmit');
+            const submitButton = elements.submit;
             if (submitButton) {
                 submitButton.addEventListener('click', checkAccess);
             }
         
-            const input = document.getElementById('protectionInput');
+            const input = elements.input;
             if (input) {
                 input.addEventListener('keypress', function(e) {
                     if (e.key === 'Enter') {
                         checkAccess();
                     }
                 });
-            
-                // Focus input
-                setTimeout(() => input.focus(), 100);
             }
+
+            // Set up Safe Harbor acknowledgment, acceptance and decline
+            if (elements.checkbox) {
+                elements.checkbox.addEventListener('change', function() {
+                    elements.accept.disabled = !this.checked;
+                });
+                elements.accept.addEventListener('click', acceptSafeHarbor);
+                elements.decline.addEventListener('click', declineSafeHarbor);
+            }
+
+            // A signed magic link skips the challenge, but not the Safe Harbor terms
+            const token = config.magicLinkKey && !isTrapped() ? takeMagicLinkToken() : null;
+            if (token) {
+                verifyMagicLink(token, config.magicLinkKey, config.sessionKey).then(claims => {
+                    if (destroyed) {
+                        return;
+                    }
+                    if (claims && !isVerified()) {
+                        grantAccess(computeRiskScore(), claims);
+                    } else {
+                        runNextStep(true);
+                    }
+                });
+                return;
+            }
+
+            // Resume at the first unfinished step - a trapped session stays on the disabled challenge
+            if (isTrapped()) {
+                showChallenge(true);
+            } else {
+                runNextStep(true);
+            }
+        }
+    
+        // Show the protection modal (MULTIAXIS challenge), on load focusing it once the page settles
+        function showChallenge(settle = false) {
+            ['safeHarborModal', 'stepModal'].forEach(name => {
+                if (elements[name]) {
+                    elements[name].classList.add('hidden');
+                }
+            });
+        
+            const modal = elements.modal;
+            modal.classList.remove('hidden');
+            status = 'challenge';
+            drawChallenge();
+            resumeAttemptLimits();
+        
+            const open = () => {
+                showDialog(modal);
+                if (isTrapped()) {
+                    disableChallenge();
+                }
+            };
+            if (!settle) {
+                open();
+                return;
+            }
+            setTimeout(() => {
+                // Skip it if the visitor got past the challenge meanwhile (e.g. an invisible challenge or a magic link)
+                if (!destroyed && status === 'challenge') {
+                    open();
+                }
+            }, 100);
+        }
+    
+        
+        // Wait for DOM to be ready
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', setup);
+        } else {
+            setup();
+        }
+        
+        // Instance API
+        const api = {
+            checkAccess: checkAccess,
+            getConsentReceipt: getConsentReceipt,
+            downloadConsentReceipt: downloadConsentReceipt,
+            reset: reset,
+            clearTrap: clearTrap,
+            on: on,
+            off: off,
+            whenUnlocked: whenUnlocked,
+            getState: getState,
+            destroy: destroy
+        };
+        return api;
+    }
+    
+    // Initialize the page's default protection instance
+    function init(userConfig = {}) {
+        defaultInstance = createInstance(userConfig);
+    
+        // Events fire after the current step, so listeners attached here still hear the setup events
+        pendingListeners.splice(0).forEach(listener => defaultInstance.on(listener.event, listener.handler));
+        if (pendingUnlocked) {
+            defaultInstance.whenUnlocked().then(pendingUnlocked.resolve, pendingUnlocked.reject);
+            pendingUnlocked = null;
         }
+        return defaultInstance;
     }
     
     // Public API
     return {
         init: init,
-        checkAccess: checkAccess,
+        create: createInstance,
+        registerChallenge: registerChallenge,
+        registerStep: registerStep,
+        registerLocale: registerLocale,
+        registerBrand: registerBrand,
+        parseConfig: parseConfig,
+        decodeWatermark: decodeWatermark,
+        decodeImageWatermark: decodeImageWatermark,
+        checkAccess: function() {
+            if (defaultInstance) {
+                defaultInstance.checkAccess();
+            }
+        },
+        getConsentReceipt: function() {
+            return defaultInstance ? defaultInstance.getConsentReceipt() : null;
+        },
+        downloadConsentReceipt: function() {
+            return defaultInstance ? defaultInstance.downloadConsentReceipt() : false;
+        },
         reset: function() {
-            sessionStorage.removeItem(config.sessionKey);
-            location.reload();
+            if (defaultInstance) {
+                defaultInstance.reset();
+            }
+        },
+        clearTrap: function() {
+            if (defaultInstance) {
+                defaultInstance.clearTrap();
+            }
+        },
+        on: function(event, handler) {
+            if (defaultInstance) {
+                defaultInstance.on(event, handler);
+            } else if (typeof handler === 'function') {
+                pendingListeners.push({ event: event, handler: handler });
+            }
+        },
+        off: function(event, handler) {
+            if (defaultInstance) {
+                defaultInstance.off(event, handler);
+            } else {
+                const index = pendingListeners.findIndex(listener => listener.event === event && listener.handler === handler);
+                if (index !== -1) {
+                    pendingListeners.splice(index, 1);
+                }
+            }
+        },
+        whenUnlocked: function() {
+            if (defaultInstance) {
+                return defaultInstance.whenUnlocked();
+            }
+            if (!pendingUnlocked) {
+                pendingUnlocked = {};
+                pendingUnlocked.promise = new Promise((resolve, reject) => {
+                    pendingUnlocked.resolve = resolve;
+                    pendingUnlocked.reject = reject;
+                });
+            }
+            return pendingUnlocked.promise;
+        },
+        getState: function() {
+            return defaultInstance ? defaultInstance.getState() : null;
+        },
+        destroy: function() {
+            if (defaultInstance) {
+                defaultInstance.destroy();
+                defaultInstance = null;
+            }
         }
     };
 })();
 
-// Auto-initialize with data attributes if present
+// <multiaxis-protected> custom element - protects the content it wraps, with the modals and
+// styles kept in its own shadow root so the page and the module can't restyle each other.
+// Settings come from attributes (session-key="..." -> sessionKey, converted by parseConfig) or the options property
+if (window.customElements && !window.customElements.get('multiaxis-protected')) {
+    // Attribute names that don't map directly onto a setting
+    const attributeAliases = {
+        'terms-version': 'safeHarborVersion',
+        'lang': 'locale'
+    };
+    
+    // Lifecycle events re-dispatched on the element as DOM events
+    const lifecycleEvents = ['challengeShown', 'verified', 'failed', 'lockout', 'stepShown', 'stepCompleted', 'termsShown', 'accepted', 'declined', 'unlocked', 'expired', 'trapped'];
+    
+    class MultiaxisProtectedElement extends HTMLElement {
+        constructor() {
+            super();
+            this.options = this.options || {};
+            this.protection = null;
+        }
+        
+        connectedCallback() {
+            if (this.protection) {
+                return;
+            }
+            
+            const shadow = this.shadowRoot || this.attachShadow({ mode: 'open' });
+            shadow.innerHTML = '<slot></slot>';
+            
+            const config = {};
+            Array.from(this.attributes).forEach(attribute => {
+                const name = attribute.name;
+                if (['id', 'class', 'style', 'slot', 'hidden', 'tabindex', 'dir'].indexOf(name) !== -1 || /^(aria|data)-/.test(name)) {
+                    return;
+                }
+                const key = attributeAliases[name] || name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+                config[key] = attribute.value;
+            });
+            
+            this.protection = MultiaxisProtection.create({
+                ...MultiaxisProtection.parseConfig(config),
+                ...this.options,
+                root: shadow,
+                protectedElement: this
+            });
+            
+            lifecycleEvents.forEach(name => {
+                this.protection.on(name, event => {
+                    this.dispatchEvent(new CustomEvent(name, { detail: event, bubbles: true }));
+                });
+            });
+        }
+        
+        disconnectedCallback() {
+            if (this.protection) {
+                this.protection.destroy();
+                this.protection = null;
+            }
+        }
+    }
+    
+    window.customElements.define('multiaxis-protected', MultiaxisProtectedElement);
+}
+
+// Auto-initialize from a JSON config block and/or data attributes if present.
+// Data attributes override the JSON block, and text values are converted by parseConfig
 document.addEventListener('DOMContentLoaded', function() {
     const protectionElement = document.querySelector('[data-protection="multiaxis"]');
-    if (protectionElement) {
-        const config = {};
+    const configBlock = document.querySelector('script[type="application/json"][data-protection-config]');
+    if (!protectionElement && !configBlock) {
+        return;
+    }
+    
+    let config = {};
+    
+    // Parse the JSON config block
+    if (configBlock) {
+        try {
+            config = JSON.parse(configBlock.textContent);
+        } catch (error) {
+            console.warn('Invalid JSON in the data-protection-config block:', error.message);
+        }
         
-        // Parse data attributes
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            console.warn('The data-protection-config block must contain a JSON object');
+            config = {};
+        }
+    }
+    
+    // Parse data attributes
+    if (protectionElement) {
         for (let key in protectionElement.dataset) {
             if (key !== 'protection') {
                 config[key] = protectionElement.dataset[key];
             }
         }
-        
-        MultiaxisProtection.init(config);
     }
+    
+    MultiaxisProtection.init(MultiaxisProtection.parseConfig(config));
 });
-
-
-
-
-
-
-
-
-
-
@@ -0,0 +1,63 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const path = require('path');
+const { load, waitFor, answer, sleep } = require('./helpers');
+const { createAccessCodeEntry } = require('../protection-access-code');
+
+async function open(codes, config) {
+    const window = load();
+    const protection = window.MultiaxisProtection.init({
+        enableSafeHarbor: false,
+        challenge: { type: 'accessCode', codes: codes },
+        ...config
+    });
+    await waitFor(() => protection.getState().status === 'challenge');
+    return { window, protection };
+}
+
+test('a generated code unlocks the page, ignoring case and spaces, and reports its label', async () => {
+    const labels = [];
+    const { window, protection } = await open([
+        createAccessCodeEntry('ACME-7F3K-22', { label: 'Acme Corp' }),
+        createAccessCodeEntry('BETA-91QX', { label: 'Beta Inc', iterations: 1000 })
+    ], { onSuccess: (risk, accessCode) => labels.push(accessCode) });
+
+    assert.ok(!window.document.documentElement.innerHTML.includes('BETA-91QX'));
+    await answer(window, ' beta-91 qx');
+    await waitFor(() => protection.getState().status === 'unlocked');
+    assert.deepStrictEqual(labels, ['Beta Inc']);
+    assert.strictEqual(protection.getState().accessCode, 'Beta Inc');
+    protection.destroy();
+});
+
+test('wrong and expired codes are refused', async () => {
+    const failures = [];
+    const { window, protection } = await open([
+        createAccessCodeEntry('OLD-CODE', { label: 'Old Partner', expires: '2020-01-01' })
+    ], { onError: value => failures.push(value) });
+
+    await answer(window, 'NOPE');
+    await waitFor(() => failures.length === 1);
+    await answer(window, 'OLD-CODE');
+    await waitFor(() => failures.length === 2);
+    await sleep(50);
+    assert.strictEqual(protection.getState().status, 'challenge');
+    assert.strictEqual(protection.getState().accessCode, null);
+    protection.destroy();
+});
+
+test('the command line prints an entry without the code', () => {
+    const script = path.join(__dirname, '..', 'protection-access-code.js');
+    const entry = JSON.parse(execFileSync(process.execPath, [script, 'ACME-7F3K-22', '--label', 'Acme Corp', '--expires', '2025-12-31', '--iterations', '1000']));
+    assert.deepStrictEqual(Object.keys(entry), ['label', 'salt', 'hash', 'iterations', 'expires']);
+    assert.strictEqual(entry.label, 'Acme Corp');
+    assert.strictEqual(entry.iterations, 1000);
+    assert.match(entry.hash, /^[0-9a-f]{64}$/);
+    assert.ok(!JSON.stringify(entry).includes('7F3K'));
+
+    assert.throws(() => createAccessCodeEntry('   '), /empty/);
+    assert.throws(() => createAccessCodeEntry('CODE', { expires: 'soon' }), /Invalid expiry date/);
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, waitFor, answer, acceptTerms } = require('./helpers');
+
+function pressKey(window, target, key, shiftKey = false) {
+    target.dispatchEvent(new window.KeyboardEvent('keydown', { key: key, shiftKey: shiftKey, bubbles: true, cancelable: true }));
+}
+
+test('the modals are labelled dialogs that take and keep focus', async () => {
+    const window = load();
+    const shown = [];
+    window.MultiaxisProtection.on('challengeShown', event => shown.push(event));
+    const protection = window.MultiaxisProtection.init();
+    await waitFor(() => shown.length === 1);
+
+    const document = window.document;
+    const dialog = document.querySelector('#protectionModal [role="dialog"]');
+    assert.strictEqual(dialog.getAttribute('aria-modal'), 'true');
+    assert.ok(document.getElementById(dialog.getAttribute('aria-labelledby')));
+    const input = document.getElementById('protectionInput');
+    assert.strictEqual(document.activeElement, input);
+    assert.ok(input.getAttribute('aria-label') || document.querySelector('label[for="protectionInput"]'));
+
+    // Tab from the last control wraps to the first, Shift+Tab from the first wraps to the last
+    const alternative = document.querySelector('#protectionModal .protection-alternative');
+    alternative.focus();
+    pressKey(window, alternative, 'Tab');
+    assert.strictEqual(document.activeElement, input);
+    pressKey(window, input, 'Tab', true);
+    assert.strictEqual(document.activeElement, alternative);
+
+    // Escape can't close the gate, it goes back to the answer field
+    pressKey(window, alternative, 'Escape');
+    assert.strictEqual(document.activeElement, input);
+    assert.ok(!document.getElementById('protectionModal').classList.contains('hidden'));
+    protection.destroy();
+});
+
+test('errors and the unlock are announced', async () => {
+    const window = load();
+    const protection = window.MultiaxisProtection.init();
+    await waitFor(() => protection.getState().status === 'challenge');
+
+    await answer(window, 'wrong');
+    const error = window.document.getElementById('protectionError');
+    assert.strictEqual(error.getAttribute('aria-live'), 'assertive');
+    assert.ok(error.textContent.length > 0);
+
+    await answer(window, 'multiaxis');
+    await acceptTerms(window);
+    const status = window.document.querySelector('[role="status"]');
+    await waitFor(() => status.textContent.includes('Verification complete'));
+    assert.strictEqual(window.document.activeElement, window.document.getElementById('protectedContent'));
+    protection.destroy();
+});
+
+test('the accessible alternative swaps in the arithmetic challenge', async () => {
+    const window = load();
+    const shown = [];
+    const protection = window.MultiaxisProtection.init({ challenge: 'randomWord' });
+    protection.on('challengeShown', event => shown.push(event.challenge + (event.reason ? ':' + event.reason : '')));
+    await waitFor(() => shown.length === 1);
+
+    window.document.querySelector('#protectionModal .protection-alternative').click();
+    await waitFor(() => shown.length === 2);
+    assert.deepStrictEqual(shown, ['randomWord', 'arithmetic:alternative']);
+    assert.strictEqual(protection.getState().challenge, 'arithmetic');
+    protection.destroy();
+});
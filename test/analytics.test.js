@@ -0,0 +1,97 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, waitFor, answer } = require('./helpers');
+
+// A fetch that records each batch, failing while down() returns true
+function createEndpoint(down = () => false) {
+    const batches = [];
+    const fetch = (url, request) => {
+        if (down()) {
+            return Promise.resolve({ ok: false, status: 503 });
+        }
+        batches.push(JSON.parse(request.body).events);
+        return Promise.resolve({ ok: true, status: 204 });
+    };
+    return { batches, fetch };
+}
+
+async function run(window, analytics) {
+    const protection = window.MultiaxisProtection.init({ enableSafeHarbor: false, analytics: analytics });
+    let shown = false;
+    protection.on('challengeShown', () => {
+        shown = true;
+    });
+    await waitFor(() => shown);
+    await answer(window, 'secret-guess');
+    await answer(window, 'multiaxis');
+    await waitFor(() => protection.getState().status === 'unlocked');
+    return protection;
+}
+
+test('events are sent in full batches, then the rest after flushInterval', async () => {
+    const endpoint = createEndpoint();
+    const seen = [];
+    const window = load(undefined, { fetch: endpoint.fetch });
+    const protection = await run(window, {
+        endpoint: '/api/analytics',
+        adapter: event => seen.push(event.event),
+        batchSize: 3,
+        flushInterval: 100
+    });
+
+    assert.deepStrictEqual(seen, ['challengeShown', 'attempt', 'failed', 'attempt', 'verified', 'unlocked']);
+    assert.strictEqual(endpoint.batches.length, 2);
+    assert.strictEqual(endpoint.batches[0].length, 3);
+
+    const events = endpoint.batches.flat();
+    assert.deepStrictEqual(events.map(event => event.event), seen);
+    assert.ok(events.every(event => event.sessionId === events[0].sessionId && event.pageUrl === 'http://localhost/page.html'));
+    assert.strictEqual(events[2].attempt, 1);
+    assert.ok(!JSON.stringify(events).includes('secret-guess'));
+    protection.destroy();
+});
+
+test('unsent events wait in localStorage and go out on the next page view', async () => {
+    let offline = true;
+    const endpoint = createEndpoint(() => offline);
+    const window = load(undefined, { fetch: endpoint.fetch });
+    const protection = await run(window, { endpoint: '/api/analytics', flushInterval: 50 });
+    const queueKey = 'multiaxis_protection_analytics_queue';
+    await waitFor(() => JSON.parse(window.localStorage.getItem(queueKey) || '[]').length === 6);
+    assert.strictEqual(window.sessionStorage.getItem(queueKey), null);
+    assert.strictEqual(endpoint.batches.length, 0);
+
+    // The next page view, with the same localStorage
+    const queue = window.localStorage.getItem(queueKey);
+    const session = window.sessionStorage.getItem('multiaxis_protection_analytics');
+    offline = false;
+    const reloaded = load(undefined, {
+        fetch: endpoint.fetch,
+        before: next => {
+            next.localStorage.setItem(queueKey, queue);
+            next.sessionStorage.setItem('multiaxis_protection_analytics', session);
+        }
+    });
+    const again = reloaded.MultiaxisProtection.init({ enableSafeHarbor: false, analytics: { endpoint: '/api/analytics' } });
+    await waitFor(() => endpoint.batches.length === 1);
+    assert.strictEqual(endpoint.batches[0].length, 6);
+    assert.strictEqual(reloaded.localStorage.getItem(queueKey), null);
+    again.destroy();
+    protection.destroy();
+});
+
+test('nothing is recorded with Global Privacy Control or outside the sample', async () => {
+    const endpoint = createEndpoint();
+    const privateWindow = load(undefined, {
+        fetch: endpoint.fetch,
+        before: window => Object.defineProperty(window.navigator, 'globalPrivacyControl', { value: true })
+    });
+    (await run(privateWindow, { endpoint: '/api/analytics', batchSize: 1 })).destroy();
+
+    const unsampled = load(undefined, { fetch: endpoint.fetch });
+    (await run(unsampled, { endpoint: '/api/analytics', batchSize: 1, sampleRate: 0 })).destroy();
+
+    assert.strictEqual(endpoint.batches.length, 0);
+});
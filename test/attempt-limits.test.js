@@ -0,0 +1,97 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, createSharedStorage, waitFor, answer } = require('./helpers');
+
+async function open(window, config) {
+    const protection = window.MultiaxisProtection.init({ enableSafeHarbor: false, ...config });
+    await waitFor(() => protection.getState().status === 'challenge');
+    return protection;
+}
+
+test('without limits a visitor can retry straight away', async () => {
+    const window = load();
+    const protection = await open(window);
+    await answer(window, 'wrong');
+    assert.strictEqual(window.document.getElementById('protectionSubmit').disabled, false);
+    await answer(window, 'multiaxis');
+    await waitFor(() => protection.getState().status === 'unlocked');
+    protection.destroy();
+});
+
+test('each failure backs off longer and reports the attempt', async () => {
+    const window = load();
+    const attempts = [];
+    const protection = await open(window, {
+        retryDelay: 100,
+        maxRetryDelay: 150,
+        onError: (value, attempt) => attempts.push(attempt.retryAfter)
+    });
+
+    await answer(window, 'wrong');
+    const submit = window.document.getElementById('protectionSubmit');
+    assert.strictEqual(submit.disabled, true);
+    assert.match(window.document.getElementById('protectionCountdown').textContent, /\S/);
+    await waitFor(() => !submit.disabled);
+    await answer(window, 'wrong');
+    await waitFor(() => !submit.disabled);
+
+    assert.strictEqual(attempts.length, 2);
+    assert.ok(attempts[0] > 50 && attempts[0] <= 100);
+    assert.ok(attempts[1] > 100 && attempts[1] <= 150);
+    assert.strictEqual(protection.getState().failedAttempts, 2);
+
+    await answer(window, 'multiaxis');
+    await waitFor(() => protection.getState().status === 'unlocked');
+    assert.strictEqual(protection.getState().failedAttempts, 0);
+    protection.destroy();
+});
+
+test('maxAttempts locks the challenge, and the lockout survives a reload', async () => {
+    const storage = createSharedStorage();
+    const window = load();
+    const lockouts = [];
+    const protection = await open(window, {
+        storage: storage,
+        maxAttempts: 2,
+        onLockout: lockout => lockouts.push(lockout)
+    });
+
+    await answer(window, 'wrong');
+    assert.match(window.document.getElementById('protectionError').textContent, /Attempts left before a temporary lockout: 1/);
+    await answer(window, 'wrong');
+    assert.strictEqual(lockouts.length, 1);
+    assert.strictEqual(lockouts[0].attempts, 2);
+    assert.ok(lockouts[0].lockedUntil > Date.now() + 14 * 60 * 1000);
+    assert.strictEqual(window.document.getElementById('protectionInput').disabled, true);
+    assert.match(window.document.getElementById('protectionError').textContent, /Too many failed attempts/);
+    assert.strictEqual(protection.getState().status, 'locked');
+    protection.destroy();
+
+    const reloaded = load();
+    const again = reloaded.MultiaxisProtection.init({ enableSafeHarbor: false, storage: storage, maxAttempts: 2 });
+    await waitFor(() => again.getState().status === 'locked');
+    assert.strictEqual(again.getState().lockedUntil, lockouts[0].lockedUntil);
+    assert.strictEqual(reloaded.document.getElementById('protectionInput').disabled, true);
+    await answer(reloaded, 'multiaxis');
+    assert.strictEqual(again.getState().status, 'locked');
+    again.destroy();
+});
+
+test('an ended lockout starts over', async () => {
+    const storage = createSharedStorage();
+    const now = Date.now();
+    storage.setItem('multiaxis_protection_attempts', JSON.stringify({
+        value: { failures: 5, lastFailureAt: now - 1000, nextAttemptAt: now - 10, lockedUntil: now - 10 },
+        issuedAt: now - 1000
+    }));
+
+    const window = load();
+    const protection = await open(window, { storage: storage, maxAttempts: 5 });
+    assert.strictEqual(window.document.getElementById('protectionInput').disabled, false);
+    await answer(window, 'multiaxis');
+    await waitFor(() => protection.getState().status === 'unlocked');
+    assert.strictEqual(storage.getItem('multiaxis_protection_attempts'), null);
+    protection.destroy();
+});
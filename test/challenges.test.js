@@ -0,0 +1,70 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, waitFor, answer } = require('./helpers');
+
+async function start(window, challenge) {
+    const protection = window.MultiaxisProtection.init({ enableSafeHarbor: false, challenge: challenge });
+    await waitFor(() => protection.getState().status === 'challenge');
+    return protection;
+}
+
+test('a registered challenge provider decides the answer', async () => {
+    const window = load();
+    const answers = [];
+    window.MultiaxisProtection.registerChallenge('colour', {
+        placeholder: 'Enter the colour',
+        errorMessage: 'Wrong colour, try again.',
+        render: container => {
+            container.innerHTML = '<p class="challenge-text">What colour is the sky?</p>';
+        },
+        validate: value => {
+            answers.push(value);
+            return Promise.resolve(value === 'BLUE');
+        }
+    });
+    const protection = await start(window, 'colour');
+    assert.strictEqual(protection.getState().challenge, 'colour');
+    assert.strictEqual(window.document.getElementById('protectionInput').placeholder, 'Enter the colour');
+
+    await answer(window, 'multiaxis');
+    assert.strictEqual(protection.getState().status, 'challenge');
+    assert.strictEqual(window.document.querySelector('.protection-error').textContent, 'Wrong colour, try again.');
+
+    await answer(window, ' blue ');
+    await waitFor(() => protection.getState().status === 'unlocked');
+    assert.deepStrictEqual(answers, ['MULTIAXIS', 'BLUE']);
+    protection.destroy();
+});
+
+test('the arithmetic challenge takes the result of its sum', async () => {
+    const window = load();
+    const protection = await start(window, { type: 'arithmetic', operations: ['+'] });
+    assert.match(window.document.querySelector('.challenge-text').textContent, /\d+ \+ \d+/);
+    await answer(window, 'multiaxis');
+    assert.strictEqual(protection.getState().status, 'challenge');
+
+    // A failed attempt draws a new sum
+    const next = window.document.querySelector('.challenge-text').textContent.match(/(\d+) \+ (\d+)/);
+    await answer(window, String(Number(next[1]) + Number(next[2])));
+    await waitFor(() => protection.getState().status === 'unlocked');
+    protection.destroy();
+});
+
+test('the randomWord challenge takes the word it shows', async () => {
+    const window = load();
+    const protection = await start(window, { type: 'randomWord', words: ['harbor'] });
+    assert.strictEqual(window.document.querySelector('.challenge-word').textContent, 'HARBOR');
+    await answer(window, 'harbor');
+    await waitFor(() => protection.getState().status === 'unlocked');
+    protection.destroy();
+});
+
+test('an unknown challenge type falls back to the word challenge', async () => {
+    const window = load();
+    const protection = await start(window, 'riddle');
+    assert.strictEqual(protection.getState().challenge, 'word');
+    assert.ok(window.logs.some(line => line.includes('riddle')));
+    protection.destroy();
+});
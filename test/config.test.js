@@ -0,0 +1,33 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, waitFor } = require('./helpers');
+
+function unknownWarnings(window) {
+    return window.logs.filter(line => line.startsWith('warn: Unknown option'));
+}
+
+test('parseConfig warns about unknown options and leaves them out', () => {
+    const window = load();
+    const parsed = window.MultiaxisProtection.parseConfig({ titel: 'Members only', sessionKey: 'report' });
+    assert.deepStrictEqual(Object.keys(parsed), ['sessionKey']);
+    assert.deepStrictEqual(unknownWarnings(window), ['warn: Unknown option "titel" - check the spelling']);
+});
+
+test('init() treats unknown options the same way as parseConfig', async () => {
+    const window = load();
+    const protection = window.MultiaxisProtection.init({ titel: 'Members only', sessionKey: 'report' });
+    assert.deepStrictEqual(unknownWarnings(window), ['warn: Unknown option "titel" - check the spelling']);
+    await waitFor(() => protection.getState().status === 'challenge');
+    protection.destroy();
+});
+
+test('an unknown option is only reported once when parseConfig output is passed to init()', async () => {
+    const window = load();
+    const P = window.MultiaxisProtection;
+    const protection = P.init(P.parseConfig({ titel: 'Members only', enableSafeHarbor: 'false' }));
+    assert.strictEqual(unknownWarnings(window).length, 1);
+    assert.strictEqual(protection.getState().termsVersion, null);
+    protection.destroy();
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, createSharedStorage, waitFor, answer, acceptTerms } = require('./helpers');
+
+test('accepting the terms produces a consent receipt and delivers it', async () => {
+    const posted = [];
+    const accepted = [];
+    const window = load(undefined, {
+        fetch: (url, init) => {
+            posted.push([url, JSON.parse(init.body)]);
+            return Promise.resolve({ ok: true });
+        }
+    });
+    const protection = window.MultiaxisProtection.init({
+        consentEndpoint: '/api/consent',
+        consentDelivery: 'fetch',
+        onSafeHarborAccept: receipt => accepted.push(receipt)
+    });
+    await waitFor(() => protection.getState().status === 'challenge');
+    await answer(window, 'multiaxis');
+    await acceptTerms(window);
+    await waitFor(() => posted.length === 1);
+
+    // Copied out of the window, so it compares equal to plain objects
+    const receipt = JSON.parse(JSON.stringify(protection.getConsentReceipt()));
+    assert.match(receipt.receiptId, /^[0-9a-f-]{36}$/);
+    assert.match(receipt.termsHash, /^[0-9a-f]{64}$/);
+    assert.strictEqual(receipt.termsVersion, protection.getState().termsVersion);
+    assert.strictEqual(receipt.pageUrl, 'http://localhost/page.html');
+    assert.strictEqual(receipt.sessionKey, 'multiaxis_protection');
+    assert.ok(!isNaN(Date.parse(receipt.timestamp)));
+    assert.deepStrictEqual(posted, [['/api/consent', receipt]]);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(accepted)), [receipt]);
+    protection.destroy();
+});
+
+test('changed terms are shown again to a verified visitor, with a notice', async () => {
+    const storage = createSharedStorage();
+    const window = load();
+    const first = window.MultiaxisProtection.init({ storage: storage, safeHarborText: '<p>Terms, first edition</p>' });
+    await waitFor(() => first.getState().status === 'challenge');
+    await answer(window, 'multiaxis');
+    await acceptTerms(window);
+    assert.strictEqual(first.getState().status, 'unlocked');
+    const firstVersion = first.getState().termsVersion;
+    first.destroy();
+
+    // Same terms: straight to the content
+    const same = load();
+    const again = same.MultiaxisProtection.init({ storage: storage, safeHarborText: '<p>Terms, first edition</p>' });
+    await waitFor(() => again.getState().status === 'unlocked');
+    again.destroy();
+
+    // New terms: the challenge is skipped, the terms are not
+    const changed = load();
+    const shown = [];
+    changed.MultiaxisProtection.on('termsShown', event => shown.push(event));
+    const updated = changed.MultiaxisProtection.init({ storage: storage, safeHarborText: '<p>Terms, second edition</p>' });
+    await waitFor(() => shown.length === 1);
+    assert.strictEqual(updated.getState().status, 'terms');
+    assert.strictEqual(updated.getState().verified, true);
+    assert.strictEqual(shown[0].termsChanged, true);
+    assert.notStrictEqual(shown[0].version, firstVersion);
+    assert.ok(!changed.document.querySelector('.safe-harbor-changed').classList.contains('hidden'));
+
+    await acceptTerms(changed);
+    assert.strictEqual(updated.getState().status, 'unlocked');
+    assert.strictEqual(updated.getConsentReceipt().termsVersion, shown[0].version);
+    updated.destroy();
+});
+
+test('an explicit safeHarborVersion decides when the terms changed', async () => {
+    const storage = createSharedStorage();
+    const window = load();
+    const first = window.MultiaxisProtection.init({ storage: storage, safeHarborVersion: '2025-09' });
+    await waitFor(() => first.getState().status === 'challenge');
+    await answer(window, 'multiaxis');
+    await acceptTerms(window);
+    first.destroy();
+
+    const reloaded = load();
+    const again = reloaded.MultiaxisProtection.init({ storage: storage, safeHarborVersion: '2025-09', safeHarborText: '<p>Reworded</p>' });
+    await waitFor(() => again.getState().status === 'unlocked');
+    assert.strictEqual(again.getState().termsVersion, '2025-09');
+    again.destroy();
+});
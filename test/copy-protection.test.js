@@ -0,0 +1,73 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, waitFor, answer } = require('./helpers');
+
+const page = '<!DOCTYPE html><html><body><p id="outside">Public text</p>' +
+    '<div id="protectedContent"><p>Secret findings</p><img src="chart.png"></div></body></html>';
+
+async function unlock(config) {
+    const window = load(page);
+    const protection = window.MultiaxisProtection.init({ enableSafeHarbor: false, copyProtection: true, ...config });
+    await waitFor(() => protection.getState().status === 'challenge');
+    await answer(window, 'multiaxis');
+    await waitFor(() => protection.getState().status === 'unlocked');
+    return { window, protection };
+}
+
+// Select an element's text and fire a copy event, returning what was put on the clipboard
+function copy(window, element) {
+    const range = window.document.createRange();
+    range.selectNodeContents(element);
+    window.getSelection().removeAllRanges();
+    window.getSelection().addRange(range);
+
+    const data = {};
+    const event = new window.Event('copy', { bubbles: true, cancelable: true });
+    event.clipboardData = { setData: (type, value) => { data[type] = value; } };
+    element.dispatchEvent(event);
+    return { data, prevented: event.defaultPrevented };
+}
+
+test('text copied from the region gets a citation, other text is left alone', async () => {
+    const { window, protection } = await unlock({ copyCitation: 'Source: {url}' });
+
+    const copied = copy(window, window.document.querySelector('#protectedContent p'));
+    assert.ok(copied.prevented);
+    assert.strictEqual(copied.data['text/plain'], 'Secret findings\n\nSource: http://localhost/page.html');
+    assert.strictEqual(copied.data['text/html'], 'Secret findings<p>Source: http://localhost/page.html</p>');
+
+    const outside = copy(window, window.document.getElementById('outside'));
+    assert.ok(!outside.prevented);
+    assert.deepStrictEqual(Object.keys(outside.data), []);
+    protection.destroy();
+});
+
+test('the print footer and image protection are set up, and removed on destroy', async () => {
+    const { window, protection } = await unlock();
+    const content = window.document.getElementById('protectedContent');
+    const notice = content.nextElementSibling;
+    assert.strictEqual(notice.className, 'multiaxis-print-notice');
+    assert.match(notice.textContent, /^Printed from http:\/\/localhost\/page\.html\./);
+
+    const drag = new window.Event('dragstart', { bubbles: true, cancelable: true });
+    content.querySelector('img').dispatchEvent(drag);
+    assert.ok(drag.defaultPrevented);
+
+    protection.destroy();
+    assert.strictEqual(content.nextElementSibling, null);
+    assert.ok(!content.classList.contains('multiaxis-copy-protected'));
+});
+
+test('print: notice hides the region and blockSelection disables selecting', async () => {
+    const { window, protection } = await unlock({ copyProtection: { print: 'notice', blockSelection: true, blockContextMenu: true } });
+    const content = window.document.getElementById('protectedContent');
+    assert.ok(content.classList.contains('multiaxis-print-hidden'));
+    assert.ok(content.classList.contains('multiaxis-no-select'));
+
+    const menu = new window.Event('contextmenu', { bubbles: true, cancelable: true });
+    content.dispatchEvent(menu);
+    assert.ok(menu.defaultPrevented);
+    protection.destroy();
+});
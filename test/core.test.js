@@ -0,0 +1,19 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, waitFor, answer, acceptTerms } = require('./helpers');
+
+test('challenge, then Safe Harbor terms, then the content', async () => {
+    const window = load();
+    const protection = window.MultiaxisProtection.init();
+    await waitFor(() => protection.getState().status === 'challenge');
+
+    await answer(window, 'multiaxis');
+    assert.strictEqual(protection.getState().status, 'terms');
+
+    await acceptTerms(window);
+    assert.strictEqual(protection.getState().status, 'unlocked');
+    assert.ok(window.document.getElementById('protectedContent').classList.contains('authorized'));
+    protection.destroy();
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, serve, sleep } = require('./helpers');
+const { loadAgents, createRobotsTxt, createAiTxt, matchAiCrawler } = require('../protection-crawler-policy');
+const { createProtectionMiddleware } = require('../protection-server');
+
+// Fetch a page through the middleware with the given User-Agent
+async function fetchThrough(options, userAgent) {
+    const server = await serve(options);
+    try {
+        const response = await fetch(server.url + '/page.html', { headers: { 'User-Agent': userAgent } });
+        return { status: response.status, headers: response.headers, body: await response.text() };
+    } finally {
+        await server.close();
+    }
+}
+
+test('the bundled agent list loads and matches crawler user agents', () => {
+    const agents = loadAgents();
+    assert.ok(agents.length > 10);
+    assert.strictEqual(matchAiCrawler('Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; GPTBot/1.2; +https://openai.com/gptbot)', agents).token, 'GPTBot');
+    assert.strictEqual(matchAiCrawler('Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/124.0 Safari/537.36', agents), null);
+    // robots.txt-only tokens never appear in a User-Agent header
+    assert.strictEqual(matchAiCrawler('Google-Extended', agents), null);
+});
+
+test('robots.txt and ai.txt list every agent', () => {
+    const agents = [{ token: 'GPTBot' }, { token: 'CCBot' }];
+    assert.strictEqual(createRobotsTxt(agents, { trap: '/multiaxis/trap' }),
+        '# AI crawler rules generated by protection-crawler-policy.js\n' +
+        'User-agent: GPTBot\nUser-agent: CCBot\nDisallow: /\n\n' +
+        'User-agent: *\nDisallow: /multiaxis/trap\n');
+    assert.match(createRobotsTxt(agents, { disallow: ['/articles/', '/reports/'] }), /Disallow: \/articles\/\nDisallow: \/reports\/\n$/);
+    assert.match(createAiTxt(agents), /User-agent: CCBot\nDisallow: \/\n\nUser-agent: \*\nDisallow: \/\n$/);
+});
+
+test('crawlerPolicy adds the robots meta tag and data-nosnippet until destroy', async () => {
+    const window = load();
+    const protection = window.MultiaxisProtection.init({ crawlerPolicy: true });
+    await sleep(50);
+    const meta = window.document.head.querySelector('meta[name="robots"]');
+    const region = window.document.getElementById('protectedContent');
+    assert.strictEqual(meta.content, 'noai, noimageai, noarchive');
+    assert.ok(region.hasAttribute('data-nosnippet'));
+
+    protection.destroy();
+    assert.strictEqual(window.document.head.querySelector('meta[name="robots"]'), null);
+    assert.ok(!region.hasAttribute('data-nosnippet'));
+});
+
+test('crawlerPolicy settings choose the directives', async () => {
+    const window = load();
+    const protection = window.MultiaxisProtection.init({ crawlerPolicy: { meta: ['noai'], nosnippet: false } });
+    await sleep(50);
+    assert.strictEqual(window.document.head.querySelector('meta[name="robots"]').content, 'noai');
+    assert.ok(!window.document.getElementById('protectedContent').hasAttribute('data-nosnippet'));
+    protection.destroy();
+});
+
+test('the server blocks or fools AI crawlers and serves browsers as before', async () => {
+    const crawler = 'Mozilla/5.0 (compatible; ClaudeBot/1.0; +claudebot@anthropic.com)';
+    const browser = 'Mozilla/5.0 (X11; Linux x86_64) Firefox/128.0';
+    const seen = [];
+
+    const blocked = await fetchThrough({ aiCrawlers: 'block', onAiCrawler: (req, agent) => seen.push(agent.token) }, crawler);
+    assert.strictEqual(blocked.status, 403);
+    assert.deepStrictEqual(seen, ['ClaudeBot']);
+
+    const decoy = await fetchThrough({ aiCrawlers: 'decoy', decoyHtml: '<p>Decoy</p>' }, crawler);
+    assert.strictEqual(decoy.status, 200);
+    assert.strictEqual(decoy.body, '<p>Decoy</p>');
+
+    const gated = await fetchThrough({ aiCrawlers: 'block', robotsTag: 'noai, noimageai' }, browser);
+    assert.strictEqual(gated.status, 200);
+    assert.strictEqual(gated.headers.get('x-robots-tag'), 'noai, noimageai');
+    assert.match(gated.body, /data-multiaxis-gated><\/div>/);
+
+    const off = await fetchThrough({}, crawler);
+    assert.strictEqual(off.status, 200);
+    assert.throws(() => createProtectionMiddleware({ secret: 's', aiCrawlers: 'tarpit' }), /aiCrawlers/);
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { encryptHtml } = require('../protection-encrypt');
+const { load, createSharedStorage, waitFor, answer, acceptTerms } = require('./helpers');
+
+const page = '<!DOCTYPE html><html><body><div id="protectedContent"><p>Secret report</p></div></body></html>';
+
+function isDecrypted(window) {
+    return window.document.getElementById('protectedContent').innerHTML === '<p>Secret report</p>';
+}
+
+test('split mode keeps the key out of storage and derives it again after a reload', async () => {
+    const encrypted = encryptHtml(page, { keyMode: 'split' });
+    const storage = createSharedStorage();
+    const config = { encryptedContent: true, decryptionKeyShare: encrypted.keyShare, enableSafeHarbor: false, storage: storage };
+
+    const window = load(encrypted.html);
+    const protection = window.MultiaxisProtection.init(config);
+    await waitFor(() => protection.getState().status === 'challenge');
+    await answer(window, 'multiaxis');
+    await waitFor(() => protection.getState().status === 'unlocked');
+    assert.ok(isDecrypted(window));
+    assert.deepStrictEqual(Object.keys(storage.entries), ['multiaxis_protection']);
+    protection.destroy();
+
+    const reloaded = load(encrypted.html);
+    const again = reloaded.MultiaxisProtection.init(config);
+    await waitFor(() => again.getState().status === 'unlocked');
+    assert.ok(isDecrypted(reloaded));
+    again.destroy();
+});
+
+test('answer mode asks for the answer again after a reload', async () => {
+    const encrypted = encryptHtml(page, { iterations: 1000 });
+    const storage = createSharedStorage();
+    const config = { encryptedContent: true, storage: storage };
+
+    const window = load(encrypted.html);
+    const protection = window.MultiaxisProtection.init(config);
+    await waitFor(() => protection.getState().status === 'challenge');
+    await answer(window, 'multiaxis');
+    await waitFor(() => protection.getState().status === 'terms');
+    await acceptTerms(window);
+    await waitFor(() => protection.getState().status === 'unlocked');
+    assert.ok(isDecrypted(window));
+    assert.ok(!Object.keys(storage.entries).some(key => /contentkey/.test(key)));
+    protection.destroy();
+
+    const reloaded = load(encrypted.html);
+    const expired = [];
+    reloaded.MultiaxisProtection.on('expired', event => expired.push(event.reason));
+    const again = reloaded.MultiaxisProtection.init(config);
+    await waitFor(() => expired.length > 0);
+    assert.deepStrictEqual(expired, ['content']);
+    assert.strictEqual(again.getState().status, 'challenge');
+    assert.strictEqual(again.getState().termsAccepted, true);
+
+    await answer(reloaded, 'multiaxis');
+    await waitFor(() => again.getState().status === 'unlocked');
+    assert.ok(isDecrypted(reloaded));
+    again.destroy();
+});
+
+test('a malformed key share goes straight to the decryption failure path', async () => {
+    const encrypted = encryptHtml(page, { keyMode: 'split' });
+    const window = load(encrypted.html);
+    const P = window.MultiaxisProtection;
+    const events = [];
+    ['expired', 'verified', 'failed', 'termsShown'].forEach(name => P.on(name, event => events.push(event.type + (event.reason ? ':' + event.reason : ''))));
+    const protection = P.init({ encryptedContent: true, decryptionKeyShare: 'not a key share!' });
+    await waitFor(() => protection.getState().status === 'challenge');
+
+    await answer(window, 'multiaxis');
+    await waitFor(() => events.length > 0);
+    assert.deepStrictEqual(events, ['expired:content']);
+    assert.strictEqual(protection.getState().status, 'challenge');
+    assert.strictEqual(protection.getState().verified, false);
+    assert.ok(window.logs.some(line => line.includes('Invalid decryptionKeyShare')));
+    assert.ok(!isDecrypted(window));
+    protection.destroy();
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, waitFor, answer } = require('./helpers');
+
+async function unlock(html, config) {
+    const window = load(html);
+    const expired = [];
+    window.MultiaxisProtection.on('expired', event => expired.push(event));
+    const protection = window.MultiaxisProtection.init({ enableSafeHarbor: false, ...config });
+    await waitFor(() => protection.getState().status === 'challenge');
+    await answer(window, 'multiaxis');
+    await waitFor(() => protection.getState().status === 'unlocked');
+    return { window, protection, expired };
+}
+
+test('expired sections get their own action, and current ones are left alone', async () => {
+    const html = '<!DOCTYPE html><html><body><div id="protectedContent">' +
+        '<section id="old" data-valid-until="2020-06-30">Q2 pricing</section>' +
+        '<section id="offer" data-valid-until="2020-03-31" data-expired-action="hide">Launch offer</section>' +
+        '<section id="current" data-valid-until="2999-01-01">Roadmap</section>' +
+        '</div></body></html>';
+    const reported = [];
+    const { window, protection, expired } = await unlock(html, { onExpired: sections => reported.push(sections) });
+    const old = window.document.getElementById('old');
+
+    // The default action is a banner
+    assert.strictEqual(old.previousElementSibling.className, 'multiaxis-expired-banner');
+    assert.match(old.previousElementSibling.textContent, /expired on .*2020/);
+    assert.strictEqual(window.document.getElementById('offer').style.getPropertyValue('display'), 'none');
+    assert.strictEqual(window.document.getElementById('current').previousElementSibling.id, 'offer');
+
+    assert.strictEqual(reported.length, 1);
+    assert.deepStrictEqual(Array.from(reported[0], section => section.element.id + ':' + section.action), ['old:banner', 'offer:hide']);
+    assert.strictEqual(expired.length, 1);
+    assert.strictEqual(expired[0].reason, 'outdated');
+
+    // Locking the content again undoes the actions
+    protection.reset();
+    assert.strictEqual(window.document.querySelector('.multiaxis-expired-banner'), null);
+    assert.strictEqual(window.document.getElementById('offer').style.getPropertyValue('display'), '');
+    protection.destroy();
+});
+
+test('a blurred region can be revealed', async () => {
+    const { window, protection } = await unlock(undefined, { contentValidUntil: '2020-12-31', expiredContentAction: 'blur' });
+    const content = window.document.getElementById('protectedContent');
+    assert.strictEqual(content.style.getPropertyValue('filter'), 'blur(6px)');
+    assert.strictEqual(content.getAttribute('aria-hidden'), 'true');
+
+    content.previousElementSibling.querySelector('.multiaxis-expired-show').click();
+    assert.strictEqual(content.style.getPropertyValue('filter'), '');
+    assert.strictEqual(content.getAttribute('aria-hidden'), null);
+    assert.strictEqual(window.document.querySelector('.multiaxis-expired-interstitial'), null);
+    protection.destroy();
+});
+
+test('a section that expires while the page is open is marked then', async () => {
+    const soon = new Date(Date.now() + 300).toISOString();
+    const html = '<!DOCTYPE html><html><body><div id="protectedContent">' +
+        '<section id="soon" data-valid-until="' + soon + '">Flash sale</section></div></body></html>';
+    const { window, protection, expired } = await unlock(html);
+    assert.strictEqual(expired.length, 0);
+
+    await waitFor(() => expired.length === 1, 3000);
+    assert.ok(window.document.getElementById('soon').previousElementSibling.classList.contains('multiaxis-expired-banner'));
+    protection.destroy();
+});
@@ -0,0 +1,112 @@
+/**
+ * Test helpers - load protection.js into a jsdom window
+ */
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { createProtectionMiddleware } = require('../protection-server');
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'protection.js'), 'utf8');
+
+// A page with a protected region, unless other markup is given
+const defaultHtml = '<!DOCTYPE html><html><body><div id="protectedContent"><p>Secret</p></div></body></html>';
+
+// Serve defaultHtml through the server middleware on a free port. Call close() when done
+async function serve(options = {}) {
+    const protect = createProtectionMiddleware({ secret: 'test-secret', ...options });
+    const server = http.createServer((req, res) => protect(req, res, () => {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(defaultHtml);
+    }));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: 'http://127.0.0.1:' + server.address().port,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+// Load the module into a fresh window. Console output is collected in window.logs
+function load(html = defaultHtml, options = {}) {
+    const virtualConsole = new VirtualConsole();
+    const dom = new JSDOM(html, {
+        url: options.url || 'http://localhost/page.html',
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole: virtualConsole
+    });
+    const window = dom.window;
+    window.logs = [];
+    ['log', 'warn', 'error'].forEach(level => {
+        virtualConsole.on(level, (...args) => window.logs.push(level + ': ' + args.map(String).join(' ')));
+    });
+
+    Object.defineProperty(window, 'crypto', { value: require('crypto').webcrypto });
+    window.TextEncoder = TextEncoder;
+    window.TextDecoder = TextDecoder;
+    window.fetch = options.fetch || (() => Promise.reject(new Error('No network in tests')));
+    if (options.before) {
+        options.before(window);
+    }
+
+    window.eval(source + ';window.MultiaxisProtection = MultiaxisProtection;');
+    return window;
+}
+
+// Storage adapter shared between windows, to test what survives a reload
+function createSharedStorage() {
+    const entries = {};
+    return {
+        entries: entries,
+        getItem: key => (key in entries ? entries[key] : null),
+        setItem: (key, value) => {
+            entries[key] = String(value);
+        },
+        removeItem: key => {
+            delete entries[key];
+        }
+    };
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Wait until a condition holds, polling every 10ms
+async function waitFor(condition, timeout = 2000) {
+    const end = Date.now() + timeout;
+    while (!condition()) {
+        if (Date.now() > end) {
+            throw new Error('Timed out waiting for ' + condition);
+        }
+        await sleep(10);
+    }
+}
+
+// Type an answer into an instance's challenge and submit it
+async function answer(window, value, suffix = '') {
+    window.document.getElementById('protectionInput' + suffix).value = value;
+    window.document.getElementById('protectionSubmit' + suffix).click();
+    await sleep(30);
+}
+
+// Tick the Safe Harbor checkbox and accept
+async function acceptTerms(window, suffix = '') {
+    window.document.getElementById('safeHarborCheckbox' + suffix).click();
+    window.document.getElementById('safeHarborAccept' + suffix).click();
+    await sleep(30);
+}
+
+module.exports = {
+    load,
+    serve,
+    createSharedStorage,
+    sleep,
+    waitFor,
+    answer,
+    acceptTerms
+};
@@ -0,0 +1,54 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, waitFor } = require('./helpers');
+
+function page(lang) {
+    return '<!DOCTYPE html><html lang="' + lang + '"><body><div id="protectedContent"><p>Secret</p></div></body></html>';
+}
+
+async function open(window, options) {
+    const protection = window.MultiaxisProtection.init(options);
+    await waitFor(() => window.document.getElementById('protectionModal'));
+    return protection;
+}
+
+test('the locale comes from the page language', async () => {
+    const window = load(page('es-MX'));
+    const protection = await open(window);
+    const modal = window.document.getElementById('protectionModal');
+    assert.strictEqual(modal.lang, 'es-MX');
+    assert.strictEqual(modal.dir, 'ltr');
+    assert.strictEqual(modal.querySelector('.protection-title span:last-child').textContent, 'Contenido protegido');
+    assert.strictEqual(modal.querySelector('.protection-submit').textContent.trim(), 'Verificar y acceder');
+    protection.destroy();
+});
+
+test('right-to-left languages render right to left', async () => {
+    const window = load(page('ar'));
+    const protection = await open(window);
+    const modal = window.document.getElementById('protectionModal');
+    assert.strictEqual(modal.dir, 'rtl');
+    assert.strictEqual(modal.querySelector('.protection-title span:last-child').textContent, 'محتوى محمي');
+    protection.destroy();
+});
+
+test('unknown languages and missing messages fall back to English', async () => {
+    const window = load(page('pt-BR'));
+    window.MultiaxisProtection.registerLocale('pt', { title: 'Conteúdo protegido' });
+    const protection = await open(window);
+    const modal = window.document.getElementById('protectionModal');
+    assert.strictEqual(modal.querySelector('.protection-title span:last-child').textContent, 'Conteúdo protegido');
+    assert.strictEqual(modal.querySelector('.protection-submit').textContent.trim(), 'Verify & Access');
+    protection.destroy();
+});
+
+test('the messages option and direct text override the bundle', async () => {
+    const window = load(page('fr'));
+    const protection = await open(window, { messages: { submitButton: 'Continuer' }, title: 'Accès réservé' });
+    const modal = window.document.getElementById('protectionModal');
+    assert.strictEqual(modal.querySelector('.protection-title span:last-child').textContent, 'Accès réservé');
+    assert.strictEqual(modal.querySelector('.protection-submit').textContent.trim(), 'Continuer');
+    protection.destroy();
+});
@@ -0,0 +1,42 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, waitFor, answer } = require('./helpers');
+
+const page = '<!DOCTYPE html><html><body>' +
+    '<div id="whitepaper"><p>Whitepaper</p></div>' +
+    '<div id="pricing"><p>Pricing</p></div>' +
+    '</body></html>';
+
+test('instances protect their own regions with their own IDs and storage keys', async () => {
+    const window = load(page);
+    const P = window.MultiaxisProtection;
+    const whitepaper = P.create({ protectedContentId: 'whitepaper', enableSafeHarbor: false, title: 'Protected Whitepaper' });
+    const pricing = P.create({ protectedContentId: 'pricing', enableSafeHarbor: false, title: 'Partner Pricing' });
+    await waitFor(() => whitepaper.getState().status === 'challenge' && pricing.getState().status === 'challenge');
+
+    assert.ok(window.document.getElementById('protectionModal'));
+    assert.ok(window.document.getElementById('protectionModal_2'));
+    assert.match(window.document.querySelector('#protectionModal_2 .protection-title').textContent, /Partner Pricing/);
+
+    await answer(window, 'multiaxis', '_2');
+    await waitFor(() => pricing.getState().status === 'unlocked');
+    assert.ok(window.document.getElementById('pricing').classList.contains('authorized'));
+    assert.ok(!window.document.getElementById('whitepaper').classList.contains('authorized'));
+    assert.strictEqual(whitepaper.getState().status, 'challenge');
+    assert.deepStrictEqual(Object.keys(window.sessionStorage), ['multiaxis_protection_2']);
+
+    whitepaper.destroy();
+    pricing.destroy();
+});
+
+test('two live instances with the same sessionKey get a warning', async () => {
+    const window = load(page);
+    const P = window.MultiaxisProtection;
+    const first = P.create({ protectedContentId: 'whitepaper', sessionKey: 'shared' });
+    const second = P.create({ protectedContentId: 'pricing', sessionKey: 'shared' });
+    assert.ok(window.logs.some(line => line.startsWith('warn:') && line.includes('shared')));
+    first.destroy();
+    second.destroy();
+});
@@ -0,0 +1,58 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, createSharedStorage, sleep, waitFor, answer } = require('./helpers');
+
+test('listeners and whenUnlocked() from before init() carry over to the instance', async () => {
+    const window = load();
+    const P = window.MultiaxisProtection;
+    const events = [];
+    const removed = () => events.push('removed');
+    P.on('challengeShown', event => events.push(event.type));
+    P.on('verified', event => events.push(event.type));
+    P.on('verified', removed);
+    P.off('verified', removed);
+    const unlocked = P.whenUnlocked();
+    assert.strictEqual(P.whenUnlocked(), unlocked);
+
+    P.init({ enableSafeHarbor: false });
+    await waitFor(() => events.length > 0);
+    await answer(window, 'multiaxis');
+    const state = await unlocked;
+    assert.strictEqual(state.status, 'unlocked');
+    assert.deepStrictEqual(events, ['challengeShown', 'verified']);
+    P.destroy();
+});
+
+test('whenUnlocked() from before init() rejects if that instance is destroyed first', async () => {
+    const window = load();
+    const P = window.MultiaxisProtection;
+    const unlocked = P.whenUnlocked();
+    P.init();
+    P.destroy();
+    await assert.rejects(unlocked, /destroyed/);
+});
+
+test('getState() leaves expired entries alone and fires nothing', async () => {
+    const storage = createSharedStorage();
+    const window = load();
+    const protection = window.MultiaxisProtection.create({ storage: storage, verificationDaysValid: 30, safeHarborDaysValid: 30 });
+    const expired = [];
+    protection.on('expired', event => expired.push(event.reason));
+    await waitFor(() => protection.getState().status === 'challenge');
+
+    // Entries that ran out while the page was open
+    const old = Date.now() - 100 * 24 * 60 * 60 * 1000;
+    storage.setItem('multiaxis_protection', JSON.stringify({ value: 'granted', issuedAt: old }));
+    storage.setItem('multiaxis_protection_safeharbor', JSON.stringify({ value: { status: 'accepted', version: null }, issuedAt: old }));
+
+    const state = protection.getState();
+    assert.strictEqual(state.verified, false);
+    assert.strictEqual(state.termsAccepted, false);
+    await sleep(20);
+    assert.ok(storage.getItem('multiaxis_protection') !== null);
+    assert.ok(storage.getItem('multiaxis_protection_safeharbor') !== null);
+    assert.deepStrictEqual(expired, []);
+    protection.destroy();
+});
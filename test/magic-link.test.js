@@ -0,0 +1,63 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { load, waitFor } = require('./helpers');
+const { generateKeyPair, createMagicLink } = require('../protection-magic-link');
+
+const keys = generateKeyPair();
+const privateKey = crypto.createPrivateKey(keys.privateKey);
+
+function open(url, config) {
+    const window = load(undefined, { url: url });
+    const verified = [];
+    window.MultiaxisProtection.on('verified', event => verified.push(event));
+    const protection = window.MultiaxisProtection.init({
+        enableSafeHarbor: false,
+        sessionKey: 'whitepaper_access',
+        magicLinkKey: keys.publicKey,
+        ...config
+    });
+    return { window, protection, verified };
+}
+
+test('a signed link skips the challenge and is removed from the address bar', async () => {
+    const link = createMagicLink('http://localhost/whitepaper.html#intro', privateKey, {
+        sessionKey: 'whitepaper_access',
+        recipient: 'alice@acme.com'
+    });
+    assert.match(link, /#intro&multiaxis_token=[\w-]+\.[\w-]+$/);
+
+    const { window, protection, verified } = open(link);
+    await waitFor(() => protection.getState().status === 'unlocked');
+    assert.strictEqual(protection.getState().recipient, 'alice@acme.com');
+    assert.strictEqual(verified.length, 1);
+    assert.strictEqual(window.location.href, 'http://localhost/whitepaper.html#intro');
+    protection.destroy();
+});
+
+test('links for another page, expired links and forged links show the challenge', async () => {
+    const other = generateKeyPair();
+    const links = [
+        createMagicLink('http://localhost/page.html', privateKey, { sessionKey: 'other_page' }),
+        createMagicLink('http://localhost/page.html', privateKey, { sessionKey: 'whitepaper_access', days: -1 }),
+        createMagicLink('http://localhost/page.html', crypto.createPrivateKey(other.privateKey), { sessionKey: 'whitepaper_access', query: true })
+    ];
+
+    for (const link of links) {
+        const { window, protection } = open(link);
+        await waitFor(() => protection.getState().status === 'challenge');
+        assert.strictEqual(protection.getState().recipient, null);
+        assert.ok(window.logs.some(entry => entry.startsWith('warn:')));
+        assert.ok(!window.location.href.includes('multiaxis_token'));
+        protection.destroy();
+    }
+});
+
+test('magicLinkKey without a sessionKey warns that links work on every page', () => {
+    const window = load();
+    const protection = window.MultiaxisProtection.init({ enableSafeHarbor: false, magicLinkKey: keys.publicKey });
+    assert.ok(window.logs.some(entry => entry.startsWith('warn:') && entry.includes('sessionKey')));
+    protection.destroy();
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, waitFor } = require('./helpers');
+
+// Give the window a Worker that never runs the solver, and blob URLs for its script
+function withWorker(behaviour) {
+    return window => {
+        window.workers = [];
+        window.URL.createObjectURL = () => 'blob:worker';
+        window.URL.revokeObjectURL = () => {};
+        window.Worker = class {
+            constructor() {
+                this.terminated = false;
+                window.workers.push(this);
+            }
+            postMessage() {
+                behaviour(this);
+            }
+            terminate() {
+                this.terminated = true;
+            }
+        };
+    };
+}
+
+async function solvesWith(behaviour, challenge = {}) {
+    const window = load(undefined, { before: withWorker(behaviour) });
+    const protection = window.MultiaxisProtection.init({
+        enableSafeHarbor: false,
+        challenge: { type: 'proofOfWork', difficulty: 4, ...challenge }
+    });
+    await waitFor(() => protection.getState().status === 'unlocked', 3000);
+    assert.strictEqual(window.workers.length, 1);
+    assert.ok(window.workers[0].terminated);
+    protection.destroy();
+    return window;
+}
+
+test('a worker error falls back to the main-thread solver', async () => {
+    await solvesWith(worker => setTimeout(() => worker.onerror(new Event('error')), 10));
+});
+
+test('a worker message error falls back to the main-thread solver', async () => {
+    await solvesWith(worker => setTimeout(() => worker.onmessageerror(new Event('messageerror')), 10));
+});
+
+test('a worker that never answers is replaced after workerTimeout', async () => {
+    const window = await solvesWith(() => {}, { workerTimeout: 100 });
+    assert.ok(window.logs.some(line => line.includes('stopped responding')));
+});
+
+test('without Worker support the puzzle is solved on the main thread', async () => {
+    const window = load();
+    const protection = window.MultiaxisProtection.init({
+        enableSafeHarbor: false,
+        challenge: { type: 'proofOfWork', difficulty: 4 }
+    });
+    await waitFor(() => protection.getState().status === 'unlocked', 3000);
+    protection.destroy();
+});
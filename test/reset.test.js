@@ -0,0 +1,23 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, createSharedStorage, waitFor, answer, acceptTerms } = require('./helpers');
+
+test('reset() forgets the verification, the acceptance and the consent receipt', async () => {
+    const storage = createSharedStorage();
+    const window = load();
+    const protection = window.MultiaxisProtection.init({ storage: storage });
+    await waitFor(() => protection.getState().status === 'challenge');
+    await answer(window, 'multiaxis');
+    await acceptTerms(window);
+    assert.strictEqual(protection.getState().status, 'unlocked');
+    assert.ok(protection.getConsentReceipt());
+    assert.ok(storage.getItem('multiaxis_protection_safeharbor_receipt') !== null);
+
+    protection.reset();
+    assert.strictEqual(protection.getConsentReceipt(), null);
+    assert.deepStrictEqual(Object.keys(storage.entries), []);
+    await waitFor(() => protection.getState().status === 'challenge');
+    protection.destroy();
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, waitFor, answer } = require('./helpers');
+
+// A browser driven by automation
+function webdriver(window) {
+    Object.defineProperty(window.navigator, 'webdriver', { value: true, configurable: true });
+}
+
+test('the risk score is passed to beforeCheck and onSuccess', async () => {
+    const window = load(undefined, { before: webdriver });
+    const seen = [];
+    const protection = window.MultiaxisProtection.init({
+        enableSafeHarbor: false,
+        beforeCheck: (value, risk) => seen.push(['beforeCheck', risk]),
+        onSuccess: risk => seen.push(['onSuccess', risk])
+    });
+    await waitFor(() => protection.getState().status === 'challenge');
+    await answer(window, 'multiaxis');
+    await waitFor(() => protection.getState().status === 'unlocked');
+
+    assert.deepStrictEqual(seen.map(entry => entry[0]), ['beforeCheck', 'onSuccess']);
+    const risk = seen[0][1];
+    assert.ok(risk.reasons.includes('webdriver'));
+    assert.ok(risk.reasons.includes('answer-without-keystrokes'));
+    assert.ok(risk.score >= 50 && risk.score <= 100);
+    assert.strictEqual(typeof risk.signals, 'object');
+    protection.destroy();
+});
+
+test('riskAction block refuses access above the threshold', async () => {
+    const window = load(undefined, { before: webdriver });
+    const failed = [];
+    const protection = window.MultiaxisProtection.init({ enableSafeHarbor: false, riskThreshold: 60, riskAction: 'block' });
+    protection.on('failed', event => failed.push(event.reason));
+    await waitFor(() => protection.getState().status === 'challenge');
+    await answer(window, 'multiaxis');
+
+    assert.deepStrictEqual(failed, ['blocked']);
+    assert.notStrictEqual(protection.getState().status, 'unlocked');
+    assert.strictEqual(protection.getState().verified, false);
+    protection.destroy();
+});
+
+test('riskAction escalate swaps in the harder challenge', async () => {
+    const window = load(undefined, { before: webdriver });
+    const shown = [];
+    const protection = window.MultiaxisProtection.init({
+        enableSafeHarbor: false,
+        riskThreshold: 60,
+        riskAction: 'escalate',
+        escalateChallenge: 'arithmetic'
+    });
+    protection.on('challengeShown', event => shown.push(event.challenge + (event.reason ? ':' + event.reason : '')));
+    await waitFor(() => shown.length === 1);
+    await answer(window, 'multiaxis');
+
+    await waitFor(() => shown.length === 2);
+    assert.deepStrictEqual(shown, ['word', 'arithmetic:escalated']);
+    assert.strictEqual(protection.getState().escalated, true);
+    assert.strictEqual(protection.getState().challenge, 'arithmetic');
+    protection.destroy();
+});
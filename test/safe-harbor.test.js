@@ -0,0 +1,69 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, waitFor, answer } = require('./helpers');
+
+async function showTerms(window, config) {
+    const protection = window.MultiaxisProtection.init(config);
+    await waitFor(() => protection.getState().status === 'challenge');
+    await answer(window, 'multiaxis');
+    await waitFor(() => protection.getState().status === 'terms');
+    return protection;
+}
+
+test('the modals use no inline handlers or style attributes, and styles carry the nonce', async () => {
+    const window = load();
+    const protection = await showTerms(window, { cspNonce: 'r4nd0m' });
+    const inline = Array.from(window.document.body.querySelectorAll('*')).filter(element =>
+        Array.from(element.attributes).some(attribute => attribute.name === 'style' || attribute.name.startsWith('on')));
+    assert.deepStrictEqual(inline.map(element => element.outerHTML), []);
+
+    const styles = Array.from(window.document.querySelectorAll('style'));
+    assert.ok(styles.length > 0);
+    assert.ok(styles.every(style => style.nonce === 'r4nd0m' || style.getAttribute('nonce') === 'r4nd0m'));
+    protection.destroy();
+});
+
+test('the accept button waits for the checkbox, then calls onSafeHarborAccept', async () => {
+    const window = load();
+    const accepted = [];
+    const protection = await showTerms(window, { onSafeHarborAccept: receipt => accepted.push(receipt) });
+    const accept = window.document.getElementById('safeHarborAccept');
+    assert.strictEqual(accept.disabled, true);
+
+    window.document.getElementById('safeHarborCheckbox').click();
+    assert.strictEqual(accept.disabled, false);
+    accept.click();
+    await waitFor(() => accepted.length === 1);
+    assert.strictEqual(protection.getState().status, 'unlocked');
+    protection.destroy();
+});
+
+test('declining with the stay action forgets the verification and calls onSafeHarborDecline', async () => {
+    const window = load();
+    const declined = [];
+    const protection = await showTerms(window, {
+        safeHarborDeclineAction: 'stay',
+        onSafeHarborDecline: () => declined.push('callback')
+    });
+    protection.on('declined', event => declined.push(event.action));
+
+    window.document.getElementById('safeHarborDecline').click();
+    await waitFor(() => declined.length === 2);
+    assert.deepStrictEqual(declined, ['callback', 'stay']);
+    assert.strictEqual(protection.getState().status, 'challenge');
+    assert.strictEqual(protection.getState().verified, false);
+    assert.strictEqual(window.sessionStorage.length, 0);
+    protection.destroy();
+});
+
+test('a decline action function takes over', async () => {
+    const window = load();
+    let called = 0;
+    const protection = await showTerms(window, { safeHarborDeclineAction: () => called++ });
+    window.document.getElementById('safeHarborDecline').click();
+    assert.strictEqual(called, 1);
+    assert.strictEqual(window.location.href, 'http://localhost/page.html');
+    protection.destroy();
+});
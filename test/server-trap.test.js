@@ -0,0 +1,90 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { serve } = require('./helpers');
+
+const scraper = 'python-requests/2.32';
+const browser = 'Mozilla/5.0 (X11; Linux x86_64) Firefox/128.0';
+
+function get(server, path, userAgent, cookie) {
+    const headers = { 'User-Agent': userAgent };
+    if (cookie) {
+        headers.Cookie = cookie;
+    }
+    return fetch(server.url + path, { headers: headers });
+}
+
+test('fetching the trap path blocks the client on every page', async () => {
+    const reports = [];
+    const server = await serve({ onTrap: report => reports.push(report) });
+    try {
+        assert.strictEqual((await get(server, '/page.html', scraper)).status, 200);
+
+        const trapped = await get(server, '/multiaxis/trap', scraper);
+        assert.strictEqual(trapped.status, 403);
+        assert.match(trapped.headers.get('set-cookie'), /^multiaxis_trapped=[^;]+; Path=\/; Max-Age=86400; HttpOnly/);
+        assert.strictEqual(reports.length, 1);
+        assert.strictEqual(reports[0].userAgent, scraper);
+
+        // Blocked by the deny list without the cookie, and from the verify endpoint too
+        assert.strictEqual((await get(server, '/page.html', scraper)).status, 403);
+        const verify = await fetch(server.url + '/multiaxis/verify', {
+            method: 'POST',
+            headers: { 'User-Agent': scraper, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ answer: 'multiaxis' })
+        });
+        assert.strictEqual(verify.status, 403);
+
+        // Blocked by the cookie with another User-Agent, while other clients get through
+        const cookie = trapped.headers.get('set-cookie').split(';')[0];
+        assert.strictEqual((await get(server, '/page.html', browser, cookie)).status, 403);
+        assert.strictEqual((await get(server, '/page.html', browser)).status, 200);
+    } finally {
+        await server.close();
+    }
+});
+
+test('the trap cookie is not a verification token, and forged cookies are ignored', async () => {
+    const server = await serve();
+    try {
+        const trapped = await get(server, '/multiaxis/trap', scraper);
+        const value = trapped.headers.get('set-cookie').split(';')[0].split('=')[1];
+
+        const asToken = await get(server, '/page.html', browser, 'multiaxis_token=' + value);
+        assert.strictEqual(asToken.status, 200);
+        assert.match(await asToken.text(), /data-multiaxis-gated><\/div>/);
+
+        const forged = await get(server, '/page.html', browser, 'multiaxis_trapped=' + value.split('.')[0] + '.forged');
+        assert.strictEqual(forged.status, 200);
+    } finally {
+        await server.close();
+    }
+});
+
+test('a client trap report posted to the trap path is passed to onTrap', async () => {
+    const reports = [];
+    const server = await serve({ onTrap: report => reports.push(report) });
+    try {
+        const response = await fetch(server.url + '/multiaxis/trap', {
+            method: 'POST',
+            headers: { 'User-Agent': browser, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ reason: 'honeypot', canaryToken: 'MX-123' })
+        });
+        assert.strictEqual(response.status, 403);
+        assert.deepStrictEqual(reports[0].clientReport, { reason: 'honeypot', canaryToken: 'MX-123' });
+        assert.strictEqual((await get(server, '/page.html', browser)).status, 403);
+    } finally {
+        await server.close();
+    }
+});
+
+test('trapPath: null turns the trap route off', async () => {
+    const server = await serve({ trapPath: null });
+    try {
+        assert.strictEqual((await get(server, '/multiaxis/trap', scraper)).status, 200);
+        assert.strictEqual((await get(server, '/page.html', scraper)).status, 200);
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,106 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createToken, verifyToken } = require('../protection-server');
+const { load, serve, waitFor, answer, acceptTerms } = require('./helpers');
+
+// A window fetch that sends the page's requests to the test server, keeping its cookie like a browser would
+function createClientFetch(server) {
+    let cookie = null;
+    return (url, init = {}) => {
+        const headers = { ...(init.headers || {}) };
+        if (cookie) {
+            headers.Cookie = cookie;
+        }
+        return fetch(server.url + new URL(url, 'http://localhost/page.html').pathname, {
+            method: init.method,
+            headers: headers,
+            body: init.body
+        }).then(response => {
+            if (response.headers.get('set-cookie')) {
+                cookie = response.headers.get('set-cookie').split(';')[0];
+            }
+            return response;
+        });
+    };
+}
+
+function verify(server, answerText) {
+    return fetch(server.url + '/multiaxis/verify', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ answer: answerText })
+    });
+}
+
+test('unverified requests get the page without the protected region', async () => {
+    const server = await serve();
+    try {
+        const response = await fetch(server.url + '/page.html');
+        const html = await response.text();
+        assert.ok(!html.includes('Secret'));
+        assert.match(html, /<div id="protectedContent" data-multiaxis-gated><\/div>/);
+        assert.strictEqual(response.headers.get('cache-control'), 'private, no-store');
+        assert.strictEqual(response.headers.get('vary'), 'Cookie');
+
+        const fragment = await fetch(server.url + '/page.html', { headers: { 'X-Multiaxis-Fragment': '1' } });
+        assert.strictEqual(fragment.status, 403);
+    } finally {
+        await server.close();
+    }
+});
+
+test('the verify endpoint sets an HttpOnly token cookie for an accepted answer', async () => {
+    const server = await serve();
+    try {
+        assert.strictEqual((await verify(server, 'wrong')).status, 403);
+        assert.strictEqual((await fetch(server.url + '/multiaxis/verify')).status, 405);
+
+        const response = await verify(server, 'multiaxis llc');
+        const body = await response.json();
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(body.ok, true);
+        assert.ok(!('token' in body));
+        const cookie = response.headers.get('set-cookie');
+        assert.match(cookie, /^multiaxis_token=[^;]+; Path=\/; Max-Age=1800; HttpOnly; SameSite=Lax$/);
+
+        const headers = { Cookie: cookie.split(';')[0] };
+        assert.match(await (await fetch(server.url + '/page.html', { headers: headers })).text(), /<p>Secret<\/p>/);
+        headers['X-Multiaxis-Fragment'] = '1';
+        assert.strictEqual(await (await fetch(server.url + '/page.html', { headers: headers })).text(), '<p>Secret</p>');
+    } finally {
+        await server.close();
+    }
+});
+
+test('tokens are signed, expire and are bound to the sessionKey', () => {
+    const options = { secret: 'test-secret', sessionKey: 'report' };
+    const token = createToken('report', options);
+    assert.strictEqual(verifyToken(token, options).sk, 'report');
+    assert.strictEqual(verifyToken(token, { ...options, secret: 'other' }), null);
+    assert.strictEqual(verifyToken(token, { ...options, sessionKey: 'other' }), null);
+    assert.strictEqual(verifyToken(createToken('report', { ...options, tokenTtl: -1 }), options), null);
+    assert.strictEqual(verifyToken(token.split('.')[0] + '.', options), null);
+});
+
+test('the browser module verifies with the server and loads the gated content', async () => {
+    const server = await serve();
+    try {
+        const gated = await (await fetch(server.url + '/page.html')).text();
+        const window = load(gated, { fetch: createClientFetch(server) });
+        const protection = window.MultiaxisProtection.init({ serverVerifyUrl: '/multiaxis/verify' });
+        await waitFor(() => protection.getState().status === 'challenge');
+
+        await answer(window, 'multiaxis');
+        await waitFor(() => protection.getState().status === 'terms');
+        await acceptTerms(window);
+        await waitFor(() => protection.getState().status === 'unlocked');
+        const region = window.document.getElementById('protectedContent');
+        assert.strictEqual(region.innerHTML, '<p>Secret</p>');
+        assert.ok(!region.hasAttribute('data-multiaxis-gated'));
+        protection.destroy();
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,32 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, createSharedStorage, waitFor } = require('./helpers');
+
+test('a finished email step stores a completion flag, not the address', async () => {
+    const storage = createSharedStorage();
+    const completed = [];
+    const window = load();
+    const protection = window.MultiaxisProtection.init({
+        steps: ['email'],
+        storage: storage,
+        onStepComplete: (step, value) => completed.push([step, value])
+    });
+    await waitFor(() => protection.getState().status === 'step');
+
+    window.document.querySelector('.multiaxis-step-email').value = 'jane@acme.com';
+    window.document.querySelector('.multiaxis-step-continue').click();
+    await waitFor(() => protection.getState().status === 'unlocked');
+
+    assert.deepStrictEqual(completed, [['email', 'jane@acme.com']]);
+    assert.deepStrictEqual(JSON.parse(storage.getItem('multiaxis_protection_step_email')).value, true);
+    assert.ok(!Object.values(storage.entries).some(value => value.includes('jane@acme.com')));
+    protection.destroy();
+
+    // The flag is enough to skip the step after a reload
+    const reloaded = load();
+    const again = reloaded.MultiaxisProtection.init({ steps: ['email'], storage: storage });
+    await waitFor(() => again.getState().status === 'unlocked');
+    again.destroy();
+});
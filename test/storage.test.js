@@ -0,0 +1,68 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, createSharedStorage, waitFor, answer } = require('./helpers');
+
+const day = 24 * 60 * 60 * 1000;
+
+async function verify(window, config) {
+    const protection = window.MultiaxisProtection.init({ enableSafeHarbor: false, ...config });
+    await waitFor(() => protection.getState().status === 'challenge');
+    await answer(window, 'multiaxis');
+    await waitFor(() => protection.getState().status === 'unlocked');
+    return protection;
+}
+
+test('each storage setting keeps the verification in its own place', async () => {
+    const local = load();
+    (await verify(local, { storage: 'local' })).destroy();
+    assert.strictEqual(JSON.parse(local.localStorage.getItem('multiaxis_protection')).value, 'granted');
+    assert.strictEqual(local.sessionStorage.length, 0);
+
+    const session = load();
+    (await verify(session, {})).destroy();
+    assert.strictEqual(JSON.parse(session.sessionStorage.getItem('multiaxis_protection')).value, 'granted');
+
+    const cookie = load();
+    (await verify(cookie, { storage: 'cookie' })).destroy();
+    assert.match(cookie.document.cookie, /multiaxis_protection=%7B%22value%22%3A%22granted%22/);
+    assert.strictEqual(cookie.sessionStorage.length, 0);
+
+    const memory = load();
+    (await verify(memory, { storage: 'memory' })).destroy();
+    assert.strictEqual(memory.sessionStorage.length + memory.localStorage.length, 0);
+    assert.strictEqual(memory.document.cookie, '');
+});
+
+test('a verification older than verificationDaysValid has to be repeated', async () => {
+    const storage = createSharedStorage();
+    storage.setItem('multiaxis_protection', JSON.stringify({ value: 'granted', issuedAt: Date.now() - 6 * day }));
+    const recent = load();
+    const fresh = recent.MultiaxisProtection.init({ storage: storage, enableSafeHarbor: false, verificationDaysValid: 7 });
+    await waitFor(() => fresh.getState().status === 'unlocked');
+    fresh.destroy();
+
+    storage.setItem('multiaxis_protection', JSON.stringify({ value: 'granted', issuedAt: Date.now() - 8 * day }));
+    const window = load();
+    const expired = [];
+    window.MultiaxisProtection.on('expired', event => expired.push(event.reason));
+    const stale = window.MultiaxisProtection.init({ storage: storage, enableSafeHarbor: false, verificationDaysValid: 7 });
+    await waitFor(() => stale.getState().status === 'challenge');
+    assert.deepStrictEqual(expired, ['verification']);
+    assert.strictEqual(storage.getItem('multiaxis_protection'), null);
+    stale.destroy();
+});
+
+test('a custom adapter is used, and an incomplete one falls back to sessionStorage', async () => {
+    const storage = createSharedStorage();
+    const window = load();
+    (await verify(window, { storage: storage })).destroy();
+    assert.ok(storage.getItem('multiaxis_protection') !== null);
+    assert.strictEqual(window.sessionStorage.length, 0);
+
+    const fallback = load();
+    (await verify(fallback, { storage: { getItem: () => null } })).destroy();
+    assert.ok(fallback.logs.some(line => line.includes('falling back to "session"')));
+    assert.ok(fallback.sessionStorage.getItem('multiaxis_protection') !== null);
+});
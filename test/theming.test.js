@@ -0,0 +1,79 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, waitFor, answer } = require('./helpers');
+
+async function open(window, config) {
+    const protection = window.MultiaxisProtection.init({ enableSafeHarbor: false, ...config });
+    await waitFor(() => protection.getState().status === 'challenge');
+    return protection;
+}
+
+test('the theme is set on the modal, light by default', async () => {
+    const dark = load();
+    const night = await open(dark, { theme: 'dark' });
+    assert.strictEqual(dark.document.getElementById('protectionModal').getAttribute('data-multiaxis-theme'), 'dark');
+    night.destroy();
+
+    const auto = load();
+    const protection = await open(auto, { theme: 'auto' });
+    assert.strictEqual(auto.document.getElementById('protectionModal').getAttribute('data-multiaxis-theme'), 'auto');
+    protection.destroy();
+
+    const light = load();
+    const fallback = await open(light);
+    assert.strictEqual(light.document.getElementById('protectionModal').getAttribute('data-multiaxis-theme'), 'light');
+    fallback.destroy();
+});
+
+test('a registered brand sets the logo and color variables', async () => {
+    const window = load();
+    window.MultiaxisProtection.registerBrand('acme', {
+        logoUrl: '/img/acme.svg',
+        logoAlt: 'Acme',
+        primaryColor: '#1b3a5c',
+        variables: { radius: '6px', '--multiaxis-text': '#111' }
+    });
+    const protection = await open(window, { brand: 'acme' });
+
+    const modal = window.document.getElementById('protectionModal');
+    const logo = modal.querySelector('img.protection-logo');
+    assert.strictEqual(logo.getAttribute('src'), '/img/acme.svg');
+    assert.strictEqual(logo.alt, 'Acme');
+    assert.strictEqual(modal.style.getPropertyValue('--multiaxis-primary'), '#1b3a5c');
+    assert.strictEqual(modal.style.getPropertyValue('--multiaxis-radius'), '6px');
+    assert.strictEqual(modal.style.getPropertyValue('--multiaxis-text'), '#111');
+    protection.destroy();
+});
+
+test('custom styles are added and removed with the instance', async () => {
+    const window = load();
+    const protection = await open(window, { customStyles: '.protection-modal { --multiaxis-radius: 4px; }' });
+    const styles = () => Array.from(window.document.querySelectorAll('style')).filter(style => style.textContent.includes('--multiaxis-radius: 4px'));
+    assert.strictEqual(styles().length, 1);
+    protection.destroy();
+    assert.strictEqual(styles().length, 0);
+});
+
+test('templates replace the header and challenge, and missing parts are still added', async () => {
+    const window = load();
+    const protection = await open(window, {
+        templates: {
+            header: '<h2 id="{titleId}" class="my-title">{title}</h2><p id="{instructionId}">{instruction}</p>',
+            challenge: parts => '<div class="my-challenge">' + parts.challengeBody + parts.input + parts.submit + '</div>',
+            footer: '<div class="my-footer">{footerText}</div>'
+        }
+    });
+
+    const modal = window.document.getElementById('protectionModal');
+    assert.strictEqual(modal.querySelector('.my-title').textContent, 'Protected Content');
+    assert.strictEqual(modal.querySelector('[role="dialog"]').getAttribute('aria-labelledby'), 'protectionTitle');
+    assert.ok(modal.querySelector('.my-challenge #protectionInput'));
+    assert.ok(modal.querySelector('#protectionError'));
+    assert.ok(modal.querySelector('.my-footer'));
+
+    await answer(window, 'multiaxis');
+    await waitFor(() => protection.getState().status === 'unlocked');
+    protection.destroy();
+});
@@ -0,0 +1,75 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, createSharedStorage, waitFor, answer } = require('./helpers');
+
+async function open(config, options) {
+    const window = load(undefined, options);
+    const protection = window.MultiaxisProtection.init({ enableSafeHarbor: false, traps: true, ...config });
+    await waitFor(() => protection.getState().status === 'challenge');
+    return { window, protection };
+}
+
+test('a filled-in honeypot blocks the session and reports it', async () => {
+    const sent = [];
+    const fetch = (url, request) => {
+        sent.push({ url: url, body: JSON.parse(request.body) });
+        return Promise.resolve({ ok: true });
+    };
+    const reports = [];
+    const { window, protection } = await open({
+        trapEndpoint: '/multiaxis/trap',
+        onTrapTriggered: report => reports.push(report)
+    }, { fetch: fetch });
+
+    const honeypot = window.document.querySelector('.protection-trap input');
+    assert.strictEqual(honeypot.closest('.protection-trap').getAttribute('aria-hidden'), 'true');
+    assert.strictEqual(honeypot.tabIndex, -1);
+    honeypot.value = 'bot@example.com';
+    await answer(window, 'multiaxis');
+
+    assert.strictEqual(protection.getState().status, 'blocked');
+    assert.strictEqual(protection.getState().trapped, true);
+    assert.strictEqual(reports.length, 1);
+    assert.strictEqual(reports[0].reason, 'honeypot');
+    assert.match(reports[0].canaryToken, /^MX-[0-9A-F]{12}$/);
+    await waitFor(() => sent.length === 1);
+    assert.strictEqual(sent[0].url, '/multiaxis/trap');
+    assert.strictEqual(sent[0].body.reason, 'honeypot');
+    assert.ok(window.document.getElementById('protectionInput').disabled);
+    protection.destroy();
+});
+
+test('the trap link blocks the session, which lasts across reloads until clearTrap()', async () => {
+    const storage = createSharedStorage();
+    const first = await open({ storage: storage });
+    const link = first.window.document.querySelector('.protection-trap a');
+    assert.strictEqual(link.getAttribute('href'), '/multiaxis/trap');
+    assert.strictEqual(link.rel, 'nofollow');
+    link.click();
+    assert.strictEqual(first.protection.getState().status, 'blocked');
+    first.protection.destroy();
+
+    const window = load();
+    const protection = window.MultiaxisProtection.init({ enableSafeHarbor: false, traps: true, storage: storage });
+    await waitFor(() => protection.getState().status === 'blocked');
+    await answer(window, 'multiaxis');
+    assert.strictEqual(protection.getState().status, 'blocked');
+
+    protection.clearTrap();
+    assert.strictEqual(protection.getState().trapped, false);
+    await answer(window, 'multiaxis');
+    await waitFor(() => protection.getState().status === 'unlocked');
+    protection.destroy();
+});
+
+test('the canary text is hidden in the locked region with the session token', async () => {
+    const { window, protection } = await open({ traps: { honeypot: false, canary: true }, canaryText: 'Ref {token}' });
+    const canary = window.document.querySelector('#protectedContent .multiaxis-canary');
+    assert.ok(canary.hidden);
+    assert.match(canary.textContent, /^Ref MX-[0-9A-F]{12}$/);
+    assert.strictEqual(window.document.querySelector('.protection-trap input'), null);
+    protection.destroy();
+    assert.strictEqual(window.document.querySelector('.multiaxis-canary'), null);
+});
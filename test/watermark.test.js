@@ -0,0 +1,59 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const path = require('path');
+const { load, createSharedStorage, waitFor, answer } = require('./helpers');
+const { decodeWatermark, findWatermarks } = require('../protection-watermark');
+
+const passage = 'Quarterly results show steady growth across every region, with the strongest gains in the services business ' +
+    'and a recovery in hardware sales after two flat quarters. Margins held despite higher costs in every market.';
+const page = '<!DOCTYPE html><html><body><div id="protectedContent">' +
+    '<p>' + passage + '</p><pre>const untouched = true;</pre>' +
+    '</div></body></html>';
+
+async function unlock(config) {
+    const window = load(page);
+    const protection = window.MultiaxisProtection.init({ enableSafeHarbor: false, watermark: true, ...config });
+    await waitFor(() => protection.getState().status === 'challenge');
+    await answer(window, 'multiaxis');
+    await waitFor(() => protection.getState().watermarkId !== null);
+    return { window, protection };
+}
+
+test('unlocked text carries the watermark ID, and code is left unmarked', async () => {
+    const { window, protection } = await unlock();
+    const id = protection.getState().watermarkId;
+    const content = window.document.getElementById('protectedContent');
+
+    assert.strictEqual(window.MultiaxisProtection.decodeWatermark(content.textContent), id);
+    assert.strictEqual(content.querySelector('pre').textContent, 'const untouched = true;');
+    assert.strictEqual(content.querySelector('p').textContent.replace(/[\u200B-\u200D\u2060\u2063]/g, ''), passage);
+    protection.destroy();
+});
+
+test('the Node decoder reads an excerpt, and the ID stays the same for the session', async () => {
+    const storage = createSharedStorage();
+    const first = await unlock({ storage: storage });
+    const id = first.protection.getState().watermarkId;
+    // An excerpt from the middle of the passage, cut at word boundaries
+    const marked = first.window.document.querySelector('#protectedContent p').textContent;
+    const excerpt = marked.slice(marked.indexOf(' steady'), marked.lastIndexOf(' in every'));
+    first.protection.destroy();
+
+    assert.strictEqual(decodeWatermark(excerpt), id);
+    assert.deepStrictEqual(findWatermarks(excerpt + excerpt), [id]);
+    assert.strictEqual(decodeWatermark('No mark in here'), null);
+
+    const output = execFileSync(process.execPath, [path.join(__dirname, '..', 'protection-watermark.js')], { input: excerpt });
+    assert.strictEqual(output.toString().trim(), id);
+
+    // A reload within the session is already verified and keeps the same ID
+    const window = load(page);
+    const again = window.MultiaxisProtection.init({ enableSafeHarbor: false, watermark: true, storage: storage });
+    await waitFor(() => again.getState().watermarkId !== null);
+    assert.strictEqual(again.getState().watermarkId, id);
+    assert.strictEqual(window.MultiaxisProtection.decodeWatermark(window.document.getElementById('protectedContent').textContent), id);
+    again.destroy();
+});
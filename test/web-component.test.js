@@ -0,0 +1,53 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, waitFor, sleep } = require('./helpers');
+
+const page = '<!DOCTYPE html><html><body>' +
+    '<multiaxis-protected session-key="report_access" enable-safe-harbor="false" theme="dark"><p>Report</p></multiaxis-protected>' +
+    '</body></html>';
+
+async function solve(element, value) {
+    element.shadowRoot.querySelector('.protection-input').value = value;
+    element.shadowRoot.querySelector('.protection-submit').click();
+    await sleep(30);
+}
+
+test('the element protects its content with modals in its own shadow root', async () => {
+    const window = load(page);
+    const element = window.document.querySelector('multiaxis-protected');
+    await waitFor(() => element.protection && element.protection.getState().status === 'challenge');
+
+    const modal = element.shadowRoot.querySelector('.protection-modal');
+    assert.ok(modal);
+    assert.strictEqual(modal.getAttribute('data-multiaxis-theme'), 'dark');
+    assert.strictEqual(window.document.body.querySelector('.protection-modal'), null);
+    assert.strictEqual(window.document.head.querySelector('style'), null);
+
+    const events = [];
+    window.document.body.addEventListener('unlocked', event => events.push(event.detail.state.status));
+    await solve(element, 'multiaxis');
+    await waitFor(() => events.length === 1);
+    assert.deepStrictEqual(events, ['unlocked']);
+    assert.strictEqual(JSON.parse(window.sessionStorage.getItem('report_access')).value, 'granted');
+    element.remove();
+});
+
+test('the options property is used, and removing the element destroys its instance', async () => {
+    const window = load('<!DOCTYPE html><html><body></body></html>');
+    const element = window.document.createElement('multiaxis-protected');
+    element.options = { acceptedAnswers: ['ACME'], enableSafeHarbor: false };
+    element.innerHTML = '<p>Protected content</p>';
+    window.document.body.appendChild(element);
+    await waitFor(() => element.protection.getState().status === 'challenge');
+
+    const protection = element.protection;
+    await solve(element, 'acme');
+    await waitFor(() => protection.getState().status === 'unlocked');
+
+    element.remove();
+    assert.strictEqual(element.protection, null);
+    assert.strictEqual(protection.getState().status, 'destroyed');
+    assert.strictEqual(element.shadowRoot.querySelector('.protection-modal'), null);
+});